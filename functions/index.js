@@ -0,0 +1,14 @@
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { logger } from "firebase-functions";
+import { processDueTransactions } from "./scheduler.js";
+
+initializeApp();
+
+// Generates due recurring occurrences and applies due scheduled transactions every 5 minutes.
+// A run that fails or is skipped is caught up by the next one.
+export const processScheduledTransactions = onSchedule("every 5 minutes", async () => {
+  const result = await processDueTransactions(getFirestore());
+  logger.info("Processed scheduled transactions", result);
+});
@@ -0,0 +1,111 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { DEFAULT_CURRENCY } from "./shared/currency.js";
+import { getOccurrenceId, getPendingOccurrences } from "./shared/recurrence.js";
+
+// Generates the occurrences of recurring rules that have come due, so salary, rent and other
+// repeating transactions are created and applied even when the app isn't opened.
+// The app generates occurrences further ahead (see src/services/recurrence.js). Both compute
+// the dates with shared/recurrence.js, advance a rule's generatedCount in a Firestore
+// transaction on the rule and create occurrences with ids derived from the rule, so neither
+// can create an occurrence the other already did.
+
+// Number of rules read per query page
+const PAGE_SIZE = 200;
+
+// Occurrences written in one Firestore transaction (each is a read and a write, limit 500)
+const OCCURRENCES_PER_TRANSACTION = 200;
+
+// Zone for rules created before rules stored one; it's saved on the rule so the app uses it too
+const DEFAULT_TIME_ZONE = "UTC";
+
+// Creates a rule's due occurrences as scheduled transactions, up to
+// OCCURRENCES_PER_TRANSACTION of them. Returns { created, more }
+const generateRuleOccurrences = async (db, ruleRef, now) => {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ruleRef);
+    if (!snapshot.exists) return { created: 0, more: false };
+    const rule = { id: snapshot.id, ...snapshot.data() };
+    const pending = getPendingOccurrences(rule, now, DEFAULT_TIME_ZONE).slice(0, OCCURRENCES_PER_TRANSACTION);
+    if (pending.length === 0) return { created: 0, more: false };
+
+    const cardSnapshot = await transaction.get(db.collection("cards").doc(rule.cardId));
+    if (!cardSnapshot.exists) return { created: 0, more: false };
+    const refs = pending.map((occurrence) => db.collection("transactions").doc(getOccurrenceId(rule.id, occurrence.index)));
+    const existing = await transaction.getAll(...refs);
+
+    // Same fields as the app writes (toTransactionFields in src/firebase/transactions.js);
+    // processDueTransactions applies them right after
+    let created = 0;
+    pending.forEach((occurrence, i) => {
+      if (existing[i].exists) return;
+      transaction.set(refs[i], {
+        cardId: rule.cardId,
+        title: rule.title,
+        type: rule.type,
+        category: rule.category,
+        amount: Number(rule.amount),
+        date: occurrence.date,
+        scheduled: true,
+        isAffect: false,
+        includeInExpected: rule.includeInExpected ?? true,
+        currency: cardSnapshot.data().currency || DEFAULT_CURRENCY,
+        recurringRuleId: rule.id,
+        occurrenceIndex: occurrence.index,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      created++;
+    });
+
+    const lastOccurrence = pending[pending.length - 1];
+    transaction.update(ruleRef, {
+      generatedCount: lastOccurrence.index + 1,
+      lastOccurrenceDate: lastOccurrence.date,
+      ...(rule.timeZone ? {} : { timeZone: DEFAULT_TIME_ZONE }),
+    });
+    return { created, more: pending.length === OCCURRENCES_PER_TRANSACTION };
+  });
+};
+
+// Generates the due occurrences of every rule a query page by page returns, adding to result
+const generateQueryOccurrences = async (db, rulesQuery, now, result) => {
+  // Generating moves a rule's lastOccurrenceDate, so page with a cursor
+  let lastDoc = null;
+  for (;;) {
+    const page = lastDoc ? await rulesQuery.startAfter(lastDoc).get() : await rulesQuery.get();
+    if (page.empty) break;
+
+    for (const ruleSnapshot of page.docs) {
+      try {
+        for (;;) {
+          const step = await generateRuleOccurrences(db, ruleSnapshot.ref, now);
+          result.created += step.created;
+          if (!step.more) break;
+        }
+      } catch (error) {
+        // Leave it for the next run; one bad rule shouldn't block the others
+        console.error(`Error generating occurrences of recurring rule ${ruleSnapshot.id}:`, error);
+        result.failed++;
+      }
+    }
+
+    if (page.size < PAGE_SIZE) break;
+    lastDoc = page.docs[page.docs.length - 1];
+  }
+};
+
+// Generates the occurrences of every rule that are due by now.
+// Only rules whose last generated occurrence is not after now can have a due one, and rules
+// that were never generated (lastOccurrenceDate null), whose first occurrence may be due.
+// Returns { created, failed } counts
+export const generateDueOccurrences = async (db, now = new Date()) => {
+  const result = { created: 0, failed: 0 };
+  const rules = db.collection("recurringRules");
+  await generateQueryOccurrences(db, rules.where("lastOccurrenceDate", "==", null).limit(PAGE_SIZE), now, result);
+  await generateQueryOccurrences(
+    db,
+    rules.where("lastOccurrenceDate", "<=", now.toISOString()).orderBy("lastOccurrenceDate").limit(PAGE_SIZE),
+    now,
+    result
+  );
+  return result;
+};
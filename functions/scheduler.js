@@ -0,0 +1,83 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { generateDueOccurrences } from "./recurrence.js";
+
+// Applies scheduled transactions whose date has passed to their card balances.
+// Runs with the Admin SDK (Cloud Function or Node script), so it works without the UI.
+// Due occurrences of recurring rules are generated first (see recurrence.js), so they are
+// applied in the same run.
+//
+// Only due items are read: scheduled == true && isAffect == false && date <= now.
+// Dates are ISO strings, so comparing them as strings matches comparing them as dates.
+// There is no lower bound on the date, so a run picks up everything that became due
+// while earlier runs were missed.
+
+// Number of due transactions read per query page
+const PAGE_SIZE = 200;
+
+// Signed change a transaction makes to its card balance.
+// Keep in sync with getBalanceEffect in src/services/balance.js
+const getBalanceEffect = (tx) => {
+  return tx.type === "cost" ? -Number(tx.amount) : Number(tx.amount);
+};
+
+// Applies one transaction in a Firestore transaction. The document is re-read and
+// re-checked inside the transaction, so a transaction that another run (or an open tab)
+// already applied is skipped instead of being applied twice.
+// Returns true if the transaction was applied
+const applyDueTransaction = async (db, txRef, now) => {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(txRef);
+    if (!snapshot.exists) return false;
+    const stored = snapshot.data();
+    if (stored.scheduled !== true || stored.isAffect !== false || new Date(stored.date) > now) {
+      return false;
+    }
+
+    const cardRef = db.collection("cards").doc(stored.cardId);
+    const cardSnapshot = await transaction.get(cardRef);
+
+    transaction.update(txRef, { isAffect: true });
+    if (cardSnapshot.exists) {
+      transaction.update(cardRef, { current_amount: FieldValue.increment(getBalanceEffect(stored)) });
+    }
+    return true;
+  });
+};
+
+// Generates due recurring occurrences, then processes every due scheduled transaction
+// Returns { generated, applied, skipped, failed } counts
+export const processDueTransactions = async (db, now = new Date()) => {
+  const occurrences = await generateDueOccurrences(db, now);
+  const result = { generated: occurrences.created, applied: 0, skipped: 0, failed: occurrences.failed };
+  const dueQuery = db
+    .collection("transactions")
+    .where("scheduled", "==", true)
+    .where("isAffect", "==", false)
+    .where("date", "<=", now.toISOString())
+    .orderBy("date")
+    .limit(PAGE_SIZE);
+
+  // Page with a cursor: skipped and failed transactions still match the query,
+  // so re-running it from the start could loop forever
+  let lastDoc = null;
+  for (;;) {
+    const page = lastDoc ? await dueQuery.startAfter(lastDoc).get() : await dueQuery.get();
+    if (page.empty) break;
+
+    for (const docSnapshot of page.docs) {
+      try {
+        const applied = await applyDueTransaction(db, docSnapshot.ref, now);
+        result[applied ? "applied" : "skipped"]++;
+      } catch (error) {
+        // Leave it for the next run; one bad transaction shouldn't block the others
+        console.error(`Error applying scheduled transaction ${docSnapshot.id}:`, error);
+        result.failed++;
+      }
+    }
+
+    if (page.size < PAGE_SIZE) break;
+    lastDoc = page.docs[page.docs.length - 1];
+  }
+
+  return result;
+};
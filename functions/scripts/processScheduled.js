@@ -0,0 +1,22 @@
+// Runs the scheduled transaction processing once, outside Cloud Functions
+// (e.g. from cron, or against the emulator with FIRESTORE_EMULATOR_HOST set).
+//
+// Usage: node scripts/processScheduled.js [--now <ISO date>]
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS unless the emulator is used.
+
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { processDueTransactions } from "../scheduler.js";
+
+const nowArgIndex = process.argv.indexOf("--now");
+const now = nowArgIndex !== -1 ? new Date(process.argv[nowArgIndex + 1]) : new Date();
+if (isNaN(now.getTime())) {
+  console.error("Invalid --now date");
+  process.exit(1);
+}
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
+
+const result = await processDueTransactions(getFirestore(), now);
+console.log(`Generated ${result.generated}, applied ${result.applied}, skipped ${result.skipped}, failed ${result.failed}`);
+process.exit(result.failed > 0 ? 1 : 0);
@@ -0,0 +1,7 @@
+// Currency defaults shared by the app (src/services/currency.js) and the scheduler
+
+// Exchange rates are kept as the value of one unit of a currency in this one
+export const BASE_CURRENCY = "AZN";
+
+// Currency of cards created before cards had one
+export const DEFAULT_CURRENCY = BASE_CURRENCY;
@@ -0,0 +1,91 @@
+// Occurrence dates of recurring rules, shared by the app (src/services/recurrence.js) and
+// the scheduler (functions/recurrence.js). Occurrence documents get ids derived from the
+// rule and the occurrence index, so both must compute the same dates; this module is the
+// only place they're computed. It runs in the browser and in Node, so it only uses Date and Intl.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const zoneFormats = new Map();
+
+// Occurrence documents have ids derived from the rule, so an occurrence can only be created once
+export const getOccurrenceId = (ruleId, index) => `${ruleId}_${index}`;
+
+// Calendar fields of an instant in a time zone (month is 0-based)
+const getZonedParts = (date, timeZone) => {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  const parts = zoneFormats.get(timeZone).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month") - 1, day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+};
+
+// Instant of calendar fields in a time zone; fields out of range roll over like Date.UTC
+const fromZonedParts = ({ year, month, day, hour, minute, second }, timeZone) => {
+  const asUtc = Date.UTC(year, month, day, hour, minute, second);
+  const getOffset = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+  // The zone's offsets a day before and after; around a DST change they differ. A time that
+  // happens twice gets the earlier instant and a skipped time the later one, like new Date()
+  const candidates = [asUtc - getOffset(asUtc - DAY_MS), asUtc - getOffset(asUtc + DAY_MS)].sort((a, b) => a - b);
+  const exact = candidates.find((instant) => instant + getOffset(instant) === asUtc);
+  return new Date(exact ?? candidates[1]);
+};
+
+// Date of the occurrence at a given index (0 = startDate).
+// Always computed from startDate so monthly rules don't drift after short months; monthly
+// and yearly rules clamp the day to the end of shorter months (e.g. Jan 31 + 1 month = Feb
+// 28/29). Calendar days are counted in the rule's time zone, or defaultTimeZone for older
+// rules without one.
+export const getOccurrenceDate = (rule, index, defaultTimeZone) => {
+  const timeZone = rule.timeZone || defaultTimeZone;
+  const start = getZonedParts(new Date(rule.startDate), timeZone);
+  const step = (Number(rule.interval) || 1) * index;
+
+  const addMonthsClamped = (months) => {
+    const daysInMonth = new Date(Date.UTC(start.year, start.month + months + 1, 0)).getUTCDate();
+    return fromZonedParts({ ...start, month: start.month + months, day: Math.min(start.day, daysInMonth) }, timeZone);
+  };
+
+  switch (rule.frequency) {
+    case "daily":
+      return fromZonedParts({ ...start, day: start.day + step }, timeZone);
+    case "weekly":
+      return fromZonedParts({ ...start, day: start.day + step * 7 }, timeZone);
+    case "monthly":
+      return addMonthsClamped(step);
+    case "yearly":
+      return addMonthsClamped(step * 12);
+    default:
+      throw new Error(`Unknown recurrence frequency "${rule.frequency}"`);
+  }
+};
+
+// Occurrences of a rule that haven't been generated yet, up to a date
+// Returns [{ index, date }] with ISO date strings
+export const getPendingOccurrences = (rule, until, defaultTimeZone) => {
+  const occurrences = [];
+  const endDate = rule.endDate ? new Date(rule.endDate) : null;
+  let index = rule.generatedCount || 0;
+
+  while (!rule.count || index < rule.count) {
+    const date = getOccurrenceDate(rule, index, defaultTimeZone);
+    if (endDate && date > endDate) break;
+    if (date > until) break;
+    occurrences.push({ index, date: date.toISOString() });
+    index++;
+  }
+
+  return occurrences;
+};
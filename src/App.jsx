@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 
 import CardSelector from "./components/CardSelector";
 import CardDisplay from "./components/CardDisplay";
@@ -9,11 +9,69 @@ import AddTransactionModal from "./components/AddTransactionModal";
 import CardLimitModal from "./components/CardLimitModal";
 import CardPlanModal from "./components/CardPlanModal";
 import CardWishModal from "./components/CardWishModal";
+import BalanceCheckModal from "./components/BalanceCheckModal";
+import CategoryManagerModal from "./components/CategoryManagerModal";
+import ExchangeRateModal from "./components/ExchangeRateModal";
+import StatementImportWizard from "./components/StatementImportWizard";
+import BackupModal from "./components/BackupModal";
+import StatementPdfModal from "./components/StatementPdfModal";
 import AuthPanel from "./components/AuthPanel";
 import { onAuthStateChanged, signOut } from "firebase/auth";
 import { auth, db } from "./firebase/client";
 import { addCardToTable } from "./firebase/cards";
-import { addTransactionToTable } from "./firebase/transactions";
+import { getTransactionsForCards, updateTransactionsInTable } from "./firebase/transactions";
+import { addImportBatchToTable, getImportBatchesForUser, updateImportBatchInTable } from "./firebase/importBatches";
+import { getAccountData, newDocumentId, writeRestorePlan } from "./firebase/backup";
+import { getBalanceEffect, getStatementBalanceMismatches } from "./services/balance";
+import { getEffectiveLimit, getLimitsForTransaction, getLimitSpending, getPlanForMonth } from "./services/limits";
+import {
+  addTransactionWithBalance,
+  addRecurringTransactionWithBalance,
+  addTransferWithBalance,
+  updateTransactionWithBalance,
+  splitRecurringTransactionWithBalance,
+  deleteTransactionWithBalance,
+  applyScheduledTransaction,
+  addTransactionsWithBalance,
+  deleteTransactionsWithBalance,
+} from "./firebase/ledger";
+import {
+  deleteRecurringRuleFromTable,
+  getRecurringRulesForUser,
+  materializeRecurringRule,
+} from "./firebase/recurringRules";
+import {
+  addCategoryToTable,
+  updateCategoryInTable,
+  deleteCategoryFromTable,
+  getCategoriesForUser,
+  renameCategoryInTransactions,
+  migrateCategories,
+} from "./firebase/categories";
+import { getPendingOccurrences, getRecurrenceHorizon } from "./services/recurrence";
+import { DUPLICATE_ACTIONS, findImportDuplicates } from "./services/duplicates";
+import {
+  IMPORT_ITEM_LABELS,
+  applyItemChanges,
+  buildImportPlan,
+  getItemAmount,
+  isEmptyImportPlan,
+  revertItemChanges,
+} from "./services/importPlan";
+import {
+  addExchangeRateToTable,
+  updateExchangeRateInTable,
+  deleteExchangeRateFromTable,
+  getExchangeRatesForUser,
+} from "./firebase/exchangeRates";
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  convertAmount,
+  formatAmount,
+  getCardCurrency,
+  getTotalBalance,
+} from "./services/currency";
 import {
   collection,
   getDocs,
@@ -23,22 +81,43 @@ import {
   updateDoc,
   doc,
   deleteDoc,
+  deleteField,
 } from "firebase/firestore";
-import { exportToExcel, parseExcelFile, validateImportData, downloadTemplate } from "./services/excelService";
+import { exportToExcel, parseImportFile, validateImportData, downloadTemplate } from "./services/excelService";
+import { createBackup, downloadBackup, isEmptyAccount, planRestore } from "./services/backup";
+import { buildMonthlyStatement, downloadStatementPdf } from "./services/statementPdf";
+import { buildCalendar, downloadCalendar } from "./services/calendarExport";
+import { loadAnalysis, saveAnalysis } from "./services/mlAnalysis";
 
 export default function App() {
   const [cards, setCards] = useState([]);
   const [transactions, setTransactions] = useState([]);
+  const [recurringRules, setRecurringRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [reportingCurrency, setReportingCurrency] = useState(
+    () => localStorage.getItem("reportingCurrency") || DEFAULT_CURRENCY
+  );
   const [selectedCardId, setSelectedCardId] = useState(null);
 
   const [showAddCard, setShowAddCard] = useState(false);
   const [showAddTx, setShowAddTx] = useState(false);
+  const [editingTx, setEditingTx] = useState(null);
   const [showLimitModal, setShowLimitModal] = useState(false);
   const [showPlanModal, setShowPlanModal] = useState(false);
   const [showWishModal, setShowWishModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
+  const [showBalanceCheck, setShowBalanceCheck] = useState(false);
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
+  const [showExchangeRates, setShowExchangeRates] = useState(false);
+  const [showBackupModal, setShowBackupModal] = useState(false);
+  const [showStatementPdf, setShowStatementPdf] = useState(false);
   const [importData, setImportData] = useState(null);
   const [importValidation, setImportValidation] = useState(null);
+  const [importMode, setImportMode] = useState("excel"); // "excel" backup or "statement" from a bank
+  const [importDuplicates, setImportDuplicates] = useState([]);
+  const [duplicateActions, setDuplicateActions] = useState({}); // Row index -> "skip" | "import" | "merge"
+  const [importBatches, setImportBatches] = useState([]);
   const [importLoading, setImportLoading] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
 
@@ -59,6 +138,9 @@ export default function App() {
         localStorage.removeItem("userId");
         setCards([]);
         setTransactions([]);
+        setRecurringRules([]);
+        setCategories([]);
+        setExchangeRates([]);
         setSelectedCardId(null);
       }
     });
@@ -84,8 +166,12 @@ export default function App() {
             id: d.id,
             cardNumber: data.card_number,
             amount: data.current_amount ?? 0,
+            openingAmount: data.opening_amount ?? null,
+            currency: data.currency || DEFAULT_CURRENCY,
             limits: data.limits || [],
             plans: data.plans || [],
+            limitTemplates: data.limitTemplates || [],
+            planTemplates: data.planTemplates || [],
             wishes: data.wishes || [],
           };
         });
@@ -102,67 +188,158 @@ export default function App() {
     loadCards();
   }, [currentUser]);
 
-  // Process scheduled transactions that have passed their scheduled time
+  // Load recurring rules for the signed-in user from Firestore
+  useEffect(() => {
+    const loadRecurringRules = async () => {
+      const userId = localStorage.getItem("userId");
+      if (!userId) {
+        setRecurringRules([]);
+        return;
+      }
+      const result = await getRecurringRulesForUser(userId);
+      if (!result.error) {
+        setRecurringRules(result.rules);
+      }
+    };
+    loadRecurringRules();
+  }, [currentUser]);
+
+  // Load categories for the signed-in user from Firestore. Users who don't have any yet
+  // get them created from the free-text categories on their transactions.
+  useEffect(() => {
+    const loadCategories = async () => {
+      const userId = localStorage.getItem("userId");
+      if (!userId) {
+        setCategories([]);
+        return;
+      }
+      const result = await getCategoriesForUser(userId);
+      if (result.error) return;
+      if (result.categories.length > 0) {
+        setCategories(result.categories);
+        return;
+      }
+
+      const migration = await migrateCategories(userId);
+      if (!migration.error) {
+        setCategories(migration.categories);
+      }
+    };
+    loadCategories();
+  }, [currentUser]);
+
+  // Load exchange rates for the signed-in user from Firestore
+  useEffect(() => {
+    const loadExchangeRates = async () => {
+      const userId = localStorage.getItem("userId");
+      if (!userId) {
+        setExchangeRates([]);
+        return;
+      }
+      const result = await getExchangeRatesForUser(userId);
+      if (!result.error) {
+        setExchangeRates(result.rates);
+      }
+    };
+    loadExchangeRates();
+  }, [currentUser]);
+
+  // Totals across cards and the analysis are shown in the reporting currency
+  const changeReportingCurrency = (currency) => {
+    localStorage.setItem("reportingCurrency", currency);
+    setReportingCurrency(currency);
+  };
+
+  // Sync local card balances with the balances written by the ledger
+  const applyBalances = (balances = {}) => {
+    if (Object.keys(balances).length === 0) return;
+    setCards((prev) => prev.map((c) => (balances[c.id] !== undefined ? { ...c, amount: balances[c.id] } : c)));
+  };
+
+  // Create scheduled transactions for every occurrence of the user's recurring rules
+  // that falls within the recurrence horizon and hasn't been generated yet.
+  // Each rule is generated in a Firestore transaction (see materializeRecurringRule), so
+  // another tab or the scheduler can't generate an occurrence twice.
+  const materializeRecurringTransactions = async () => {
+    const userId = localStorage.getItem("userId");
+    if (!userId) return;
+
+    const result = await getRecurringRulesForUser(userId);
+    if (result.error) throw result.error;
+
+    const horizon = getRecurrenceHorizon();
+    const created = [];
+    const rules = [];
+
+    for (const rule of result.rules) {
+      if (getPendingOccurrences(rule, horizon).length === 0) {
+        rules.push(rule);
+        continue;
+      }
+
+      const ruleResult = await materializeRecurringRule(rule.id, horizon);
+      if (ruleResult.error) throw ruleResult.error;
+      if (ruleResult.rule) rules.push(ruleResult.rule);
+      created.push(...ruleResult.created);
+    }
+
+    setRecurringRules(rules);
+    if (created.length > 0) {
+      const visible = created.filter((t) => t.cardId === selectedCardId);
+      setTransactions((prev) => [...visible, ...prev].sort((a, b) => new Date(b.date) - new Date(a.date)));
+    }
+  };
+
+  // Process scheduled transactions that have passed their scheduled time.
+  // The scheduler in functions/ does this server-side; running it when the app loads
+  // catches up right away (and covers setups without the scheduler deployed).
+  // Applying is idempotent, so both running is safe.
   const processScheduledTransactions = async () => {
     const userId = localStorage.getItem("userId");
     if (!userId || !cards.length) return;
 
     try {
-      // Get all transactions for all user cards
+      // Generate upcoming occurrences of recurring rules first so due ones are applied below
+      await materializeRecurringTransactions();
+
       const txRef = collection(db, "transactions");
-      const allTransactionsSnapshot = await getDocs(txRef);
-      const allTransactions = allTransactionsSnapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      const now = new Date();
 
       // Process each card
       for (const card of cards) {
-        // Get all transactions for this card
-        const cardTransactions = allTransactions.filter((tx) => tx.cardId === card.id);
-        
-        // Find transactions that are scheduled but not yet affected
-        // Check if transaction date has passed and it's scheduled but not affected
-        const now = new Date();
-        const transactionsToProcess = cardTransactions.filter((tx) => {
-          const txDate = new Date(tx.date);
-          const isPast = txDate <= now;
-          return tx.scheduled === true && tx.isAffect === false && isPast;
-        });
+        // Only read this card's scheduled transactions that are not yet affected
+        const q = query(
+          txRef,
+          where("cardId", "==", card.id),
+          where("scheduled", "==", true),
+          where("isAffect", "==", false)
+        );
+        const snapshot = await getDocs(q);
+
+        // Keep those whose date has passed
+        const transactionsToProcess = snapshot.docs
+          .map((d) => ({ id: d.id, ...d.data() }))
+          .filter((tx) => new Date(tx.date) <= now);
 
         if (transactionsToProcess.length === 0) continue;
 
-        // Process each transaction that needs to be applied
+        // Process each transaction that needs to be applied. The ledger marks it as affected
+        // and updates the card balance atomically, and skips it if another tab got there first.
+        const appliedIds = [];
         for (const tx of transactionsToProcess) {
-          // Update the transaction to mark it as affected
-          await updateDoc(doc(db, "transactions", tx.id), {
-            isAffect: true,
-          });
-
-          // Update the card balance
-          const cardToUpdate = cards.find((c) => c.id === tx.cardId);
-          if (cardToUpdate) {
-            const updatedAmount = tx.type === "cost" 
-              ? cardToUpdate.amount - tx.amount 
-              : cardToUpdate.amount + tx.amount;
-            
-            await updateDoc(doc(db, "cards", cardToUpdate.id), { 
-              current_amount: updatedAmount 
-            });
-            
-            setCards((prev) => 
-              prev.map((c) => (c.id === cardToUpdate.id ? { ...c, amount: updatedAmount } : c))
-            );
+          const result = await applyScheduledTransaction(tx.id, now);
+          if (result.error) throw result.error;
+          if (result.applied) {
+            appliedIds.push(tx.id);
           }
+          applyBalances(result.balances);
         }
 
         // Update local transactions state if this is the selected card
         if (card.id === selectedCardId) {
-          const updatedTransactions = transactions.map((t) => {
-            const txToUpdate = transactionsToProcess.find((ptx) => ptx.id === t.id);
-            if (txToUpdate) {
-              return { ...t, isAffect: true };
-            }
-            return t;
-          });
-          setTransactions(updatedTransactions);
+          setTransactions((prev) =>
+            prev.map((t) => (appliedIds.includes(t.id) ? { ...t, isAffect: true } : t))
+          );
         }
       }
     } catch (err) {
@@ -200,17 +377,6 @@ export default function App() {
     loadTransactions();
   }, [selectedCardId]);
 
-  // Periodic check for scheduled transactions (every 60 seconds)
-  useEffect(() => {
-    if (cards.length === 0) return;
-    
-    const interval = setInterval(() => {
-      processScheduledTransactions();
-    }, 60000); // Check every 60 seconds
-
-    return () => clearInterval(interval);
-  }, [cards.length]);
-
   const addCard = async (card) => {
     try {
       const userId = localStorage.getItem("userId");
@@ -223,6 +389,7 @@ export default function App() {
       const fsCard = {
         card_number: card.cardNumber,
         current_amount: Number(card.amount),
+        currency: card.currency || DEFAULT_CURRENCY,
         user_id: userId,
       };
       const fsResult = await addCardToTable(fsCard);
@@ -235,8 +402,12 @@ export default function App() {
         id: fsResult.id,
         cardNumber: card.cardNumber,
         amount: Number(card.amount),
+        openingAmount: Number(card.amount),
+        currency: fsCard.currency,
         limits: card.limits || [],
         plans: card.plans || [],
+        limitTemplates: [],
+        planTemplates: [],
         wishes: card.wishes || [],
       };
       setCards((prev) => [...prev, newCard]);
@@ -247,96 +418,176 @@ export default function App() {
     }
   };
 
-  const addTransaction = async (tx) => {
+  // Ask for confirmation when a transaction would exceed its card's monthly limit
+  // or push the balance below the monthly plan. Returns false if the user cancels.
+  // excludeTxId leaves the transaction being edited out of the month's spending,
+  // balanceDelta is the change the transaction makes to the card balance.
+  const confirmLimitAndPlan = (tx, { excludeTxId = null, balanceDelta } = {}) => {
+    const card = cards.find((c) => c.id === tx.cardId);
+    if (!card) return true;
+
     const txDate = new Date(tx.date);
-    const now = new Date();
-    const isFutureTransaction = txDate > now;
-    
-    // Set scheduled and isAffect properties
-    const scheduled = isFutureTransaction;
-    const isAffect = !isFutureTransaction; // If not scheduled, it affects balance immediately
+    const monthKey = `${txDate.getFullYear()}-${String(txDate.getMonth() + 1).padStart(2, "0")}`;
+    const monthLabel = new Date(txDate.getFullYear(), txDate.getMonth()).toLocaleString("default", { month: "short", year: "numeric" });
+    const format = (amount) => formatAmount(amount, getCardCurrency(card));
 
-    // Check limit if it's a cost transaction (only for current transactions)
-    if (tx.type === "cost" && !isFutureTransaction) {
-      const card = cards.find((c) => c.id === tx.cardId);
-      if (card && card.limits && card.limits.length > 0) {
-        const monthKey = `${txDate.getFullYear()}-${String(txDate.getMonth() + 1).padStart(2, "0")}`;
-        const limit = card.limits.find((l) => l.month === monthKey);
-
-        if (limit) {
-          // Calculate current month spending (only transactions that affect balance)
-          const currentMonthSpending = transactions
-            .filter((t) => {
-              if (t.cardId !== tx.cardId || t.type !== "cost") return false;
-              if (!t.isAffect) return false; // Exclude transactions that don't affect balance
-              const tDate = new Date(t.date);
-              const tMonthKey = `${tDate.getFullYear()}-${String(tDate.getMonth() + 1).padStart(2, "0")}`;
-              return tMonthKey === monthKey;
-            })
-            .reduce((sum, t) => sum + t.amount, 0);
-
-          const newTotalSpending = currentMonthSpending + tx.amount;
-
-          if (newTotalSpending > limit.amount) {
-            const confirmMessage = `Warning: This transaction will exceed the monthly limit of ${limit.amount} ₼ for ${new Date(txDate.getFullYear(), txDate.getMonth()).toLocaleString("default", { month: "short", year: "numeric" })}.\n\nCurrent spending: ${currentMonthSpending.toFixed(2)} ₼\nAfter this transaction: ${newTotalSpending.toFixed(2)} ₼\nLimit: ${limit.amount} ₼\n\nDo you want to proceed?`;
-
-            if (!window.confirm(confirmMessage)) {
-              return; // User cancelled
-            }
+    // Check the month's total limit and the limits of the transaction's category if it's a cost transaction
+    // (set for the month or from a budget template, including what rolled over from last month)
+    if (tx.type === "cost") {
+      // Only transactions that affect balance count; transfers and balance adjustments aren't spending
+      const cardTransactions = transactions.filter((t) => t.cardId === tx.cardId);
+
+      for (const limit of getLimitsForTransaction(card, tx, categories)) {
+        const currentMonthSpending = getLimitSpending(cardTransactions, limit, categories, excludeTxId);
+        const newTotalSpending = currentMonthSpending + tx.amount;
+        const { amount: limitAmount, carriedOver } = getEffectiveLimit(card, limit, cardTransactions, categories, excludeTxId);
+
+        if (newTotalSpending > limitAmount) {
+          const limitLabel = limit.category ? `${limit.category} limit` : "monthly limit";
+          const rolloverNote = carriedOver > 0 ? ` (${format(limit.amount)} + ${format(carriedOver)} rolled over)` : "";
+          const confirmMessage = `Warning: This transaction will exceed the ${limitLabel} of ${format(limitAmount)} for ${monthLabel}.\n\nCurrent spending: ${format(currentMonthSpending)}\nAfter this transaction: ${format(newTotalSpending)}\nLimit: ${format(limitAmount)}${rolloverNote}\n\nDo you want to proceed?`;
+
+          if (!window.confirm(confirmMessage)) {
+            return false; // User cancelled
           }
         }
       }
     }
 
-    // Check plan if transaction would cause balance to go below plan amount
-    if (!isFutureTransaction) {
-      const card = cards.find((c) => c.id === tx.cardId);
-      if (card && card.plans && card.plans.length > 0) {
-        const monthKey = `${txDate.getFullYear()}-${String(txDate.getMonth() + 1).padStart(2, "0")}`;
-        const plan = card.plans.find((p) => p.month === monthKey);
+    // Check plan (set for the month or from a budget template) if transaction would cause balance to go below plan amount
+    const plan = getPlanForMonth(card, monthKey);
 
-        if (plan) {
-          // Calculate what the balance would be after this transaction
-          const currentBalance = card.amount || 0;
-          const newBalance = tx.type === "cost" 
-            ? currentBalance - tx.amount 
-            : currentBalance + tx.amount;
+    if (plan) {
+      // Calculate what the balance would be after this transaction
+      const currentBalance = card.amount || 0;
+      const delta = balanceDelta ?? (tx.type === "cost" ? -tx.amount : tx.amount);
+      const newBalance = currentBalance + delta;
 
-          if (newBalance < plan.amount) {
-            const confirmMessage = `Warning: This transaction will cause your balance to go below the monthly plan minimum of ${plan.amount} ₼ for ${new Date(txDate.getFullYear(), txDate.getMonth()).toLocaleString("default", { month: "short", year: "numeric" })}.\n\nCurrent balance: ${currentBalance.toFixed(2)} ₼\nAfter this transaction: ${newBalance.toFixed(2)} ₼\nPlan minimum: ${plan.amount} ₼\n\nDo you want to proceed?`;
+      if (newBalance < plan.amount) {
+        const confirmMessage = `Warning: This transaction will cause your balance to go below the monthly plan minimum of ${format(plan.amount)} for ${monthLabel}.\n\nCurrent balance: ${format(currentBalance)}\nAfter this transaction: ${format(newBalance)}\nPlan minimum: ${format(plan.amount)}\n\nDo you want to proceed?`;
 
-            if (!window.confirm(confirmMessage)) {
-              return; // User cancelled
-            }
-          }
+        if (!window.confirm(confirmMessage)) {
+          return false; // User cancelled
         }
       }
     }
 
+    return true;
+  };
+
+  // Moves money between two of the user's cards. Both sides are written and both balances
+  // updated together; transfers are never scheduled or repeated. Between cards in different
+  // currencies the destination card receives the amount converted with the rate of the date.
+  const addTransfer = async ({ cardId, toCardId, title, amount, date }) => {
+    const fromCurrency = getCardCurrency(cards.find((c) => c.id === cardId));
+    const toCurrency = getCardCurrency(cards.find((c) => c.id === toCardId));
+    const toAmount = convertAmount(amount, fromCurrency, toCurrency, date, exchangeRates);
+    if (toAmount === null) {
+      alert(`There's no exchange rate between ${fromCurrency} and ${toCurrency} yet. Please add one under Rates first.`);
+      return;
+    }
+
+    // Only the plan of the source card applies: a transfer isn't spending, so it doesn't count
+    // toward limits, and the destination card's balance only goes up
+    if (!confirmLimitAndPlan({ cardId, type: "transfer", amount, date }, { balanceDelta: -amount })) {
+      return;
+    }
+
+    try {
+      const result = await addTransferWithBalance({
+        fromCardId: cardId,
+        toCardId,
+        title,
+        amount,
+        date,
+        fromCurrency,
+        toCurrency,
+        toAmount: Math.round(toAmount * 100) / 100,
+      });
+      if (result.error) throw result.error;
+
+      const visible = result.transactions.filter((t) => t.cardId === selectedCardId);
+      if (visible.length > 0) {
+        setTransactions((prev) => [...visible, ...prev].sort((a, b) => new Date(b.date) - new Date(a.date)));
+      }
+      applyBalances(result.balances);
+    } catch (err) {
+      console.error("Add transfer failed", err);
+      alert("Failed to add transfer. Please try again.");
+    }
+  };
+
+  const addTransaction = async ({ recurrence, ...tx }) => {
+    if (tx.type === "transfer") {
+      return addTransfer(tx);
+    }
+
+    const txDate = new Date(tx.date);
+    const now = new Date();
+    const isFutureTransaction = txDate > now;
+    
+    // Set scheduled and isAffect properties
+    const scheduled = isFutureTransaction;
+    const isAffect = !isFutureTransaction; // If not scheduled, it affects balance immediately
+
+    // Check limit and plan (only for current transactions)
+    if (!isFutureTransaction && !confirmLimitAndPlan(tx)) {
+      return;
+    }
+
     try {
-      // Add scheduled and isAffect properties to transaction
+      // Add scheduled and isAffect properties to transaction; its amount is in the card's currency
       const txWithFlags = {
         ...tx,
+        currency: getCardCurrency(cards.find((c) => c.id === tx.cardId)),
         scheduled,
         isAffect,
       };
+
+      // A repeating transaction becomes the first occurrence of a new recurring rule
+      let rule = null;
+      if (recurrence) {
+        rule = {
+          user_id: localStorage.getItem("userId"),
+          cardId: tx.cardId,
+          title: tx.title,
+          type: tx.type,
+          category: tx.category,
+          amount: tx.amount,
+          includeInExpected: true,
+          frequency: recurrence.frequency,
+          interval: recurrence.interval,
+          startDate: tx.date,
+          endDate: recurrence.endDate ?? null,
+          count: recurrence.count ?? null,
+          generatedCount: 1,
+          lastOccurrenceDate: tx.date,
+        };
+      }
       
-      const fsResult = await addTransactionToTable(txWithFlags);
+      // The balance is only updated if the transaction affects it (isAffect is true).
+      // The rule is written together with its first occurrence.
+      const fsResult = rule
+        ? await addRecurringTransactionWithBalance(rule, txWithFlags)
+        : await addTransactionWithBalance(txWithFlags);
       if (fsResult.error) throw fsResult.error;
-      const newTx = { id: fsResult.id, ...txWithFlags };
+      const newTx = {
+        id: fsResult.id,
+        ...txWithFlags,
+        ...(rule ? { recurringRuleId: fsResult.ruleId, occurrenceIndex: 0 } : {}),
+      };
+      if (rule) {
+        setRecurringRules((prev) => [...prev, { id: fsResult.ruleId, ...fsResult.rule }]);
+      }
 
       if (tx.cardId === selectedCardId) {
         setTransactions((prev) => [newTx, ...prev].sort((a, b) => new Date(b.date) - new Date(a.date)));
       }
+      applyBalances(fsResult.balances);
 
-      // Only update balance if transaction affects balance (isAffect is true)
-      if (isAffect) {
-        const card = cards.find((c) => c.id === newTx.cardId);
-        if (card) {
-          const updatedAmount = newTx.type === "cost" ? card.amount - newTx.amount : card.amount + newTx.amount;
-          await updateDoc(doc(db, "cards", card.id), { current_amount: updatedAmount });
-          setCards((prev) => prev.map((c) => (c.id === card.id ? { ...c, amount: updatedAmount } : c)));
-        }
+      // Generate the next occurrences of the new rule
+      if (recurrence) {
+        await materializeRecurringTransactions();
       }
     } catch (err) {
       console.error("Add transaction failed", err);
@@ -344,40 +595,266 @@ export default function App() {
     }
   };
 
+  // Editing "this and all future occurrences" of a recurring transaction ends the original
+  // rule before this occurrence and starts a new rule from the edited values, so occurrences
+  // that were already applied keep their old values.
+  // Later occurrences up to the last applied one move to the new rule as they are, so it
+  // continues after them instead of generating their dates again; the unapplied ones after
+  // that are dropped and regenerated with the new values.
+  // Returns the split for splitRecurringTransactionWithBalance, or null without the rule
+  const planRuleSplit = async (original, tx) => {
+    const rule = recurringRules.find((r) => r.id === original.recurringRuleId);
+    if (!rule) return null;
+    const index = original.occurrenceIndex ?? 0;
+
+    const txRef = collection(db, "transactions");
+    const snapshot = await getDocs(query(txRef, where("recurringRuleId", "==", rule.id)));
+    const later = snapshot.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((t) => t.id !== original.id && (t.occurrenceIndex ?? 0) > index)
+      .sort((a, b) => a.occurrenceIndex - b.occurrenceIndex);
+    const lastApplied = later.filter((t) => t.isAffect).pop();
+    const kept = lastApplied ? later.filter((t) => t.occurrenceIndex <= lastApplied.occurrenceIndex) : [];
+
+    return {
+      ruleId: rule.id,
+      index,
+      newRule: {
+        user_id: rule.user_id,
+        cardId: tx.cardId,
+        title: tx.title,
+        type: tx.type,
+        category: tx.category,
+        amount: tx.amount,
+        includeInExpected: rule.includeInExpected ?? true,
+        frequency: rule.frequency,
+        interval: rule.interval,
+        startDate: tx.date,
+        endDate: rule.endDate ?? null,
+        count: rule.count ? Math.max(rule.count - index, 1) : null,
+        generatedCount: lastApplied ? lastApplied.occurrenceIndex - index + 1 : 1,
+        lastOccurrenceDate: lastApplied ? lastApplied.date : tx.date,
+        timeZone: rule.timeZone,
+      },
+      moved: kept.map((t) => ({ id: t.id, occurrenceIndex: t.occurrenceIndex - index })),
+      staleIds: later.filter((t) => !kept.includes(t)).map((t) => t.id),
+    };
+  };
+
+  // recurrenceScope is "single" or "future" when editing an occurrence of a recurring rule
+  const editTransaction = async (original, { recurrenceScope, ...tx }) => {
+    const txDate = new Date(tx.date);
+    const now = new Date();
+    const isFutureTransaction = txDate > now;
+
+    // Moving the date between past and future flips scheduled/isAffect
+    const scheduled = isFutureTransaction;
+    const isAffect = !isFutureTransaction;
+
+    // Change to the edited card's balance: the old version is reversed if it was on the same card
+    const balanceDelta = getBalanceEffect({ ...tx, isAffect })
+      - (original.cardId === tx.cardId ? getBalanceEffect(original) : 0);
+
+    // Re-run limit and plan checks against the edited values
+    if (isAffect && !confirmLimitAndPlan(tx, { excludeTxId: original.id, balanceDelta })) {
+      return;
+    }
+
+    try {
+      const split = recurrenceScope === "future" && original.recurringRuleId
+        ? await planRuleSplit(original, tx)
+        : null;
+
+      const txWithFlags = {
+        ...tx,
+        currency: getCardCurrency(cards.find((c) => c.id === tx.cardId)),
+        scheduled,
+        isAffect,
+      };
+
+      // The ledger reverses the stored version and applies the new one in one transaction,
+      // together with the rule split
+      const fsResult = split
+        ? await splitRecurringTransactionWithBalance(original.id, txWithFlags, split)
+        : await updateTransactionWithBalance(original.id, txWithFlags);
+      if (fsResult.error) throw fsResult.error;
+      const updatedTx = {
+        ...original,
+        ...txWithFlags,
+        ...(split ? { recurringRuleId: fsResult.ruleId, occurrenceIndex: 0 } : {}),
+      };
+
+      if (split) {
+        setRecurringRules((prev) => [
+          ...prev
+            .filter((r) => r.id !== split.ruleId || split.index > 0)
+            .map((r) => (r.id === split.ruleId ? { ...r, count: split.index } : r)),
+          { id: fsResult.ruleId, ...fsResult.rule },
+        ]);
+      }
+      setTransactions((prev) => {
+        const others = prev
+          .filter((t) => t.id !== original.id && !split?.staleIds.includes(t.id))
+          .map((t) => {
+            const occurrence = split?.moved.find((m) => m.id === t.id);
+            return occurrence
+              ? { ...t, recurringRuleId: fsResult.ruleId, occurrenceIndex: occurrence.occurrenceIndex }
+              : t;
+          });
+        if (updatedTx.cardId !== selectedCardId) return others;
+        return [updatedTx, ...others].sort((a, b) => new Date(b.date) - new Date(a.date));
+      });
+
+      applyBalances(fsResult.balances);
+
+      // Regenerate the following occurrences from the new rule
+      if (split) {
+        await materializeRecurringTransactions();
+      }
+    } catch (err) {
+      console.error("Edit transaction failed", err);
+      alert("Failed to update transaction. Please try again.");
+    }
+  };
+
   const deleteTransaction = async (txId) => {
     const transaction = transactions.find((t) => t.id === txId);
     if (!transaction) return;
 
     try {
-      await deleteDoc(doc(db, "transactions", txId));
-      setTransactions((prev) => prev.filter((t) => t.id !== txId));
-
-      // Update card balance - reverse the transaction effect (only if it was already applied)
-      if (transaction.isAffect) {
-        const card = cards.find((c) => c.id === transaction.cardId);
-        if (card) {
-          const updatedAmount =
-            transaction.type === "cost"
-              ? card.amount + transaction.amount
-              : card.amount - transaction.amount;
-          await updateDoc(doc(db, "cards", card.id), { current_amount: updatedAmount });
-          setCards((prev) => prev.map((c) => (c.id === card.id ? { ...c, amount: updatedAmount } : c)));
-        }
-      }
+      // The ledger reverses the transaction effect on the card balance (only if it was already applied)
+      // and also deletes the other side of a transfer
+      const result = await deleteTransactionWithBalance(txId);
+      if (result.error) throw result.error;
+      setTransactions((prev) => prev.filter((t) => !result.deletedIds.includes(t.id)));
+      applyBalances(result.balances);
     } catch (err) {
       console.error("Delete transaction failed", err);
       alert("Failed to delete transaction. Please try again.");
     }
   };
 
+  // Adds a category, or updates one; renaming a category also renames it on the
+  // transactions and recurring rules that use it. Returns true when saved.
+  const saveCategory = async (previous, fields) => {
+    const userId = localStorage.getItem("userId");
+    if (!userId) return false;
+
+    try {
+      if (!previous) {
+        const category = { user_id: userId, ...fields };
+        const result = await addCategoryToTable(category);
+        if (result.error) throw result.error;
+        setCategories((prev) => [...prev, { id: result.id, ...category }]);
+        return true;
+      }
+
+      const result = await updateCategoryInTable(previous.id, fields);
+      if (result.error) throw result.error;
+      if (fields.name !== previous.name) {
+        const renameResult = await renameCategoryInTransactions(userId, previous.name, fields.name);
+        if (renameResult.error) throw renameResult.error;
+        setTransactions((prev) => prev.map((t) => (t.category === previous.name ? { ...t, category: fields.name } : t)));
+        setRecurringRules((prev) => prev.map((r) => (r.category === previous.name ? { ...r, category: fields.name } : r)));
+      }
+      setCategories((prev) => prev.map((c) => (c.id === previous.id ? { ...c, ...fields } : c)));
+      return true;
+    } catch (err) {
+      console.error("Save category failed", err);
+      alert("Failed to save category. Please try again.");
+      return false;
+    }
+  };
+
+  const deleteCategory = async (category) => {
+    try {
+      const result = await deleteCategoryFromTable(category.id);
+      if (result.error) throw result.error;
+      setCategories((prev) => prev.filter((c) => c.id !== category.id));
+    } catch (err) {
+      console.error("Delete category failed", err);
+      alert("Failed to delete category. Please try again.");
+    }
+  };
+
+  // Adds an exchange rate, or updates one. Returns true when saved.
+  const saveExchangeRate = async (previous, fields) => {
+    const userId = localStorage.getItem("userId");
+    if (!userId) return false;
+
+    try {
+      if (!previous) {
+        const rate = { user_id: userId, ...fields };
+        const result = await addExchangeRateToTable(rate);
+        if (result.error) throw result.error;
+        setExchangeRates((prev) => [...prev, { id: result.id, ...rate }]);
+        return true;
+      }
+
+      const result = await updateExchangeRateInTable(previous.id, fields);
+      if (result.error) throw result.error;
+      setExchangeRates((prev) => prev.map((r) => (r.id === previous.id ? { ...r, ...fields } : r)));
+      return true;
+    } catch (err) {
+      console.error("Save exchange rate failed", err);
+      alert("Failed to save exchange rate. Please try again.");
+      return false;
+    }
+  };
+
+  const deleteExchangeRate = async (rate) => {
+    try {
+      const result = await deleteExchangeRateFromTable(rate.id);
+      if (result.error) throw result.error;
+      setExchangeRates((prev) => prev.filter((r) => r.id !== rate.id));
+    } catch (err) {
+      console.error("Delete exchange rate failed", err);
+      alert("Failed to delete exchange rate. Please try again.");
+    }
+  };
+
+  // Validates parsed import data and flags the transactions that are already stored
+  const prepareImport = async (data, extraWarnings = []) => {
+    const validation = validateImportData(data, cards, categories);
+    const importCardIds = cards
+      .filter((c) => data.transactions.some((tx) => tx.card_number === c.cardNumber))
+      .map((c) => c.id);
+    const { transactions: stored, error } = await getTransactionsForCards(importCardIds);
+    if (error) throw error;
+
+    setImportDuplicates(findImportDuplicates(data.transactions, cards, stored));
+    setDuplicateActions({});
+    setImportData(data);
+    setImportValidation({ ...validation, warnings: [...extraWarnings, ...validation.warnings] });
+  };
+
   const deleteCard = async (cardId) => {
     try {
       // Delete all transactions for this card first
       const txRef = collection(db, "transactions");
       const q = query(txRef, where("cardId", "==", cardId));
       const snapshot = await getDocs(q);
-      const deleteTxPromises = snapshot.docs.map((d) => deleteDoc(doc(db, "transactions", d.id)));
+
+      // Transfers go through the ledger, which deletes the other card's side too and
+      // reverses it on that card's balance
+      const transfers = snapshot.docs.filter((d) => d.data().linkedTransactionId);
+      const deletedIds = [];
+      for (const d of transfers) {
+        const result = await deleteTransactionWithBalance(d.id);
+        if (result.error) throw result.error;
+        deletedIds.push(...result.deletedIds);
+        applyBalances(result.balances);
+      }
+      const deleteTxPromises = snapshot.docs
+        .filter((d) => !d.data().linkedTransactionId)
+        .map((d) => deleteDoc(doc(db, "transactions", d.id)));
       await Promise.all(deleteTxPromises);
+      setTransactions((prev) => prev.filter((t) => !deletedIds.includes(t.id)));
+
+      // Stop the card's recurring rules so they don't generate new transactions
+      const cardRules = recurringRules.filter((r) => r.cardId === cardId);
+      await Promise.all(cardRules.map((r) => deleteRecurringRuleFromTable(r.id)));
+      setRecurringRules((prev) => prev.filter((r) => r.cardId !== cardId));
 
       // Delete the card
       await deleteDoc(doc(db, "cards", cardId));
@@ -397,7 +874,323 @@ export default function App() {
     }
   };
 
+  // What the import will write, shown in the preview and carried out by commitImport
+  const importPlan = useMemo(
+    () => importData && buildImportPlan(importData, { cards, categories, duplicates: importDuplicates, duplicateActions }),
+    [importData, cards, categories, importDuplicates, duplicateActions]
+  );
+
+  const openImportModal = async () => {
+    setShowImportModal(true);
+    const userId = localStorage.getItem("userId");
+    if (!userId) return;
+    const { batches, error } = await getImportBatchesForUser(userId);
+    if (error) return;
+    const getTime = (batch) => batch.createdAt?.toMillis?.() ?? 0;
+    setImportBatches(batches.sort((a, b) => getTime(b) - getTime(a)));
+  };
+
+  const reloadSelectedTransactions = async () => {
+    if (!selectedCardId) return;
+    const txRef = collection(db, "transactions");
+    const q = query(txRef, where("cardId", "==", selectedCardId), orderBy("date", "desc"));
+    const snapshot = await getDocs(q);
+    setTransactions(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+  };
+
+  // Carries out the import plan as one recorded batch. The record is saved before each step
+  // writes, so what was written before a failure, or before the tab closed, can be undone
+  // like a complete import.
+  const commitImport = async () => {
+    if (!importData || !importValidation?.isValid || !importPlan) return;
+    const plan = importPlan;
+
+    const userId = localStorage.getItem("userId");
+    if (!userId) {
+      alert("Please sign in to import data.");
+      return;
+    }
+    if (isEmptyImportPlan(plan)) {
+      alert("Nothing to import: everything in this file is already stored.");
+      return;
+    }
+
+    setImportLoading(true);
+    const batchResult = await addImportBatchToTable({
+      user_id: userId,
+      summary: {
+        cards: plan.newCards.length,
+        transactions: plan.transactions.length,
+        merged: plan.merges.length,
+        itemChanges: plan.itemChanges.length,
+      },
+    });
+    if (batchResult.error) {
+      alert("Failed to start import. Please try again.");
+      setImportLoading(false);
+      return;
+    }
+    const importBatchId = batchResult.id;
+    const record = { cardIds: [], createdCardIds: [], merges: [], itemChanges: [] };
+    const touchCard = (cardId) => {
+      if (!record.cardIds.includes(cardId)) record.cardIds.push(cardId);
+    };
+    const saveRecord = async () => {
+      const result = await updateImportBatchInTable(importBatchId, record);
+      if (result.error) throw result.error;
+    };
+
+    try {
+      const cardNumberToCard = {};
+      cards.forEach((c) => {
+        cardNumberToCard[c.cardNumber] = c;
+      });
+
+      // New cards first, so transactions and limits can refer to them
+      for (const cardData of plan.newCards) {
+        const fsCard = {
+          card_number: cardData.card_number,
+          current_amount: cardData.current_amount,
+          currency: cardData.currency || DEFAULT_CURRENCY,
+          user_id: userId,
+        };
+        const result = await addCardToTable(fsCard);
+        if (result.error) throw result.error;
+        const newCard = {
+          id: result.id,
+          cardNumber: cardData.card_number,
+          amount: cardData.current_amount,
+          openingAmount: cardData.current_amount,
+          currency: fsCard.currency,
+          limits: [],
+          plans: [],
+          limitTemplates: [],
+          planTemplates: [],
+          wishes: [],
+        };
+        cardNumberToCard[cardData.card_number] = newCard;
+        record.createdCardIds.push(result.id);
+        touchCard(result.id);
+        await saveRecord();
+        setCards((prev) => [...prev, newCard]);
+      }
+
+      let allCategories = categories;
+      for (const category of plan.newCategories) {
+        const newCategory = { user_id: userId, ...category };
+        const result = await addCategoryToTable(newCategory);
+        if (result.error) throw result.error;
+        allCategories = [...allCategories, { id: result.id, ...newCategory }];
+      }
+      setCategories(allCategories);
+
+      // Transactions and the balance changes they cause are written in batches
+      const txsToImport = plan.transactions.map(({ card_number, ...tx }) => {
+        const cardId = cardNumberToCard[card_number].id;
+        touchCard(cardId);
+        return { ...tx, cardId, importBatchId };
+      });
+      await saveRecord();
+      const txResult = await addTransactionsWithBalance(txsToImport);
+      setCards((prev) => prev.map((c) => (txResult.deltas[c.id] ? { ...c, amount: c.amount + txResult.deltas[c.id] } : c)));
+      if (txResult.error) throw txResult.error;
+
+      // Restoring the previous values of a merge that wasn't written yet changes nothing
+      if (plan.merges.length > 0) {
+        plan.merges.forEach(({ id, cardId, previous }) => {
+          record.merges.push({ id, previous });
+          touchCard(cardId);
+        });
+        await saveRecord();
+        const mergeResult = await updateTransactionsInTable(plan.merges.map(({ id, fields }) => ({ id, fields })));
+        if (mergeResult.error) throw mergeResult.error;
+      }
+
+      // Limits, plans and wishes, one write per card
+      for (const cardNumber of new Set(plan.itemChanges.map((c) => c.card_number))) {
+        const card = cardNumberToCard[cardNumber];
+        const changes = plan.itemChanges.filter((c) => c.card_number === cardNumber);
+        // Undo only reverts items that carry the imported values, so recording first is safe
+        const fields = applyItemChanges(card, changes);
+        changes.forEach(({ type, item, previous }) => record.itemChanges.push({ cardId: card.id, type, item, previous }));
+        touchCard(card.id);
+        await saveRecord();
+        await updateDoc(doc(db, "cards", card.id), fields);
+        setCards((prev) => prev.map((c) => (c.id === card.id ? { ...c, ...fields } : c)));
+      }
+
+      await updateImportBatchInTable(importBatchId, { status: "committed", ...record });
+
+      // Statement balances are checked against the card balances the import left
+      const mismatches = getStatementBalanceMismatches(
+        importData.statements || [],
+        Object.values(cardNumberToCard).map((c) => ({ ...c, amount: c.amount + (txResult.deltas[c.id] || 0) }))
+      );
+      if (mismatches.length > 0) {
+        const lines = mismatches.map((m) => {
+          const currency = getCardCurrency(m.card);
+          return `${m.card.cardNumber}: ${formatAmount(m.card.amount, currency)} instead of ${formatAmount(m.closingBalance, currency)}`;
+        });
+        alert(`Import completed, but these card balances don't match the statement's closing balance:\n${lines.join("\n")}\n\nUse Check Balances to find the difference.`);
+      } else {
+        alert("Import completed successfully!");
+      }
+      setShowImportModal(false);
+      setImportData(null);
+      setImportValidation(null);
+      await reloadSelectedTransactions();
+    } catch (err) {
+      console.error("Import failed", err);
+      await updateImportBatchInTable(importBatchId, { status: "failed", ...record });
+      alert(`Import failed: ${err.message}\n\nWhat was imported before the failure can be undone from Recent imports.`);
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  const downloadMonthlyStatement = async (cardId, monthKey) => {
+    const card = cards.find((c) => c.id === cardId);
+    if (!card) return;
+    const { transactions: cardTransactions, error } = await getTransactionsForCards([cardId]);
+    if (error) {
+      alert("Failed to create statement. Please try again.");
+      return;
+    }
+    downloadStatementPdf(buildMonthlyStatement(card, cardTransactions, monthKey, categories));
+    setShowStatementPdf(false);
+  };
+
+  // Exports all cards and their transactions to Excel; with report, adds the summary sheets
+  const exportAllData = async ({ report = false } = {}) => {
+    const { transactions: allTransactions, error } = await getTransactionsForCards(cards.map((c) => c.id));
+    if (error) {
+      alert("Failed to export data. Please try again.");
+      return;
+    }
+    try {
+      exportToExcel(cards, allTransactions, { report, categories });
+    } catch (err) {
+      console.error("Export failed", err);
+      alert("Failed to export data. Please try again.");
+    }
+  };
+
+  // Scheduled transactions of all cards and the recurring rules as an .ics file
+  const exportScheduledCalendar = async () => {
+    const { transactions: allTransactions, error } = await getTransactionsForCards(cards.map((c) => c.id));
+    if (error) {
+      alert("Failed to export calendar. Please try again.");
+      return;
+    }
+    const { ics, eventCount } = buildCalendar({ transactions: allTransactions, recurringRules, cards });
+    if (eventCount === 0) {
+      alert("There are no scheduled or recurring transactions to export.");
+      return;
+    }
+    downloadCalendar(ics);
+  };
+
+  const downloadAccountBackup = async () => {
+    const userId = localStorage.getItem("userId");
+    if (!userId) return;
+    const { account, error } = await getAccountData(userId);
+    if (error) {
+      alert("Failed to create backup. Please try again.");
+      return;
+    }
+    downloadBackup(createBackup(account, loadAnalysis()));
+  };
+
+  // Restores a validated backup into this account (see services/backup.js), then reloads
+  // the app so every view reads the restored data
+  const restoreAccountBackup = async (backup, mode) => {
+    const userId = localStorage.getItem("userId");
+    if (!userId) return;
+    try {
+      const { account, error } = await getAccountData(userId);
+      if (error) throw error;
+      const plan = planRestore(backup, { userId, mode, account, newId: newDocumentId });
+      const result = await writeRestorePlan(plan);
+      if (result.error) {
+        alert(`Restore failed after ${result.count} of ${plan.writes.length} documents were written: ${result.error.message}\n\nRestoring the same backup again in merge mode adds the rest.`);
+        window.location.reload();
+        return;
+      }
+      // The saved analysis is only replaced when the account had none or is restored from scratch
+      if (backup.analysis && (mode === "empty" || !loadAnalysis())) {
+        saveAnalysis(backup.analysis);
+      }
+      const skipped = Object.values(plan.skipped).reduce((sum, count) => sum + count, 0);
+      alert(`Backup restored: ${plan.restored.transactions} transactions and ${plan.restored.cards} cards added` +
+        (skipped > 0 ? `, ${skipped} documents were already in this account.` : "."));
+      window.location.reload();
+    } catch (err) {
+      console.error("Restore failed", err);
+      alert(`Failed to restore backup: ${err.message}`);
+    }
+  };
+
+  // Undoes a recorded import: deletes its transactions (reversing their balance changes),
+  // restores merged transactions and the limits, plans and wishes it changed, and deletes
+  // the cards it created unless they have other transactions. Categories it added are kept.
+  const undoImport = async (batch) => {
+    if (!window.confirm("Undo this import? Its transactions are deleted and the card balances, limits, plans and wishes it changed are restored.")) {
+      return;
+    }
+
+    try {
+      setImportLoading(true);
+      const { transactions: cardTxs, error } = await getTransactionsForCards(batch.cardIds || []);
+      if (error) throw error;
+      const batchTxs = cardTxs.filter((tx) => tx.importBatchId === batch.id);
+
+      const deleteResult = await deleteTransactionsWithBalance(batchTxs);
+      setCards((prev) => prev.map((c) => (deleteResult.deltas[c.id] ? { ...c, amount: c.amount + deleteResult.deltas[c.id] } : c)));
+      if (deleteResult.error) throw deleteResult.error;
+
+      // Merged transactions get their previous values back (fields they didn't have are removed)
+      const storedIds = new Set(cardTxs.map((tx) => tx.id));
+      const restores = (batch.merges || [])
+        .filter(({ id }) => storedIds.has(id))
+        .map(({ id, previous }) => ({
+          id,
+          fields: Object.fromEntries(Object.entries(previous).map(([field, value]) => [field, value ?? deleteField()])),
+        }));
+      if (restores.length > 0) {
+        const restoreResult = await updateTransactionsInTable(restores);
+        if (restoreResult.error) throw restoreResult.error;
+      }
+
+      for (const cardId of new Set((batch.itemChanges || []).map((c) => c.cardId))) {
+        const card = cards.find((c) => c.id === cardId);
+        if (!card) continue;
+        const fields = revertItemChanges(card, batch.itemChanges.filter((c) => c.cardId === cardId));
+        if (Object.keys(fields).length === 0) continue;
+        await updateDoc(doc(db, "cards", cardId), fields);
+        setCards((prev) => prev.map((c) => (c.id === cardId ? { ...c, ...fields } : c)));
+      }
+
+      const batchTxIds = new Set(batchTxs.map((tx) => tx.id));
+      for (const cardId of batch.createdCardIds || []) {
+        const hasOtherTransactions = cardTxs.some((tx) => tx.cardId === cardId && !batchTxIds.has(tx.id));
+        if (!hasOtherTransactions && cards.some((c) => c.id === cardId)) {
+          await deleteCard(cardId);
+        }
+      }
+
+      await updateImportBatchInTable(batch.id, { status: "undone" });
+      setImportBatches((prev) => prev.map((b) => (b.id === batch.id ? { ...b, status: "undone" } : b)));
+      await reloadSelectedTransactions();
+    } catch (err) {
+      console.error("Undo import failed", err);
+      alert("Failed to undo import. Please try again.");
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
   const selectedCard = cards.find(c => c.id === selectedCardId);
+  const totalBalance = getTotalBalance(cards, reportingCurrency, exchangeRates);
 
   // Gate UI: if not signed in, show auth only
   if (!currentUser) {
@@ -420,31 +1213,9 @@ export default function App() {
         <div className="flex items-center justify-between mb-4">
           <h1 className="text-lg font-semibold text-gray-900">Birbank Cashback</h1>
           <div className="flex items-center gap-2">
-            {/* Export Button */}
+            {/* Export Buttons */}
             <button
-              onClick={() => {
-                // Load all transactions for all cards for export
-                const loadAllTransactionsAndExport = async () => {
-                  try {
-                    const txRef = collection(db, "transactions");
-                    const cardIds = cards.map(c => c.id);
-                    let allTransactions = [];
-                    
-                    for (const cardId of cardIds) {
-                      const q = query(txRef, where("cardId", "==", cardId));
-                      const snapshot = await getDocs(q);
-                      const txs = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
-                      allTransactions = [...allTransactions, ...txs];
-                    }
-                    
-                    exportToExcel(cards, allTransactions);
-                  } catch (err) {
-                    console.error("Export failed", err);
-                    alert("Failed to export data. Please try again.");
-                  }
-                };
-                loadAllTransactionsAndExport();
-              }}
+              onClick={() => exportAllData()}
               disabled={cards.length === 0}
               className="px-3 py-1 text-sm rounded-lg bg-green-100 hover:bg-green-200 text-green-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
             >
@@ -453,10 +1224,90 @@ export default function App() {
               </svg>
               Export
             </button>
+            <button
+              onClick={() => exportAllData({ report: true })}
+              disabled={cards.length === 0}
+              title="Excel export with monthly summary, category pivot, limit and wish sheets"
+              className="px-3 py-1 text-sm rounded-lg bg-green-100 hover:bg-green-200 text-green-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M3 3v18h18M7 15l4-4 3 3 5-6"/>
+              </svg>
+              Report
+            </button>
             
+            {/* Statement Button */}
+            <button
+              onClick={() => setShowStatementPdf(true)}
+              disabled={cards.length === 0}
+              className="px-3 py-1 text-sm rounded-lg bg-orange-100 hover:bg-orange-200 text-orange-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8l-6-6zM14 2v6h6M8 13h8M8 17h8"/>
+              </svg>
+              Statement
+            </button>
+
+            {/* Backup Button */}
+            <button
+              onClick={() => setShowBackupModal(true)}
+              className="px-3 py-1 text-sm rounded-lg bg-indigo-100 hover:bg-indigo-200 text-indigo-800 cursor-pointer flex items-center gap-1"
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M4 7c0-1.7 3.6-3 8-3s8 1.3 8 3-3.6 3-8 3-8-1.3-8-3zM4 7v10c0 1.7 3.6 3 8 3s8-1.3 8-3V7M4 12c0 1.7 3.6 3 8 3s8-1.3 8-3"/>
+              </svg>
+              Backup
+            </button>
+
+            {/* Balance Check Button */}
+            <button
+              onClick={() => setShowBalanceCheck(true)}
+              disabled={cards.length === 0}
+              className="px-3 py-1 text-sm rounded-lg bg-purple-100 hover:bg-purple-200 text-purple-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 11l3 3L22 4M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/>
+              </svg>
+              Check Balances
+            </button>
+
+            {/* Exchange Rates Button */}
+            <button
+              onClick={() => setShowExchangeRates(true)}
+              className="px-3 py-1 text-sm rounded-lg bg-teal-100 hover:bg-teal-200 text-teal-800 cursor-pointer flex items-center gap-1"
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M7 16V4M7 4L3 8M7 4l4 4M17 8v12M17 20l4-4M17 20l-4-4"/>
+              </svg>
+              Rates
+            </button>
+
+            {/* Reporting Currency */}
+            <select
+              value={reportingCurrency}
+              onChange={(e) => changeReportingCurrency(e.target.value)}
+              className="px-2 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800 cursor-pointer"
+              title="Reporting currency"
+            >
+              {CURRENCIES.map((currency) => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+
+            {/* Categories Button */}
+            <button
+              onClick={() => setShowCategoryManager(true)}
+              className="px-3 py-1 text-sm rounded-lg bg-yellow-100 hover:bg-yellow-200 text-yellow-800 cursor-pointer flex items-center gap-1"
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M20.59 13.41l-7.17 7.17a2 2 0 01-2.83 0L2 12V2h10l8.59 8.59a2 2 0 010 2.82zM7 7h.01"/>
+              </svg>
+              Categories
+            </button>
+
             {/* Import Button */}
             <button
-              onClick={() => setShowImportModal(true)}
+              onClick={openImportModal}
               className="px-3 py-1 text-sm rounded-lg bg-blue-100 hover:bg-blue-200 text-blue-800 cursor-pointer flex items-center gap-1"
             >
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -477,6 +1328,18 @@ export default function App() {
         <div className="grid gap-6 md:grid-cols-2">
           {/* Left column: card & actions */}
           <div className="flex flex-col">
+            {/* Total across cards in the reporting currency */}
+            {cards.length > 1 && (
+              <div className="mb-2 text-sm text-gray-600">
+                All cards: <span className="font-semibold text-gray-900">{formatAmount(totalBalance.total, reportingCurrency)}</span>
+                {totalBalance.missingCurrencies.length > 0 && (
+                  <span className="text-xs text-yellow-700 ml-2">
+                    (without {totalBalance.missingCurrencies.join(", ")}: no exchange rate)
+                  </span>
+                )}
+              </div>
+            )}
+
             {/* Card Selector Dropdown */}
             <div className="mb-4">
               <CardSelector
@@ -492,6 +1355,7 @@ export default function App() {
               <CardDisplay
                 card={selectedCard}
                 transactions={transactions.filter((t) => t.cardId === selectedCardId)}
+                categories={categories}
                 onManageLimits={() => setShowLimitModal(true)}
                 onManagePlans={() => setShowPlanModal(true)}
                 onManageWishes={() => setShowWishModal(true)}
@@ -519,7 +1383,13 @@ export default function App() {
               <TransactionList
                 transactions={transactions.filter((t) => t.cardId === selectedCardId)}
                 onDeleteTransaction={deleteTransaction}
+                onEditTransaction={setEditingTx}
+                recurringRules={recurringRules}
+                categories={categories}
                 currentCard={selectedCard}
+                reportingCurrency={reportingCurrency}
+                exchangeRates={exchangeRates}
+                onExportCalendar={exportScheduledCalendar}
                 onToggleIncludeInExpected={async (txId, newValue) => {
                   try {
                     await updateDoc(doc(db, "transactions", txId), {
@@ -552,13 +1422,26 @@ export default function App() {
           onClose={() => setShowAddTx(false)}
           onSubmit={addTransaction}
           cards={cards}
+          categories={categories}
           defaultCardId={selectedCardId}
         />
       )}
 
+      {editingTx && (
+        <AddTransactionModal
+          onClose={() => setEditingTx(null)}
+          onSubmit={(tx) => editTransaction(editingTx, tx)}
+          cards={cards}
+          categories={categories}
+          defaultCardId={editingTx.cardId}
+          initialTransaction={editingTx}
+        />
+      )}
+
       {showLimitModal && selectedCard && (
         <CardLimitModal
           card={selectedCard}
+          categories={categories}
           onClose={() => setShowLimitModal(false)}
           onUpdate={(updatedCard) => {
             setCards(prev => prev.map(c => (c.id === updatedCard.id ? updatedCard : c)));
@@ -586,17 +1469,71 @@ export default function App() {
         />
       )}
 
+      {showExchangeRates && (
+        <ExchangeRateModal
+          rates={exchangeRates}
+          onClose={() => setShowExchangeRates(false)}
+          onSave={saveExchangeRate}
+          onDelete={deleteExchangeRate}
+        />
+      )}
+
+      {showStatementPdf && (
+        <StatementPdfModal
+          cards={cards}
+          defaultCardId={selectedCardId}
+          onClose={() => setShowStatementPdf(false)}
+          onGenerate={downloadMonthlyStatement}
+        />
+      )}
+
+      {showBackupModal && (
+        <BackupModal
+          accountIsEmpty={isEmptyAccount({ cards, categories, recurringRules, exchangeRates })}
+          onClose={() => setShowBackupModal(false)}
+          onDownload={downloadAccountBackup}
+          onRestore={restoreAccountBackup}
+        />
+      )}
+
+      {showCategoryManager && (
+        <CategoryManagerModal
+          categories={categories}
+          onClose={() => setShowCategoryManager(false)}
+          onSave={saveCategory}
+          onDelete={deleteCategory}
+        />
+      )}
+
+      {showBalanceCheck && (
+        <BalanceCheckModal
+          cards={cards}
+          onClose={() => setShowBalanceCheck(false)}
+          onCardUpdate={(cardId, fields) => {
+            setCards(prev => prev.map(c => (c.id === cardId ? { ...c, ...fields } : c)));
+          }}
+          onTransactionAdded={(tx) => {
+            if (tx.cardId === selectedCardId) {
+              setTransactions(prev => [tx, ...prev].sort((a, b) => new Date(b.date) - new Date(a.date)));
+            }
+          }}
+        />
+      )}
+
       {/* Import Modal */}
       {showImportModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
           <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl mx-4 max-h-[90vh] overflow-hidden flex flex-col">
             <div className="p-4 border-b flex items-center justify-between">
-              <h2 className="text-lg font-semibold text-gray-900">Import from Excel</h2>
+              <h2 className="text-lg font-semibold text-gray-900">
+                {importMode === "statement" ? "Import Bank Statement" : "Import from Excel"}
+              </h2>
               <button
                 onClick={() => {
                   setShowImportModal(false);
                   setImportData(null);
                   setImportValidation(null);
+                  setImportMode("excel");
                 }}
                 className="text-gray-500 hover:text-gray-700 cursor-pointer"
               >
@@ -607,26 +1544,41 @@ export default function App() {
             </div>
             
             <div className="p-4 overflow-y-auto flex-1">
-              {!importData ? (
+              {!importData && importMode === "statement" ? (
+                <StatementImportWizard
+                  cards={cards}
+                  defaultCardId={selectedCardId}
+                  onComplete={async (data, skipped) => {
+                    try {
+                      setImportLoading(true);
+                      await prepareImport(data, skipped);
+                    } catch (err) {
+                      alert(`Failed to check statement: ${err.message}`);
+                    } finally {
+                      setImportLoading(false);
+                    }
+                  }}
+                  onCancel={() => setImportMode("excel")}
+                />
+              ) : !importData ? (
                 <div className="space-y-4">
                   <p className="text-sm text-gray-600">
                     Upload an Excel file (.xlsx) containing your financial data. The file should have sheets named: Cards, Transactions, Limits, Plans, Wishes.
+                    Bank statements in OFX, QFX, QIF, camt.053 (.xml) or MT940 (.sta) format can be uploaded too; QIF transactions go to the selected card unless the file names the account.
                   </p>
                   
                   <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
                     <input
                       type="file"
-                      accept=".xlsx,.xls"
+                      accept=".xlsx,.xls,.ofx,.qfx,.qif,.xml,.sta,.mt940,.940"
                       onChange={async (e) => {
                         const file = e.target.files?.[0];
                         if (!file) return;
                         
                         try {
                           setImportLoading(true);
-                          const data = await parseExcelFile(file);
-                          setImportData(data);
-                          const validation = validateImportData(data, cards);
-                          setImportValidation(validation);
+                          const data = await parseImportFile(file, selectedCard?.cardNumber);
+                          await prepareImport(data);
                         } catch (err) {
                           alert(`Failed to parse file: ${err.message}`);
                         } finally {
@@ -659,6 +1611,46 @@ export default function App() {
                   >
                     Download Template
                   </button>
+
+                  <button
+                    onClick={() => setImportMode("statement")}
+                    className="w-full px-4 py-2 bg-blue-50 text-blue-700 rounded-lg text-sm font-medium hover:bg-blue-100 transition-colors cursor-pointer"
+                  >
+                    Import a Bank Statement (CSV/XLSX)
+                  </button>
+
+                  {/* Recent Imports */}
+                  {importBatches.length > 0 && (
+                    <div>
+                      <p className="text-sm font-medium text-gray-700 mb-2">Recent imports</p>
+                      <div className="space-y-1">
+                        {importBatches.slice(0, 5).map(batch => (
+                          <div key={batch.id} className="flex items-center justify-between gap-2 bg-gray-50 p-2 rounded text-xs">
+                            <div>
+                              <p className="text-gray-900">
+                                {batch.createdAt?.toDate?.().toLocaleString() ?? "Unknown date"}
+                                {batch.status === "failed" && <span className="text-red-600"> · failed partway</span>}
+                                {batch.status === "pending" && <span className="text-amber-600"> · unfinished</span>}
+                                {batch.status === "undone" && <span className="text-gray-500"> · undone</span>}
+                              </p>
+                              <p className="text-gray-500">
+                                {batch.summary?.transactions || 0} transactions, {batch.summary?.cards || 0} new cards, {batch.summary?.merged || 0} merged, {batch.summary?.itemChanges || 0} limit/plan/wish changes
+                              </p>
+                            </div>
+                            {batch.status !== "undone" && (
+                              <button
+                                onClick={() => undoImport(batch)}
+                                disabled={importLoading}
+                                className="px-2 py-1 text-red-600 hover:bg-red-50 rounded cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Undo
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div className="space-y-4">
@@ -740,10 +1732,101 @@ export default function App() {
                     </div>
                   </div>
                   
+                  {/* Possible Duplicates */}
+                  {importDuplicates.length > 0 && (
+                    <div className="bg-orange-50 border border-orange-200 p-3 rounded-lg">
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="text-sm font-medium text-orange-800">
+                          Possible duplicates ({importDuplicates.length})
+                        </p>
+                        <div className="flex gap-2 text-xs">
+                          {Object.entries(DUPLICATE_ACTIONS).map(([action, label]) => (
+                            <button
+                              key={action}
+                              onClick={() => setDuplicateActions(Object.fromEntries(importDuplicates.map(d => [d.index, action])))}
+                              className="text-orange-700 hover:text-orange-900 underline cursor-pointer"
+                            >
+                              {label} all
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <p className="text-xs text-orange-700 mb-2">
+                        These transactions are already stored. Skipped rows change nothing; merging copies the imported category and bank details onto the stored transaction.
+                      </p>
+                      <div className="space-y-1 max-h-48 overflow-y-auto">
+                        {importDuplicates.map(({ index, reason }) => {
+                          const tx = importData.transactions[index];
+                          const txCard = cards.find(c => c.cardNumber === tx.card_number);
+                          return (
+                            <div key={index} className="flex items-center justify-between gap-2 bg-white p-2 rounded text-xs">
+                              <div className="min-w-0">
+                                <p className="font-medium text-gray-900 truncate">{tx.title}</p>
+                                <p className="text-gray-500">
+                                  {new Date(tx.date).toLocaleDateString()} · {tx.type === "cost" ? "-" : "+"}{formatAmount(tx.amount, getCardCurrency(txCard))} · {reason === "externalId" ? "Same bank ID" : "Same day, amount and title"}
+                                </p>
+                              </div>
+                              <select
+                                value={duplicateActions[index] || "skip"}
+                                onChange={(e) => setDuplicateActions(prev => ({ ...prev, [index]: e.target.value }))}
+                                className="border border-gray-300 p-1 rounded text-xs bg-white"
+                              >
+                                {Object.entries(DUPLICATE_ACTIONS).map(([action, label]) => (
+                                  <option key={action} value={action}>{label}</option>
+                                ))}
+                              </select>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+                  
+                  {/* Dry Run */}
+                  {importPlan && (
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                      <p className="text-sm font-medium text-gray-700 mb-2">What will change:</p>
+                      {isEmptyImportPlan(importPlan) ? (
+                        <p className="text-xs text-gray-500">Nothing: everything in this file is already stored.</p>
+                      ) : (
+                        <ul className="text-xs text-gray-700 space-y-1 max-h-48 overflow-y-auto">
+                          {importPlan.balances.map(b => (
+                            <li key={b.card_number}>
+                              Card {b.card_number}{b.isNew && <span className="text-blue-600"> (new)</span>}:{" "}
+                              {formatAmount(b.before, b.currency)} → <span className="font-medium">{formatAmount(b.after, b.currency)}</span>
+                              {b.transactionCount > 0 && <span className="text-gray-500"> · {b.transactionCount} transactions</span>}
+                            </li>
+                          ))}
+                          {importPlan.merges.length > 0 && (
+                            <li>{importPlan.merges.length} stored transactions updated by merging</li>
+                          )}
+                          {importPlan.skipped > 0 && (
+                            <li className="text-gray-500">{importPlan.skipped} duplicates skipped</li>
+                          )}
+                          {importPlan.newCategories.length > 0 && (
+                            <li>New categories: {importPlan.newCategories.map(c => c.name).join(", ")}</li>
+                          )}
+                          {importPlan.itemChanges.map(({ card_number, type, item, previous }, i) => {
+                            const currency = getCardCurrency(cards.find(c => c.cardNumber === card_number) || importPlan.newCards.find(c => c.card_number === card_number));
+                            return (
+                              <li key={i} className={previous ? "text-orange-700" : ""}>
+                                {IMPORT_ITEM_LABELS[type]} {item.month}{item.category ? ` (${item.category})` : ""} on {card_number}:{" "}
+                                {previous
+                                  ? `${formatAmount(getItemAmount(type, previous), currency)} → ${formatAmount(getItemAmount(type, item), currency)} (overwritten)`
+                                  : `${formatAmount(getItemAmount(type, item), currency)} (new)`}
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                  
                   <button
                     onClick={() => {
                       setImportData(null);
                       setImportValidation(null);
+                      setImportMode("excel");
                     }}
                     className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer"
                   >
@@ -759,130 +1842,14 @@ export default function App() {
                   setShowImportModal(false);
                   setImportData(null);
                   setImportValidation(null);
+                  setImportMode("excel");
                 }}
                 className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 cursor-pointer"
               >
                 Cancel
               </button>
               <button
-                onClick={async () => {
-                  if (!importData || !importValidation?.isValid) return;
-                  
-                  try {
-                    setImportLoading(true);
-                    const userId = localStorage.getItem("userId");
-                    if (!userId) {
-                      alert("Please sign in to import data.");
-                      return;
-                    }
-                    
-                    // Create a map of card_number to card for linking
-                    const cardNumberToCard = {};
-                    cards.forEach(c => {
-                      cardNumberToCard[c.cardNumber] = c;
-                    });
-                    
-                    // Import new cards first
-                    for (const cardData of importData.cards) {
-                      // Check if card already exists
-                      if (cardNumberToCard[cardData.card_number]) {
-                        continue; // Skip existing cards
-                      }
-                      
-                      const fsCard = {
-                        card_number: cardData.card_number,
-                        current_amount: cardData.current_amount,
-                        user_id: userId,
-                      };
-                      const result = await addCardToTable(fsCard);
-                      if (!result.error) {
-                        const newCard = {
-                          id: result.id,
-                          cardNumber: cardData.card_number,
-                          amount: cardData.current_amount,
-                          limits: [],
-                          plans: [],
-                          wishes: [],
-                        };
-                        cardNumberToCard[cardData.card_number] = newCard;
-                        setCards(prev => [...prev, newCard]);
-                      }
-                    }
-                    
-                    // Import transactions
-                    for (const txData of importData.transactions) {
-                      const card = cardNumberToCard[txData.card_number];
-                      if (!card) continue;
-                      
-                      const txDate = new Date(txData.date);
-                      const now = new Date();
-                      const isFuture = txDate > now;
-                      
-                      const tx = {
-                        cardId: card.id,
-                        title: txData.title,
-                        type: txData.type,
-                        category: txData.category,
-                        amount: txData.amount,
-                        date: txData.date,
-                        scheduled: txData.scheduled || isFuture,
-                        isAffect: txData.isAffect || !isFuture,
-                        includeInExpected: txData.includeInExpected,
-                      };
-                      
-                      const result = await addTransactionToTable(tx);
-                      if (!result.error) {
-                        // Update card balance if transaction affects it
-                        if (tx.isAffect) {
-                          const updatedAmount = tx.type === "cost" 
-                            ? card.amount - tx.amount 
-                            : card.amount + tx.amount;
-                          await updateDoc(doc(db, "cards", card.id), { current_amount: updatedAmount });
-                          card.amount = updatedAmount;
-                          setCards(prev => prev.map(c => c.id === card.id ? { ...c, amount: updatedAmount } : c));
-                        }
-                      }
-                    }
-                    
-                    // Import limits, plans, wishes
-                    for (const type of ['limits', 'plans', 'wishes']) {
-                      for (const item of importData[type]) {
-                        const card = cardNumberToCard[item.card_number];
-                        if (!card) continue;
-                        
-                        // Add to card's array
-                        const currentArray = card[type] || [];
-                        // Check if already exists for this month
-                        if (!currentArray.some(existing => existing.month === item.month)) {
-                          const newArray = [...currentArray, { month: item.month, amount: item.amount }];
-                          await updateDoc(doc(db, "cards", card.id), { [type]: newArray });
-                          card[type] = newArray;
-                          setCards(prev => prev.map(c => c.id === card.id ? { ...c, [type]: newArray } : c));
-                        }
-                      }
-                    }
-                    
-                    alert("Import completed successfully!");
-                    setShowImportModal(false);
-                    setImportData(null);
-                    setImportValidation(null);
-                    
-                    // Reload transactions for current card
-                    if (selectedCardId) {
-                      const txRef = collection(db, "transactions");
-                      const q = query(txRef, where("cardId", "==", selectedCardId), orderBy("date", "desc"));
-                      const snapshot = await getDocs(q);
-                      const fetched = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-                      setTransactions(fetched);
-                    }
-                    
-                  } catch (err) {
-                    console.error("Import failed", err);
-                    alert(`Import failed: ${err.message}`);
-                  } finally {
-                    setImportLoading(false);
-                  }
-                }}
+                onClick={commitImport}
                 disabled={!importData || !importValidation?.isValid || importLoading}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
               >
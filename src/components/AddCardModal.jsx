@@ -1,8 +1,10 @@
 import { useState } from "react";
+import { CURRENCIES, DEFAULT_CURRENCY } from "../services/currency";
 
 export default function AddCardModal({ onClose, onSubmit }) {
   const [number, setNumber] = useState("");
   const [amount, setAmount] = useState("");
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
 
   const handleNumberChange = (e) => {
     const value = e.target.value.replace(/\s/g, "").replace(/\D/g, "");
@@ -19,10 +21,12 @@ export default function AddCardModal({ onClose, onSubmit }) {
       onSubmit({ 
         cardNumber: number, 
         amount: Number(amount),
+        currency,
         limits: [] // Initialize with empty limits array
       });
       setNumber("");
       setAmount("");
+      setCurrency(DEFAULT_CURRENCY);
       onClose();
     }
   };
@@ -60,18 +64,34 @@ export default function AddCardModal({ onClose, onSubmit }) {
           )}
         </div>
 
-        <div className="mb-6">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Existing Balance
-          </label>
-          <input
-            type="number"
-            step="0.01"
-            placeholder="0.00"
-            className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
-            value={amount}
-            onChange={(e) => setAmount(e.target.value)}
-          />
+        <div className="mb-6 flex gap-3">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Existing Balance
+            </label>
+            <input
+              type="number"
+              step="0.01"
+              placeholder="0.00"
+              className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Currency
+            </label>
+            <select
+              className="border border-gray-300 p-3 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+          </div>
         </div>
 
         <div className="flex justify-between gap-3">
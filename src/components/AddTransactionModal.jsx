@@ -1,49 +1,128 @@
 import { useState } from "react";
+import { findCategory, getCategoryTree, isCategoryForType, FALLBACK_CATEGORY_NAME } from "../services/categories";
+import { getCardCurrency } from "../services/currency";
 
-export default function AddTransactionModal({ onClose, onSubmit, cards, defaultCardId }) {
-  const [title, setTitle] = useState("");
-  const [amount, setAmount] = useState("");
-  const [type, setType] = useState("cost");
-  const [category, setCategory] = useState("Markets");
-  const [cardId, setCardId] = useState(defaultCardId);
+// When initialTransaction is passed the modal works in edit mode and is prefilled with it
+export default function AddTransactionModal({ onClose, onSubmit, cards, categories = [], defaultCardId, initialTransaction = null }) {
+  const isEditing = initialTransaction !== null;
+
+  // Categories offered for a transaction type, parents followed by their subcategories
+  const getCategoryOptions = (txType) => getCategoryTree(categories.filter(c => isCategoryForType(c, txType)));
+  const getDefaultCategory = (txType) => getCategoryOptions(txType)[0]?.category.name ?? FALLBACK_CATEGORY_NAME;
+
+  const [title, setTitle] = useState(initialTransaction?.title ?? "");
+  const [amount, setAmount] = useState(initialTransaction ? String(initialTransaction.amount) : "");
+  const [type, setType] = useState(initialTransaction?.type ?? "cost");
+  const [category, setCategory] = useState(initialTransaction?.category ?? getDefaultCategory("cost"));
+  const [cardId, setCardId] = useState(initialTransaction?.cardId ?? defaultCardId);
+  const [toCardId, setToCardId] = useState("");
   
   // Get current date and time as default values
   const now = new Date();
   const defaultDate = now.toISOString().split('T')[0]; // YYYY-MM-DD format
   const defaultTime = now.toTimeString().slice(0, 5); // HH:MM format
+
+  // In edit mode, start from the transaction's own local date and time
+  const initialDateTime = initialTransaction ? new Date(initialTransaction.date) : null;
+  const initialDate = initialDateTime
+    ? `${initialDateTime.getFullYear()}-${String(initialDateTime.getMonth() + 1).padStart(2, '0')}-${String(initialDateTime.getDate()).padStart(2, '0')}`
+    : defaultDate;
+  const initialTime = initialDateTime ? initialDateTime.toTimeString().slice(0, 5) : defaultTime;
   
-  const [date, setDate] = useState(defaultDate);
-  const [time, setTime] = useState(defaultTime);
+  const [date, setDate] = useState(initialDate);
+  const [time, setTime] = useState(initialTime);
+
+  // Recurrence (new transactions only)
+  const [frequency, setFrequency] = useState("none"); // "none", "daily", "weekly", "monthly", "yearly"
+  const [repeatInterval, setRepeatInterval] = useState("1");
+  const [endType, setEndType] = useState("never"); // "never", "date", "count"
+  const [endDate, setEndDate] = useState("");
+  const [occurrences, setOccurrences] = useState("12");
+
+  // Edit scope for occurrences of a recurring rule
+  const isRecurringOccurrence = isEditing && Boolean(initialTransaction.recurringRuleId);
+  const [recurrenceScope, setRecurrenceScope] = useState("single"); // "single" or "future"
+
+  // Transfers move money to another of the user's cards (new transactions only)
+  const isTransfer = type === "transfer";
+  const otherCards = cards.filter(c => c.id !== cardId);
+
+  // Combine date and time into a local Date
+  const getDateTime = () => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes, 0, 0);
+  };
 
   const handleSubmit = () => {
     if (title && amount && cardId && date && time) {
-      // Combine date and time into ISO string
-      // Parse date and time components
-      const [year, month, day] = date.split('-').map(Number);
-      const [hours, minutes] = time.split(':').map(Number);
-      
-      // Create date object with local date/time
-      const dateTime = new Date(year, month - 1, day, hours, minutes, 0, 0);
+      const dateTime = getDateTime();
       
-      onSubmit({
+      const txData = {
         cardId,
         title,
         type,
         category,
         amount: Number(amount),
         date: dateTime.toISOString()
-      });
+      };
+
+      if (isTransfer) {
+        delete txData.category;
+        txData.toCardId = toCardId;
+      }
+
+      if (!isEditing && !isTransfer && frequency !== "none") {
+        const [endYear, endMonth, endDay] = endDate.split('-').map(Number);
+        txData.recurrence = {
+          frequency,
+          interval: Number(repeatInterval) || 1,
+          // End of the chosen day in local time
+          endDate: endType === "date" ? new Date(endYear, endMonth - 1, endDay, 23, 59, 59, 999).toISOString() : null,
+          count: endType === "count" ? Number(occurrences) : null
+        };
+      }
+      if (isRecurringOccurrence) {
+        txData.recurrenceScope = recurrenceScope;
+      }
+
+      onSubmit(txData);
       setTitle("");
       setAmount("");
       setType("cost");
-      setCategory("Markets");
+      setCategory(getDefaultCategory("cost"));
+      setToCardId("");
       setDate(defaultDate);
       setTime(defaultTime);
+      setFrequency("none");
       onClose();
     }
   };
 
-  const isValid = title && amount && cardId && date && time;
+  const isRecurrenceValid = frequency === "none"
+    || ((Number(repeatInterval) >= 1)
+      && (endType !== "date" || endDate >= date)
+      && (endType !== "count" || Number(occurrences) >= 1));
+  // A transfer needs a destination card and can't be scheduled
+  const isTransferFuture = isTransfer && date && time && getDateTime() > new Date();
+  const isTransferValid = !isTransfer || (toCardId && toCardId !== cardId && !isTransferFuture);
+  // Amounts are entered in the card's currency; a transfer to a card in another currency is converted
+  const currency = getCardCurrency(cards.find(c => c.id === cardId));
+  const toCurrency = getCardCurrency(cards.find(c => c.id === toCardId));
+  // Switching the type keeps the category only if it can be used for the new type
+  const handleTypeChange = (newType) => {
+    setType(newType);
+    const current = findCategory(categories, category);
+    if (newType !== "transfer" && (!current || !isCategoryForType(current, newType))) {
+      setCategory(getDefaultCategory(newType));
+    }
+  };
+
+  const categoryOptions = isTransfer ? [] : getCategoryOptions(type);
+  // A transaction being edited keeps its category even if it is no longer in the list
+  const hasUnlistedCategory = category && !categoryOptions.some(({ category: c }) => c.name === category);
+
+  const isValid = title && amount && cardId && date && time && (isTransfer || isRecurrenceValid) && isTransferValid;
 
   return (
     <div className="fixed inset-0 z-50 flex justify-center items-center overflow-y-auto">
@@ -56,7 +135,7 @@ export default function AddTransactionModal({ onClose, onSubmit, cards, defaultC
       {/* Modal content */}
       <div className="relative bg-white p-6 rounded-xl w-full max-w-2xl shadow-xl mx-4 my-auto">
 
-        <h2 className="text-xl font-semibold mb-6 text-gray-900">Add Transaction</h2>
+        <h2 className="text-xl font-semibold mb-6 text-gray-900">{isEditing ? "Edit Transaction" : "Add Transaction"}</h2>
 
         <div className="grid grid-cols-2 gap-4 mb-6">
           {/* Left Column */}
@@ -91,7 +170,7 @@ export default function AddTransactionModal({ onClose, onSubmit, cards, defaultC
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Amount
+                Amount ({currency})
               </label>
               <input
                 type="number"
@@ -110,34 +189,61 @@ export default function AddTransactionModal({ onClose, onSubmit, cards, defaultC
               <select
                 className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
                 value={type}
-                onChange={(e) => setType(e.target.value)}
+                onChange={(e) => handleTypeChange(e.target.value)}
               >
                 <option value="cost">Cost (Spending)</option>
                 <option value="revenue">Revenue</option>
+                {!isEditing && cards.length > 1 && (
+                  <option value="transfer">Transfer to another card</option>
+                )}
               </select>
             </div>
           </div>
 
           {/* Right Column */}
           <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Category
-              </label>
-              <select
-                className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
-                value={category}
-                onChange={(e) => setCategory(e.target.value)}
-              >
-                <option value="Markets">Markets</option>
-                <option value="Transfers">Transfers</option>
-                <option value="Parking">Parking</option>
-                <option value="Salary">Salary</option>
-                <option value="Kredit">Kredit</option>
-                <option value="Enjoyment">Enjoyment</option>
-                <option value="Other">Other</option>
-              </select>
-            </div>
+            {isTransfer ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  To Card
+                </label>
+                <select
+                  className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                  value={toCardId}
+                  onChange={(e) => setToCardId(e.target.value)}
+                >
+                  <option value="">Select a card</option>
+                  {otherCards.map(c => (
+                    <option key={c.id} value={c.id}>{c.cardNumber} ({getCardCurrency(c)})</option>
+                  ))}
+                </select>
+                {toCardId && toCurrency !== currency && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    The amount is converted to {toCurrency} with the exchange rate of the transfer date.
+                  </p>
+                )}
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Category
+                </label>
+                <select
+                  className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                  value={category}
+                  onChange={(e) => setCategory(e.target.value)}
+                >
+                  {hasUnlistedCategory && (
+                    <option value={category}>{category}</option>
+                  )}
+                  {categoryOptions.map(({ category: c, depth }) => (
+                    <option key={c.id} value={c.name}>
+                      {depth > 0 ? `\u00A0\u00A0\u00A0${c.name}` : c.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -163,10 +269,132 @@ export default function AddTransactionModal({ onClose, onSubmit, cards, defaultC
                 onChange={(e) => setTime(e.target.value)}
                 required
               />
+              {isTransferFuture && (
+                <p className="text-xs text-red-600 mt-1">
+                  Transfers are applied right away and can't be scheduled
+                </p>
+              )}
             </div>
           </div>
         </div>
 
+        {/* Repeat - only when adding a transaction */}
+        {!isEditing && !isTransfer && (
+          <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Repeat
+                </label>
+                <select
+                  className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white"
+                  value={frequency}
+                  onChange={(e) => setFrequency(e.target.value)}
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="yearly">Yearly</option>
+                </select>
+              </div>
+
+              {frequency !== "none" && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Every
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white"
+                    value={repeatInterval}
+                    onChange={(e) => setRepeatInterval(e.target.value)}
+                  />
+                </div>
+              )}
+
+              {frequency !== "none" && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Ends
+                  </label>
+                  <select
+                    className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white"
+                    value={endType}
+                    onChange={(e) => setEndType(e.target.value)}
+                  >
+                    <option value="never">Never</option>
+                    <option value="date">On date</option>
+                    <option value="count">After a number of occurrences</option>
+                  </select>
+                </div>
+              )}
+
+              {frequency !== "none" && endType === "date" && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    End Date
+                  </label>
+                  <input
+                    type="date"
+                    min={date}
+                    className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                  />
+                </div>
+              )}
+
+              {frequency !== "none" && endType === "count" && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Occurrences
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    className="border border-gray-300 p-3 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white"
+                    value={occurrences}
+                    onChange={(e) => setOccurrences(e.target.value)}
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Edit scope - only for occurrences of a recurring transaction */}
+        {isRecurringOccurrence && (
+          <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+            <div className="text-sm font-medium text-gray-700 mb-2">This is a recurring transaction</div>
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="radio"
+                  name="recurrenceScope"
+                  value="single"
+                  checked={recurrenceScope === "single"}
+                  onChange={() => setRecurrenceScope("single")}
+                />
+                Edit this occurrence only
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="radio"
+                  name="recurrenceScope"
+                  value="future"
+                  checked={recurrenceScope === "future"}
+                  onChange={() => setRecurrenceScope("future")}
+                />
+                Edit this and all future occurrences
+              </label>
+            </div>
+          </div>
+        )}
+
         {/* Buttons spanning full width */}
         <div className="flex justify-between gap-3">
           <button 
@@ -185,7 +413,7 @@ export default function AddTransactionModal({ onClose, onSubmit, cards, defaultC
             onClick={handleSubmit}
             disabled={!isValid}
           >
-            Add Transaction
+            {isEditing ? "Save Changes" : "Add Transaction"}
           </button>
         </div>
 
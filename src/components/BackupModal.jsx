@@ -0,0 +1,160 @@
+import { useState } from "react";
+import { RESTORE_MODES, readBackupFile, validateBackup } from "../services/backup";
+
+const COLLECTION_LABELS = {
+  categories: "Categories",
+  cards: "Cards",
+  recurringRules: "Recurring rules",
+  transactions: "Transactions",
+  exchangeRates: "Exchange rates",
+};
+
+// Downloads a JSON backup of the whole account and restores one. A backup can fill an
+// empty account or be merged into this one, which only adds what the account doesn't have.
+export default function BackupModal({ accountIsEmpty, onClose, onDownload, onRestore }) {
+  const [fileName, setFileName] = useState("");
+  const [validation, setValidation] = useState(null);
+  const [mode, setMode] = useState(accountIsEmpty ? "empty" : "merge");
+  const [busy, setBusy] = useState(false);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name);
+    try {
+      setValidation(validateBackup(await readBackupFile(file)));
+    } catch (err) {
+      setValidation({ isValid: false, errors: [err.message], warnings: [], backup: null, summary: {} });
+    }
+  };
+
+  const handleDownload = async () => {
+    setBusy(true);
+    await onDownload();
+    setBusy(false);
+  };
+
+  const handleRestore = async () => {
+    if (!validation?.isValid) return;
+    setBusy(true);
+    await onRestore(validation.backup, mode);
+    setBusy(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-center items-center">
+      {/* Backdrop div */}
+      <div
+        className="absolute w-full h-full bg-gray-500"
+        style={{ opacity: 0.5 }}
+        onClick={busy ? undefined : onClose}
+      />
+      {/* Modal content */}
+      <div className="relative bg-white p-6 rounded-xl w-96 shadow-xl max-w-[90vw] max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-semibold mb-6 text-gray-900">Backup & Restore</h2>
+
+        {/* Download */}
+        <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Download Backup</h3>
+          <p className="text-xs text-gray-600 mb-3">
+            A JSON file with your profile, cards, transactions, limits, plans, wishes, categories, recurring rules, exchange rates and saved analysis.
+          </p>
+          <button
+            onClick={handleDownload}
+            disabled={busy}
+            className="w-full px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Download Backup
+          </button>
+        </div>
+
+        {/* Restore */}
+        <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+          <h3 className="text-sm font-medium text-gray-700">Restore Backup</h3>
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => handleFile(e.target.files?.[0])}
+            disabled={busy}
+            className="hidden"
+            id="backup-file-input"
+          />
+          <label
+            htmlFor="backup-file-input"
+            className="block border-2 border-dashed border-gray-300 rounded-lg p-4 text-center text-sm text-gray-700 cursor-pointer"
+          >
+            {fileName || "Click to select a backup file"}
+          </label>
+
+          {validation && !validation.isValid && (
+            <ul className="text-xs text-red-700 list-disc pl-4">
+              {validation.errors.map((message, i) => (
+                <li key={i}>{message}</li>
+              ))}
+            </ul>
+          )}
+
+          {validation?.isValid && (
+            <>
+              <ul className="text-xs text-gray-700">
+                {Object.entries(validation.summary).map(([name, count]) => (
+                  <li key={name} className="flex justify-between">
+                    <span>{COLLECTION_LABELS[name]}</span>
+                    <span className="font-medium">{count}</span>
+                  </li>
+                ))}
+                {validation.backup.analysis && <li>Saved analysis</li>}
+              </ul>
+              {validation.warnings.length > 0 && (
+                <ul className="text-xs text-yellow-700 list-disc pl-4">
+                  {validation.warnings.map((message, i) => (
+                    <li key={i}>{message}</li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="space-y-1 text-sm text-gray-700">
+                {Object.entries(RESTORE_MODES).map(([value, label]) => (
+                  <label
+                    key={value}
+                    className={`flex items-center gap-2 ${value === "empty" && !accountIsEmpty ? "text-gray-400 cursor-not-allowed" : "cursor-pointer"}`}
+                  >
+                    <input
+                      type="radio"
+                      checked={mode === value}
+                      disabled={value === "empty" && !accountIsEmpty}
+                      onChange={() => setMode(value)}
+                    />
+                    {label}
+                  </label>
+                ))}
+                {!accountIsEmpty && (
+                  <p className="text-xs text-gray-500">
+                    This account already has data, so the backup is merged: cards, transactions and the rest are only added when they aren't here yet.
+                  </p>
+                )}
+              </div>
+
+              <button
+                onClick={handleRestore}
+                disabled={busy}
+                className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {busy ? "Restoring..." : "Restore"}
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            disabled={busy}
+            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 cursor-pointer disabled:opacity-50"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from "react";
+import { db } from "../firebase/client";
+import { collection, doc, getDoc, getDocs, query, where } from "firebase/firestore";
+import { reconcileCard } from "../services/balance";
+import { DEFAULT_CURRENCY, formatAmount } from "../services/currency";
+import {
+  acceptRecomputedBalance,
+  recordBalanceAdjustment,
+  setOpeningBalance,
+} from "../firebase/ledger";
+
+export default function BalanceCheckModal({ cards, onClose, onCardUpdate, onTransactionAdded }) {
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyCardId, setBusyCardId] = useState(null);
+
+  // Recompute every card from Firestore (not local state) so the check sees
+  // all transactions, including those of cards that aren't selected
+  const runCheck = useCallback(async () => {
+    setLoading(true);
+    try {
+      const checked = [];
+      for (const card of cards) {
+        const cardSnapshot = await getDoc(doc(db, "cards", card.id));
+        if (!cardSnapshot.exists()) continue;
+        const data = cardSnapshot.data();
+
+        const q = query(collection(db, "transactions"), where("cardId", "==", card.id));
+        const snapshot = await getDocs(q);
+        const txs = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+        checked.push({
+          ...reconcileCard({
+            id: card.id,
+            cardNumber: data.card_number,
+            amount: data.current_amount ?? 0,
+            openingAmount: data.opening_amount ?? null,
+          }, txs),
+          currency: data.currency || DEFAULT_CURRENCY,
+        });
+      }
+      setResults(checked);
+    } catch (err) {
+      console.error("Balance check failed", err);
+      alert("Failed to check balances. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, [cards]);
+
+  useEffect(() => {
+    runCheck();
+  }, [runCheck]);
+
+  const handleAcceptRecomputed = async (result) => {
+    if (!window.confirm(`Set the balance of card ${result.cardNumber} to ${formatAmount(result.recomputedAmount, result.currency)}?`)) {
+      return;
+    }
+    setBusyCardId(result.cardId);
+    const res = await acceptRecomputedBalance(result.cardId, result.storedAmount, result.recomputedAmount);
+    setBusyCardId(null);
+    if (res.error) {
+      alert(res.error.message || "Failed to update balance. Please try again.");
+      return;
+    }
+    onCardUpdate(result.cardId, { amount: result.recomputedAmount });
+    runCheck();
+  };
+
+  const handleRecordAdjustment = async (result) => {
+    if (!window.confirm(`Record a balance adjustment of ${formatAmount(result.discrepancy, result.currency)} on card ${result.cardNumber}?`)) {
+      return;
+    }
+    setBusyCardId(result.cardId);
+    const res = await recordBalanceAdjustment(result.cardId, result.storedAmount, result.discrepancy);
+    setBusyCardId(null);
+    if (res.error) {
+      alert(res.error.message || "Failed to record adjustment. Please try again.");
+      return;
+    }
+    onTransactionAdded(res.transaction);
+    runCheck();
+  };
+
+  const handleSetOpening = async (result) => {
+    setBusyCardId(result.cardId);
+    const res = await setOpeningBalance(result.cardId, result.suggestedOpeningAmount);
+    setBusyCardId(null);
+    if (res.error) {
+      alert("Failed to set opening balance. Please try again.");
+      return;
+    }
+    onCardUpdate(result.cardId, { openingAmount: result.suggestedOpeningAmount });
+    runCheck();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-center items-center">
+      {/* Backdrop div */}
+      <div
+        className="absolute w-full h-full bg-gray-500"
+        style={{ opacity: 0.5 }}
+        onClick={onClose}
+      />
+      {/* Modal content */}
+      <div className="relative bg-white p-6 rounded-xl w-[36rem] shadow-xl max-w-[90vw] max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-semibold mb-2 text-gray-900">Balance Check</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Each card's balance is recomputed from its opening balance and every transaction that affected it,
+          and compared with the stored balance.
+        </p>
+
+        {loading ? (
+          <div className="text-center text-gray-500 py-8 text-sm">Checking balances...</div>
+        ) : results.length === 0 ? (
+          <div className="text-center text-gray-500 py-8 text-sm">No cards to check</div>
+        ) : (
+          <div className="space-y-3 mb-6">
+            {results.map((result) => (
+              <div key={result.cardId} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-medium text-gray-900">Card {result.cardNumber}</div>
+                  {result.recomputedAmount === null ? (
+                    <span className="text-xs px-2 py-1 rounded-full bg-yellow-100 text-yellow-800">No opening balance</span>
+                  ) : result.isBalanced ? (
+                    <span className="text-xs px-2 py-1 rounded-full bg-green-100 text-green-800">Balanced</span>
+                  ) : (
+                    <span className="text-xs px-2 py-1 rounded-full bg-red-100 text-red-800">Mismatch</span>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 gap-1 text-sm">
+                  <div className="text-gray-500">Stored balance</div>
+                  <div className="text-right text-gray-900">{formatAmount(result.storedAmount, result.currency)}</div>
+                  <div className="text-gray-500">Opening balance</div>
+                  <div className="text-right text-gray-900">
+                    {result.openingAmount === null ? "—" : formatAmount(result.openingAmount, result.currency)}
+                  </div>
+                  <div className="text-gray-500">Transactions ({result.transactionCount})</div>
+                  <div className="text-right text-gray-900">{formatAmount(result.ledgerTotal, result.currency)}</div>
+                  <div className="text-gray-500">Recomputed balance</div>
+                  <div className="text-right text-gray-900">
+                    {result.recomputedAmount === null ? "—" : formatAmount(result.recomputedAmount, result.currency)}
+                  </div>
+                  {result.recomputedAmount !== null && !result.isBalanced && (
+                    <>
+                      <div className="text-gray-500">Discrepancy</div>
+                      <div className="text-right font-medium text-red-600">{formatAmount(result.discrepancy, result.currency)}</div>
+                    </>
+                  )}
+                </div>
+
+                {result.recomputedAmount === null && (
+                  <div className="mt-3">
+                    <p className="text-xs text-gray-500 mb-2">
+                      This card was created before opening balances were tracked. Using {formatAmount(result.suggestedOpeningAmount, result.currency)} as
+                      its opening balance makes the current balance consistent with its transactions.
+                    </p>
+                    <button
+                      onClick={() => handleSetOpening(result)}
+                      disabled={busyCardId !== null}
+                      className="px-3 py-1 text-sm rounded-lg bg-purple-100 hover:bg-purple-200 text-purple-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Set opening balance
+                    </button>
+                  </div>
+                )}
+
+                {result.recomputedAmount !== null && !result.isBalanced && (
+                  <div className="mt-3 flex gap-2">
+                    <button
+                      onClick={() => handleAcceptRecomputed(result)}
+                      disabled={busyCardId !== null}
+                      className="flex-1 px-3 py-1 text-sm rounded-lg bg-purple-100 hover:bg-purple-200 text-purple-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Replace the stored balance with the recomputed one"
+                    >
+                      Accept recomputed
+                    </button>
+                    <button
+                      onClick={() => handleRecordAdjustment(result)}
+                      disabled={busyCardId !== null}
+                      className="flex-1 px-3 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Keep the stored balance and record the difference as a transaction"
+                    >
+                      Record adjustment
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={runCheck}
+            disabled={loading}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-medium hover:bg-gray-300 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Check again
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg font-medium hover:bg-purple-700 transition-colors cursor-pointer"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,26 +1,23 @@
 import { useMemo } from "react";
+import { getEffectiveLimit, getLimitsForMonth, getLimitSpending, getPlanForMonth } from "../services/limits";
+import { formatAmount, getCardCurrency } from "../services/currency";
 
-export default function CardDisplay({ card, onManageLimits, onManagePlans, onManageWishes, transactions = [] }) {
+export default function CardDisplay({ card, onManageLimits, onManagePlans, onManageWishes, transactions = [], categories = [] }) {
   // Extract last 4 digits
   const lastFourDigits = card.cardNumber.replace(/\s/g, "").slice(-4);
-  const formattedBalance = Number(card.amount).toFixed(2).replace(".", ",");
+  const currency = getCardCurrency(card);
+  const formattedBalance = formatAmount(card.amount, currency);
 
-  // Get current month limit and spending (exclude scheduled transactions)
+  // Get current month limits (set for the month or from a budget template), their effective
+  // amount with rollover and their spending (exclude scheduled transactions, transfers and
+  // balance adjustments); the total limit comes first, then category limits
   const now = new Date();
   const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-  const currentLimit = card.limits?.find(l => l.month === currentMonthKey);
-  const currentPlan = card.plans?.find(p => p.month === currentMonthKey);
-  
-  const currentMonthSpending = transactions
-    .filter(t => {
-      if (t.type !== "cost") return false;
-      // Exclude transactions that don't affect balance
-      if (!t.isAffect) return false;
-      const tDate = new Date(t.date);
-      const tMonthKey = `${tDate.getFullYear()}-${String(tDate.getMonth() + 1).padStart(2, '0')}`;
-      return tMonthKey === currentMonthKey;
-    })
-    .reduce((sum, t) => sum + t.amount, 0);
+  const currentLimits = getLimitsForMonth(card, currentMonthKey).map(limit => {
+    const { amount, carriedOver } = getEffectiveLimit(card, limit, transactions, categories);
+    return { ...limit, amount, carriedOver, spent: getLimitSpending(transactions, limit, categories) };
+  });
+  const currentPlan = getPlanForMonth(card, currentMonthKey);
   
   // Calculate current balance
   const currentBalance = Number(card.amount) || 0;
@@ -93,14 +90,14 @@ export default function CardDisplay({ card, onManageLimits, onManagePlans, onMan
 
       {/* BALANCE */}
       <div className="text-5xl font-bold mt-4 text-gray-900">
-        {formattedBalance} ₼
+        {formattedBalance}
       </div>
 
       {/* Current Month Limit Status */}
-      {currentLimit && (
-        <div className="mt-4 p-3 bg-gray-50 rounded-lg w-full">
+      {currentLimits.map(({ spent: currentMonthSpending, ...currentLimit }) => (
+        <div key={currentLimit.category || "total"} className="mt-4 p-3 bg-gray-50 rounded-lg w-full">
           <div className="text-sm font-medium text-gray-700 mb-1">
-            {formatMonthLabel(currentMonthKey)} Limit
+            {formatMonthLabel(currentMonthKey)} {currentLimit.category ? `${currentLimit.category} ` : ""}Limit
           </div>
           <div className="flex items-center justify-between mb-2">
             <span className="text-xs text-gray-600">Spent:</span>
@@ -111,9 +108,14 @@ export default function CardDisplay({ card, onManageLimits, onManagePlans, onMan
                 ? "text-yellow-600"
                 : "text-green-600"
             }`}>
-              {currentMonthSpending.toFixed(2)} / {currentLimit.amount.toFixed(2)} ₼
+              {formatAmount(currentMonthSpending, currency)} / {formatAmount(currentLimit.amount, currency)}
             </span>
           </div>
+          {currentLimit.carriedOver > 0 && (
+            <div className="text-xs text-gray-500 mb-2">
+              Includes {formatAmount(currentLimit.carriedOver, currency)} rolled over from last month
+            </div>
+          )}
           {/* Progress Bar */}
           <div className="w-full bg-gray-200 rounded-full h-2">
             <div
@@ -135,7 +137,7 @@ export default function CardDisplay({ card, onManageLimits, onManagePlans, onMan
             </div>
           )}
         </div>
-      )}
+      ))}
 
       {/* Current Month Plan Status */}
       {currentPlan && (
@@ -152,7 +154,7 @@ export default function CardDisplay({ card, onManageLimits, onManagePlans, onMan
                 ? "text-yellow-600"
                 : "text-green-600"
             }`}>
-              {currentBalance.toFixed(2)} / {currentPlan.amount.toFixed(2)} ₼
+              {formatAmount(currentBalance, currency)} / {formatAmount(currentPlan.amount, currency)}
             </span>
           </div>
           {/* Progress Bar */}
@@ -200,7 +202,7 @@ export default function CardDisplay({ card, onManageLimits, onManagePlans, onMan
                       ? "text-yellow-600"
                       : "text-purple-600"
                   }`}>
-                    {currentBalance.toFixed(2)} / {wish.targetAmount.toFixed(2)} ₼
+                    {formatAmount(currentBalance, currency)} / {formatAmount(wish.targetAmount, currency)}
                   </span>
                 </div>
                 {/* Progress Bar */}
@@ -224,7 +226,7 @@ export default function CardDisplay({ card, onManageLimits, onManagePlans, onMan
                   </div>
                 ) : (
                   <div className="text-xs text-gray-600">
-                    {remaining.toFixed(2)} ₼ remaining to reach your wish
+                    {formatAmount(remaining, currency)} remaining to reach your wish
                   </div>
                 )}
               </div>
@@ -1,16 +1,39 @@
 import { useState, useEffect } from "react";
 import { db } from "../firebase/client";
 import { doc, updateDoc } from "firebase/firestore";
+import { formatAmount, getCardCurrency, getCurrencySymbol } from "../services/currency";
+import { getCategoryTree, isCategoryForType } from "../services/categories";
+import { isSameLimit } from "../services/limits";
 
-export default function CardLimitModal({ card, onClose, onUpdate }) {
+// Fields stored for a limit or limit template
+const toStoredLimit = (limit) => ({
+  month: limit.month,
+  amount: limit.amount,
+  ...(limit.category ? { category: limit.category } : {}),
+  ...(limit.rollover ? { rollover: true } : {}),
+});
+
+// A limit without a category caps the card's total spending for the month,
+// a limit with one caps spending in that category (and its subcategories).
+// Repeating limits are saved as budget templates (card.limitTemplates) that apply from
+// their month on; the list keeps both kinds, told apart by the repeat flag.
+export default function CardLimitModal({ card, categories = [], onClose, onUpdate }) {
   const [limits, setLimits] = useState([]);
   const [newLimitMonth, setNewLimitMonth] = useState("");
   const [newLimitAmount, setNewLimitAmount] = useState("");
-  const [editingMonth, setEditingMonth] = useState(null); // Track which limit is being edited
+  const [newLimitCategory, setNewLimitCategory] = useState(""); // "" = total limit
+  const [newLimitRepeat, setNewLimitRepeat] = useState(false);
+  const [newLimitRollover, setNewLimitRollover] = useState(false);
+  const [editingLimit, setEditingLimit] = useState(null); // Track which limit is being edited
+
+  const categoryOptions = getCategoryTree(categories.filter(c => isCategoryForType(c, "cost")));
 
   useEffect(() => {
-    if (card && card.limits) {
-      setLimits(card.limits);
+    if (card) {
+      setLimits([
+        ...(card.limitTemplates || []).map(l => ({ ...l, repeat: true })),
+        ...(card.limits || []),
+      ]);
     }
   }, [card]);
 
@@ -20,53 +43,79 @@ export default function CardLimitModal({ card, onClose, onUpdate }) {
     return date.toLocaleString('default', { month: 'short' }) + ' ' + year;
   };
 
+  const formatLimitLabel = (limit) => {
+    const monthLabel = limit.repeat
+      ? `Every month from ${formatMonthLabel(limit.month)}`
+      : formatMonthLabel(limit.month);
+    return limit.category ? `${limit.category} · ${monthLabel}` : monthLabel;
+  };
+
+  const isSameEntry = (a, b) => Boolean(a.repeat) === Boolean(b.repeat) && isSameLimit(a, b);
+
+  const isEditing = (limit) => editingLimit !== null && isSameEntry(editingLimit, limit);
+
   const handleEditLimit = (limit) => {
     // If already editing this limit, do nothing
-    if (editingMonth === limit.month) return;
+    if (isEditing(limit)) return;
     
     // Switch to editing this limit
     setNewLimitMonth(limit.month);
     setNewLimitAmount(limit.amount.toString());
-    setEditingMonth(limit.month);
+    setNewLimitCategory(limit.category || "");
+    setNewLimitRepeat(Boolean(limit.repeat));
+    setNewLimitRollover(Boolean(limit.rollover));
+    setEditingLimit(limit);
   };
 
   const handleCancelEdit = () => {
     setNewLimitMonth("");
     setNewLimitAmount("");
-    setEditingMonth(null);
+    setNewLimitCategory("");
+    setNewLimitRepeat(false);
+    setNewLimitRollover(false);
+    setEditingLimit(null);
   };
 
   const handleAddLimit = () => {
     if (newLimitMonth && newLimitAmount) {
-      const limitExists = limits.find(l => l.month === newLimitMonth);
-      if (limitExists && editingMonth === newLimitMonth) {
+      const newLimit = {
+        month: newLimitMonth,
+        amount: Number(newLimitAmount),
+        ...(newLimitCategory ? { category: newLimitCategory } : {}),
+        ...(newLimitRollover ? { rollover: true } : {}),
+        ...(newLimitRepeat ? { repeat: true } : {}),
+      };
+      const limitExists = limits.find(l => isSameEntry(l, newLimit));
+      if (limitExists && isEditing(newLimit)) {
         // Update existing limit (editing mode)
         const updated = limits.map(l => 
-          l.month === newLimitMonth 
-            ? { ...l, amount: Number(newLimitAmount) }
+          isSameEntry(l, newLimit)
+            ? newLimit
             : l
         );
         setLimits(updated);
-      } else if (limitExists && editingMonth !== newLimitMonth) {
-        // User is trying to add a limit for a month that already exists
-        alert(`A limit already exists for ${formatMonthLabel(newLimitMonth)}. Please edit the existing limit instead.`);
+      } else if (limitExists) {
+        // User is trying to add a limit for a month (and category) that already exists
+        alert(`A limit already exists for ${formatLimitLabel(newLimit)}. Please edit the existing limit instead.`);
         return;
       } else {
         // Add new limit
-        setLimits([...limits, { month: newLimitMonth, amount: Number(newLimitAmount) }]);
+        setLimits([...limits, newLimit]);
       }
       handleCancelEdit();
     }
   };
 
-  const handleDeleteLimit = (month) => {
-    setLimits(limits.filter(l => l.month !== month));
+  const handleDeleteLimit = (limit) => {
+    setLimits(limits.filter(l => !isSameEntry(l, limit)));
   };
 
   const handleSave = async () => {
+    const monthLimits = limits.filter(l => !l.repeat).map(toStoredLimit);
+    const limitTemplates = limits.filter(l => l.repeat).map(toStoredLimit);
     try {
-      await updateDoc(doc(db, "cards", card.id), { limits });
-      onUpdate({ ...card, limits });
+      await updateDoc(doc(db, "cards", card.id), { limits: monthLimits, limitTemplates });
+      onUpdate({ ...card, limits: monthLimits, limitTemplates });
       onClose();
     } catch (err) {
       console.error("Failed to update limits", err);
@@ -89,26 +138,46 @@ export default function CardLimitModal({ card, onClose, onUpdate }) {
         {/* Add/Edit Limit */}
         <div className="mb-6 p-4 bg-gray-50 rounded-lg">
           <h3 className="text-sm font-medium text-gray-700 mb-3">
-            {editingMonth ? `Edit Limit for ${formatMonthLabel(editingMonth)}` : "Add New Limit"}
+            {editingLimit ? `Edit Limit for ${formatLimitLabel(editingLimit)}` : "Add New Limit"}
           </h3>
           <div className="space-y-3">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Month
+                {newLimitRepeat ? "Starting Month" : "Month"}
               </label>
               <input
                 type="month"
                 value={newLimitMonth}
                 onChange={(e) => setNewLimitMonth(e.target.value)}
-                disabled={editingMonth !== null} // Disable month selection when editing
+                disabled={editingLimit !== null} // Disable month selection when editing
                 className={`border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 ${
-                  editingMonth !== null ? "bg-gray-100 cursor-not-allowed" : ""
+                  editingLimit !== null ? "bg-gray-100 cursor-not-allowed" : ""
                 }`}
               />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Limit Amount (₼)
+                Category
+              </label>
+              <select
+                value={newLimitCategory}
+                onChange={(e) => setNewLimitCategory(e.target.value)}
+                disabled={editingLimit !== null} // Disable category selection when editing
+                className={`border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 ${
+                  editingLimit !== null ? "bg-gray-100 cursor-not-allowed" : "bg-white"
+                }`}
+              >
+                <option value="">All spending (total limit)</option>
+                {categoryOptions.map(({ category, depth }) => (
+                  <option key={category.id} value={category.name}>
+                    {depth > 0 ? `\u00A0\u00A0\u00A0${category.name}` : category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Limit Amount ({getCurrencySymbol(getCardCurrency(card))})
               </label>
               <input
                 type="number"
@@ -119,8 +188,25 @@ export default function CardLimitModal({ card, onClose, onUpdate }) {
                 className="border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
               />
             </div>
+            <label className={`flex items-center gap-2 text-sm text-gray-700 ${editingLimit !== null ? "cursor-not-allowed" : "cursor-pointer"}`}>
+              <input
+                type="checkbox"
+                checked={newLimitRepeat}
+                onChange={(e) => setNewLimitRepeat(e.target.checked)}
+                disabled={editingLimit !== null}
+              />
+              Repeat every month until changed
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={newLimitRollover}
+                onChange={(e) => setNewLimitRollover(e.target.checked)}
+              />
+              Add what's left of last month's limit
+            </label>
             <div className="flex gap-2">
-              {editingMonth && (
+              {editingLimit && (
                 <button
                   onClick={handleCancelEdit}
                   className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-medium hover:bg-gray-300 transition-colors cursor-pointer"
@@ -137,7 +223,7 @@ export default function CardLimitModal({ card, onClose, onUpdate }) {
                     : "bg-gray-300 text-gray-500 cursor-not-allowed"
                 }`}
               >
-                {editingMonth ? "Update Limit" : "Add Limit"}
+                {editingLimit ? "Update Limit" : "Add Limit"}
               </button>
             </div>
           </div>
@@ -156,18 +242,20 @@ export default function CardLimitModal({ card, onClose, onUpdate }) {
                   className="flex items-center justify-between p-3 bg-white border border-gray-200 rounded-lg"
                 >
                   <div>
-                    <div className="font-medium text-gray-900">{formatMonthLabel(limit.month)}</div>
-                    <div className="text-sm text-gray-500">Limit: {limit.amount.toFixed(2)} ₼</div>
+                    <div className="font-medium text-gray-900">{formatLimitLabel(limit)}</div>
+                    <div className="text-sm text-gray-500">
+                      Limit: {formatAmount(limit.amount, getCardCurrency(card))}{limit.rollover && " · Rollover"}
+                    </div>
                   </div>
                   <div className="flex items-center gap-2">
                     <button
                       onClick={() => handleEditLimit(limit)}
                       className={`p-2 rounded-lg transition-colors ${
-                        editingMonth === limit.month
+                        isEditing(limit)
                           ? "text-blue-700 bg-blue-100 cursor-pointer"
                           : "text-blue-600 hover:bg-blue-50 cursor-pointer"
                       }`}
-                      title={editingMonth === limit.month ? "Currently editing" : "Edit Limit"}
+                      title={isEditing(limit) ? "Currently editing" : "Edit Limit"}
                     >
                       <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                         <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
@@ -176,10 +264,10 @@ export default function CardLimitModal({ card, onClose, onUpdate }) {
                     </button>
                     <button
                       onClick={() => {
-                        if (editingMonth === limit.month) {
+                        if (isEditing(limit)) {
                           handleCancelEdit();
                         }
-                        handleDeleteLimit(limit.month);
+                        handleDeleteLimit(limit);
                       }}
                       className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors cursor-pointer"
                       title="Delete Limit"
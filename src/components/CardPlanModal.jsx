@@ -1,16 +1,23 @@
 import { useState, useEffect } from "react";
 import { db } from "../firebase/client";
 import { doc, updateDoc } from "firebase/firestore";
+import { formatAmount, getCardCurrency, getCurrencySymbol } from "../services/currency";
 
+// Repeating plans are saved as budget templates (card.planTemplates) that apply from their
+// month on; the list keeps both kinds, told apart by the repeat flag
 export default function CardPlanModal({ card, onClose, onUpdate }) {
   const [plans, setPlans] = useState([]);
   const [newPlanMonth, setNewPlanMonth] = useState("");
   const [newPlanAmount, setNewPlanAmount] = useState("");
-  const [editingMonth, setEditingMonth] = useState(null); // Track which plan is being edited
+  const [newPlanRepeat, setNewPlanRepeat] = useState(false);
+  const [editingPlan, setEditingPlan] = useState(null); // Track which plan is being edited
 
   useEffect(() => {
-    if (card && card.plans) {
-      setPlans(card.plans);
+    if (card) {
+      setPlans([
+        ...(card.planTemplates || []).map(p => ({ ...p, repeat: true })),
+        ...(card.plans || []),
+      ]);
     }
   }, [card]);
 
@@ -20,53 +27,70 @@ export default function CardPlanModal({ card, onClose, onUpdate }) {
     return date.toLocaleString('default', { month: 'short' }) + ' ' + year;
   };
 
+  const formatPlanLabel = (plan) => {
+    return plan.repeat
+      ? `Every month from ${formatMonthLabel(plan.month)}`
+      : formatMonthLabel(plan.month);
+  };
+
+  const isSamePlan = (a, b) => a.month === b.month && Boolean(a.repeat) === Boolean(b.repeat);
+
+  const isEditing = (plan) => editingPlan !== null && isSamePlan(editingPlan, plan);
+
   const handleEditPlan = (plan) => {
     // If already editing this plan, do nothing
-    if (editingMonth === plan.month) return;
+    if (isEditing(plan)) return;
     
     // Switch to editing this plan
     setNewPlanMonth(plan.month);
     setNewPlanAmount(plan.amount.toString());
-    setEditingMonth(plan.month);
+    setNewPlanRepeat(Boolean(plan.repeat));
+    setEditingPlan(plan);
   };
 
   const handleCancelEdit = () => {
     setNewPlanMonth("");
     setNewPlanAmount("");
-    setEditingMonth(null);
+    setNewPlanRepeat(false);
+    setEditingPlan(null);
   };
 
   const handleAddPlan = () => {
     if (newPlanMonth && newPlanAmount) {
-      const planExists = plans.find(p => p.month === newPlanMonth);
-      if (planExists && editingMonth === newPlanMonth) {
+      const newPlan = newPlanRepeat
+        ? { month: newPlanMonth, amount: Number(newPlanAmount), repeat: true }
+        : { month: newPlanMonth, amount: Number(newPlanAmount) };
+      const planExists = plans.find(p => isSamePlan(p, newPlan));
+      if (planExists && isEditing(newPlan)) {
         // Update existing plan (editing mode)
         const updated = plans.map(p => 
-          p.month === newPlanMonth 
-            ? { ...p, amount: Number(newPlanAmount) }
+          isSamePlan(p, newPlan)
+            ? { ...p, amount: newPlan.amount }
             : p
         );
         setPlans(updated);
-      } else if (planExists && editingMonth !== newPlanMonth) {
+      } else if (planExists) {
         // User is trying to add a plan for a month that already exists
-        alert(`A plan already exists for ${formatMonthLabel(newPlanMonth)}. Please edit the existing plan instead.`);
+        alert(`A plan already exists for ${formatPlanLabel(newPlan)}. Please edit the existing plan instead.`);
         return;
       } else {
         // Add new plan
-        setPlans([...plans, { month: newPlanMonth, amount: Number(newPlanAmount) }]);
+        setPlans([...plans, newPlan]);
       }
       handleCancelEdit();
     }
   };
 
-  const handleDeletePlan = (month) => {
-    setPlans(plans.filter(p => p.month !== month));
+  const handleDeletePlan = (plan) => {
+    setPlans(plans.filter(p => !isSamePlan(p, plan)));
   };
 
   const handleSave = async () => {
+    const monthPlans = plans.filter(p => !p.repeat);
+    const planTemplates = plans.filter(p => p.repeat).map(p => ({ month: p.month, amount: p.amount }));
     try {
-      await updateDoc(doc(db, "cards", card.id), { plans });
-      onUpdate({ ...card, plans });
+      await updateDoc(doc(db, "cards", card.id), { plans: monthPlans, planTemplates });
+      onUpdate({ ...card, plans: monthPlans, planTemplates });
       onClose();
     } catch (err) {
       console.error("Failed to update plans", err);
@@ -89,26 +113,26 @@ export default function CardPlanModal({ card, onClose, onUpdate }) {
         {/* Add/Edit Plan */}
         <div className="mb-6 p-4 bg-gray-50 rounded-lg">
           <h3 className="text-sm font-medium text-gray-700 mb-3">
-            {editingMonth ? `Edit Plan for ${formatMonthLabel(editingMonth)}` : "Add New Plan"}
+            {editingPlan ? `Edit Plan for ${formatPlanLabel(editingPlan)}` : "Add New Plan"}
           </h3>
           <div className="space-y-3">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Month
+                {newPlanRepeat ? "Starting Month" : "Month"}
               </label>
               <input
                 type="month"
                 value={newPlanMonth}
                 onChange={(e) => setNewPlanMonth(e.target.value)}
-                disabled={editingMonth !== null} // Disable month selection when editing
+                disabled={editingPlan !== null} // Disable month selection when editing
                 className={`border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
-                  editingMonth !== null ? "bg-gray-100 cursor-not-allowed" : ""
+                  editingPlan !== null ? "bg-gray-100 cursor-not-allowed" : ""
                 }`}
               />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Minimum Balance (₼)
+                Minimum Balance ({getCurrencySymbol(getCardCurrency(card))})
               </label>
               <input
                 type="number"
@@ -119,8 +143,17 @@ export default function CardPlanModal({ card, onClose, onUpdate }) {
                 className="border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
             </div>
+            <label className={`flex items-center gap-2 text-sm text-gray-700 ${editingPlan !== null ? "cursor-not-allowed" : "cursor-pointer"}`}>
+              <input
+                type="checkbox"
+                checked={newPlanRepeat}
+                onChange={(e) => setNewPlanRepeat(e.target.checked)}
+                disabled={editingPlan !== null}
+              />
+              Repeat every month until changed
+            </label>
             <div className="flex gap-2">
-              {editingMonth && (
+              {editingPlan && (
                 <button
                   onClick={handleCancelEdit}
                   className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-medium hover:bg-gray-300 transition-colors cursor-pointer"
@@ -137,7 +170,7 @@ export default function CardPlanModal({ card, onClose, onUpdate }) {
                     : "bg-gray-300 text-gray-500 cursor-not-allowed"
                 }`}
               >
-                {editingMonth ? "Update Plan" : "Add Plan"}
+                {editingPlan ? "Update Plan" : "Add Plan"}
               </button>
             </div>
           </div>
@@ -156,18 +189,18 @@ export default function CardPlanModal({ card, onClose, onUpdate }) {
                   className="flex items-center justify-between p-3 bg-white border border-gray-200 rounded-lg"
                 >
                   <div>
-                    <div className="font-medium text-gray-900">{formatMonthLabel(plan.month)}</div>
-                    <div className="text-sm text-gray-500">Minimum Balance: {plan.amount.toFixed(2)} ₼</div>
+                    <div className="font-medium text-gray-900">{formatPlanLabel(plan)}</div>
+                    <div className="text-sm text-gray-500">Minimum Balance: {formatAmount(plan.amount, getCardCurrency(card))}</div>
                   </div>
                   <div className="flex items-center gap-2">
                     <button
                       onClick={() => handleEditPlan(plan)}
                       className={`p-2 rounded-lg transition-colors ${
-                        editingMonth === plan.month
+                        isEditing(plan)
                           ? "text-blue-700 bg-blue-100 cursor-pointer"
                           : "text-blue-600 hover:bg-blue-50 cursor-pointer"
                       }`}
-                      title={editingMonth === plan.month ? "Currently editing" : "Edit Plan"}
+                      title={isEditing(plan) ? "Currently editing" : "Edit Plan"}
                     >
                       <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                         <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
@@ -176,10 +209,10 @@ export default function CardPlanModal({ card, onClose, onUpdate }) {
                     </button>
                     <button
                       onClick={() => {
-                        if (editingMonth === plan.month) {
+                        if (isEditing(plan)) {
                           handleCancelEdit();
                         }
-                        handleDeletePlan(plan.month);
+                        handleDeletePlan(plan);
                       }}
                       className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors cursor-pointer"
                       title="Delete Plan"
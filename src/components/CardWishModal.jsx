@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 import { db } from "../firebase/client";
 import { doc, updateDoc } from "firebase/firestore";
+import { formatAmount, getCardCurrency, getCurrencySymbol } from "../services/currency";
 
 export default function CardWishModal({ card, onClose, onUpdate }) {
   const [wishes, setWishes] = useState([]);
@@ -108,7 +109,7 @@ export default function CardWishModal({ card, onClose, onUpdate }) {
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Target Amount (₼)
+                Target Amount ({getCurrencySymbol(getCardCurrency(card))})
               </label>
               <input
                 type="number"
@@ -160,7 +161,7 @@ export default function CardWishModal({ card, onClose, onUpdate }) {
                 >
                   <div>
                     <div className="font-medium text-gray-900">{formatMonthLabel(wish.month)}</div>
-                    <div className="text-sm text-gray-500">Target: {wish.targetAmount.toFixed(2)} ₼</div>
+                    <div className="text-sm text-gray-500">Target: {formatAmount(wish.targetAmount, getCardCurrency(card))}</div>
                   </div>
                   <div className="flex items-center gap-2">
                     <button
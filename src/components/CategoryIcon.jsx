@@ -0,0 +1,83 @@
+const DEFAULT_COLOR = "#10b981";
+
+// SVG content of each icon key, drawn in the category color
+const renderIconPaths = (icon, color) => {
+  switch (icon) {
+    case "cart":
+      return (
+        <path d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-1.293 1.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+    case "transfer":
+      return (
+        <>
+          <rect x="4" y="6" width="16" height="12" rx="1" stroke={color} strokeWidth="2" fill="none"/>
+          <path d="M8 10h8M8 14h6" stroke={color} strokeWidth="2" strokeLinecap="round"/>
+          <path d="M12 6v12" stroke={color} strokeWidth="1.5" strokeLinecap="round"/>
+        </>
+      );
+    case "parking":
+      return (
+        <>
+          <rect x="3" y="4" width="18" height="16" rx="2" stroke={color} strokeWidth="2" fill="none"/>
+          <path d="M8 4v16M8 8h8" stroke={color} strokeWidth="2" strokeLinecap="round"/>
+          <circle cx="14" cy="14" r="2" stroke={color} strokeWidth="2" fill="none"/>
+        </>
+      );
+    case "money":
+      return (
+        <path d="M12 2v20M17 5H9.5a3.5 3.5 0 000 7h5a3.5 3.5 0 110 7H6" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+    case "card":
+      return (
+        <>
+          <rect x="1" y="4" width="22" height="16" rx="2" stroke={color} strokeWidth="2" fill="none"/>
+          <path d="M1 10h22" stroke={color} strokeWidth="2" strokeLinecap="round"/>
+          <circle cx="7" cy="15" r="1.5" fill={color}/>
+          <circle cx="11" cy="15" r="1.5" fill={color}/>
+        </>
+      );
+    case "star":
+      return (
+        <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+    case "home":
+      return (
+        <path d="M3 12l9-9 9 9M5 10v10h5v-6h4v6h5V10" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+    case "heart":
+      return (
+        <path d="M20.8 4.6a5.5 5.5 0 00-7.8 0L12 5.7l-1-1.1a5.5 5.5 0 00-7.8 7.8l1 1.1L12 21.3l7.8-7.8 1-1.1a5.5 5.5 0 000-7.8z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+    case "bolt":
+      return (
+        <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+    case "gift":
+      return (
+        <path d="M20 12v10H4V12M2 7h20v5H2zM12 22V7M12 7H7.5a2.5 2.5 0 010-5C11 2 12 7 12 7zM12 7h4.5a2.5 2.5 0 000-5C13 2 12 7 12 7z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+    default:
+      // Hexagonal icon for other categories
+      return (
+        <path d="M12 2L2 7v10l10 5 10-5V7L12 2z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+      );
+  }
+};
+
+// Icon of a category on a tinted background; unknown categories get the generic icon
+export default function CategoryIcon({ category, size = "md" }) {
+  const color = category?.color || DEFAULT_COLOR;
+  const boxClass = size === "sm" ? "w-7 h-7 rounded-md" : "w-10 h-10 rounded-lg";
+  const iconSize = size === "sm" ? 14 : 20;
+
+  return (
+    <div
+      className={`${boxClass} flex items-center justify-center shrink-0`}
+      style={{ backgroundColor: `${color}26` }}
+    >
+      <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none">
+        {renderIconPaths(category?.icon, color)}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,283 @@
+import { useState } from "react";
+import CategoryIcon from "./CategoryIcon";
+import {
+  CATEGORY_ICONS,
+  CATEGORY_TYPES,
+  FALLBACK_CATEGORY_NAME,
+  findCategory,
+  getCategoryTree,
+} from "../services/categories";
+
+const TYPE_LABELS = { cost: "Cost", revenue: "Revenue", both: "Cost & Revenue" };
+
+const EMPTY_FORM = {
+  name: "",
+  type: "cost",
+  color: "#10b981",
+  icon: "tag",
+  parentId: "",
+  excludeFromDailyGraph: false,
+};
+
+export default function CategoryManagerModal({ categories, onClose, onSave, onDelete }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null); // Track which category is being edited
+  const [saving, setSaving] = useState(false);
+
+  const editingCategory = categories.find(c => c.id === editingId);
+  const hasChildren = (category) => categories.some(c => c.parentId === category.id);
+
+  // Only top-level categories can be parents, and a category with children stays top-level
+  const parentOptions = categories
+    .filter(c => !c.parentId && c.id !== editingId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const canHaveParent = !editingCategory || !hasChildren(editingCategory);
+
+  const updateForm = (fields) => setForm(prev => ({ ...prev, ...fields }));
+
+  const handleEdit = (category) => {
+    setEditingId(category.id);
+    setForm({
+      name: category.name,
+      type: category.type,
+      color: category.color,
+      icon: category.icon,
+      parentId: category.parentId || "",
+      excludeFromDailyGraph: category.excludeFromDailyGraph ?? false,
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    const name = form.name.trim();
+    if (!name) return;
+
+    const existing = findCategory(categories, name);
+    if (existing && existing.id !== editingId) {
+      alert(`A category named "${existing.name}" already exists.`);
+      return;
+    }
+
+    setSaving(true);
+    const saved = await onSave(editingCategory || null, {
+      ...form,
+      name,
+      parentId: form.parentId || null,
+    });
+    setSaving(false);
+    if (saved) handleCancelEdit();
+  };
+
+  const handleDelete = async (category) => {
+    if (hasChildren(category)) {
+      alert(`"${category.name}" has subcategories. Move or delete them first.`);
+      return;
+    }
+    if (!window.confirm(`Delete category "${category.name}"? Transactions in it keep the name but lose its icon and color.`)) {
+      return;
+    }
+    if (editingId === category.id) handleCancelEdit();
+    await onDelete(category);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-center items-center">
+      {/* Backdrop div */}
+      <div
+        className="absolute w-full h-full bg-gray-500"
+        style={{ opacity: 0.5 }}
+        onClick={onClose}
+      />
+      {/* Modal content */}
+      <div className="relative bg-white p-6 rounded-xl w-[32rem] shadow-xl max-w-[90vw] max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-semibold mb-6 text-gray-900">Categories</h2>
+
+        {/* Add/Edit Category */}
+        <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">
+            {editingCategory ? `Edit ${editingCategory.name}` : "Add New Category"}
+          </h3>
+          <div className="space-y-3">
+            <div className="flex items-center gap-3">
+              <CategoryIcon category={form} />
+              <input
+                type="text"
+                placeholder="e.g., Groceries"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                disabled={editingCategory?.name === FALLBACK_CATEGORY_NAME} // Uncategorized transactions fall back to it
+                className={`border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 ${
+                  editingCategory?.name === FALLBACK_CATEGORY_NAME ? "bg-gray-100 cursor-not-allowed" : ""
+                }`}
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Type
+                </label>
+                <select
+                  value={form.type}
+                  onChange={(e) => updateForm({ type: e.target.value })}
+                  className="border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 bg-white"
+                >
+                  {CATEGORY_TYPES.map(type => (
+                    <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Parent
+                </label>
+                <select
+                  value={form.parentId}
+                  onChange={(e) => updateForm({ parentId: e.target.value })}
+                  disabled={!canHaveParent}
+                  className={`border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 bg-white ${
+                    !canHaveParent ? "bg-gray-100 cursor-not-allowed" : ""
+                  }`}
+                >
+                  <option value="">None</option>
+                  {parentOptions.map(c => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Icon and Color
+              </label>
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="color"
+                  value={form.color}
+                  onChange={(e) => updateForm({ color: e.target.value })}
+                  className="w-9 h-9 rounded cursor-pointer"
+                  title="Color"
+                />
+                {CATEGORY_ICONS.map(icon => (
+                  <button
+                    key={icon}
+                    type="button"
+                    onClick={() => updateForm({ icon })}
+                    className={`rounded-lg p-0.5 cursor-pointer ${
+                      form.icon === icon ? "ring-2 ring-purple-500" : ""
+                    }`}
+                    title={icon}
+                  >
+                    <CategoryIcon category={{ icon, color: form.color }} size="sm" />
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.excludeFromDailyGraph}
+                onChange={(e) => updateForm({ excludeFromDailyGraph: e.target.checked })}
+              />
+              Hide from the daily graph (e.g. salary or loan payments)
+            </label>
+
+            <div className="flex gap-2">
+              {editingCategory && (
+                <button
+                  onClick={handleCancelEdit}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-medium hover:bg-gray-300 transition-colors cursor-pointer"
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                onClick={handleSave}
+                disabled={!form.name.trim() || saving}
+                className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors cursor-pointer ${
+                  form.name.trim() && !saving
+                    ? "bg-purple-600 text-white hover:bg-purple-700"
+                    : "bg-gray-300 text-gray-500 cursor-not-allowed"
+                }`}
+              >
+                {editingCategory ? "Update Category" : "Add Category"}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Existing Categories */}
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">Your Categories</h3>
+          {categories.length === 0 ? (
+            <div className="text-center text-gray-500 py-4 text-sm">No categories yet</div>
+          ) : (
+            <div className="space-y-2">
+              {getCategoryTree(categories).map(({ category, depth }) => (
+                <div
+                  key={category.id}
+                  className={`flex items-center justify-between p-2 bg-white border border-gray-200 rounded-lg ${
+                    depth > 0 ? "ml-6" : ""
+                  }`}
+                >
+                  <div className="flex items-center gap-3 min-w-0">
+                    <CategoryIcon category={category} size="sm" />
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{category.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {TYPE_LABELS[category.type]}
+                        {category.excludeFromDailyGraph && " · Hidden from daily graph"}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => handleEdit(category)}
+                      className={`p-2 rounded-lg transition-colors cursor-pointer ${
+                        editingId === category.id
+                          ? "text-purple-700 bg-purple-100"
+                          : "text-purple-600 hover:bg-purple-50"
+                      }`}
+                      title={editingId === category.id ? "Currently editing" : "Edit Category"}
+                    >
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 011.415 3.621L12 15l-4 1 1-4 8.879-7.879a2.121 2.121 0 011.415-.621z"/>
+                      </svg>
+                    </button>
+                    {category.name !== FALLBACK_CATEGORY_NAME && (
+                      <button
+                        onClick={() => handleDelete(category)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors cursor-pointer"
+                        title="Delete Category"
+                      >
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                        </svg>
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg font-medium hover:bg-purple-700 transition-colors cursor-pointer"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
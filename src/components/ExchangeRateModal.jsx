@@ -0,0 +1,199 @@
+import { useState } from "react";
+import { BASE_CURRENCY, CURRENCIES } from "../services/currency";
+
+const FOREIGN_CURRENCIES = CURRENCIES.filter(c => c !== BASE_CURRENCY);
+
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+};
+
+const emptyForm = () => ({ currency: FOREIGN_CURRENCIES[0], date: today(), rate: "" });
+
+// Rates are the value of one unit of a currency in BASE_CURRENCY from their date on;
+// amounts are converted with the latest rate on or before their date
+export default function ExchangeRateModal({ rates, onClose, onSave, onDelete }) {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null); // Track which rate is being edited
+  const [saving, setSaving] = useState(false);
+
+  const editingRate = rates.find(r => r.id === editingId);
+  const sortedRates = [...rates].sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+  const isValid = form.currency && form.date && Number(form.rate) > 0;
+
+  const updateForm = (fields) => setForm(prev => ({ ...prev, ...fields }));
+
+  const handleEdit = (rate) => {
+    setEditingId(rate.id);
+    setForm({ currency: rate.currency, date: rate.date, rate: String(rate.rate) });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm());
+  };
+
+  const handleSave = async () => {
+    if (!isValid) return;
+
+    const existing = rates.find(r => r.currency === form.currency && r.date === form.date);
+    if (existing && existing.id !== editingId) {
+      alert(`A ${form.currency} rate already exists for ${form.date}. Please edit the existing rate instead.`);
+      return;
+    }
+
+    setSaving(true);
+    const saved = await onSave(editingRate || null, { ...form, rate: Number(form.rate) });
+    setSaving(false);
+    if (saved) handleCancelEdit();
+  };
+
+  const handleDelete = async (rate) => {
+    if (editingId === rate.id) handleCancelEdit();
+    await onDelete(rate);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-center items-center">
+      {/* Backdrop div */}
+      <div
+        className="absolute w-full h-full bg-gray-500"
+        style={{ opacity: 0.5 }}
+        onClick={onClose}
+      />
+      {/* Modal content */}
+      <div className="relative bg-white p-6 rounded-xl w-96 shadow-xl max-w-[90vw] max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-semibold mb-6 text-gray-900">Exchange Rates</h2>
+
+        {/* Add/Edit Rate */}
+        <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">
+            {editingRate ? `Edit ${editingRate.currency} Rate for ${editingRate.date}` : "Add New Rate"}
+          </h3>
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Currency
+                </label>
+                <select
+                  value={form.currency}
+                  onChange={(e) => updateForm({ currency: e.target.value })}
+                  className="border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-teal-500 bg-white"
+                >
+                  {FOREIGN_CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  From Date
+                </label>
+                <input
+                  type="date"
+                  value={form.date}
+                  onChange={(e) => updateForm({ date: e.target.value })}
+                  className="border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-teal-500"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                1 {form.currency} = ? {BASE_CURRENCY}
+              </label>
+              <input
+                type="number"
+                step="0.0001"
+                min="0"
+                placeholder="1.7000"
+                value={form.rate}
+                onChange={(e) => updateForm({ rate: e.target.value })}
+                className="border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-teal-500"
+              />
+            </div>
+            <div className="flex gap-2">
+              {editingRate && (
+                <button
+                  onClick={handleCancelEdit}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-medium hover:bg-gray-300 transition-colors cursor-pointer"
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                onClick={handleSave}
+                disabled={!isValid || saving}
+                className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors cursor-pointer ${
+                  isValid && !saving
+                    ? "bg-teal-600 text-white hover:bg-teal-700"
+                    : "bg-gray-300 text-gray-500 cursor-not-allowed"
+                }`}
+              >
+                {editingRate ? "Update Rate" : "Add Rate"}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Existing Rates */}
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">Your Rates</h3>
+          {sortedRates.length === 0 ? (
+            <div className="text-center text-gray-500 py-4 text-sm">
+              No rates yet. Add one for each currency you hold besides {BASE_CURRENCY}.
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {sortedRates.map(rate => (
+                <div
+                  key={rate.id}
+                  className="flex items-center justify-between p-3 bg-white border border-gray-200 rounded-lg"
+                >
+                  <div>
+                    <div className="font-medium text-gray-900">1 {rate.currency} = {Number(rate.rate).toFixed(4)} {BASE_CURRENCY}</div>
+                    <div className="text-sm text-gray-500">From {rate.date}</div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => handleEdit(rate)}
+                      className={`p-2 rounded-lg transition-colors cursor-pointer ${
+                        editingId === rate.id
+                          ? "text-teal-700 bg-teal-100"
+                          : "text-teal-600 hover:bg-teal-50"
+                      }`}
+                      title={editingId === rate.id ? "Currently editing" : "Edit Rate"}
+                    >
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 011.415 3.621L12 15l-4 1 1-4 8.879-7.879a2.121 2.121 0 011.415-.621z"/>
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rate)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors cursor-pointer"
+                      title="Delete Rate"
+                    >
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                      </svg>
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-teal-600 text-white rounded-lg font-medium hover:bg-teal-700 transition-colors cursor-pointer"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
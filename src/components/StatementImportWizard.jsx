@@ -0,0 +1,314 @@
+import { useState } from "react";
+import {
+  DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  DEFAULT_MAPPING,
+  applyStatementMapping,
+  getStatementColumns,
+  guessMapping,
+  loadSavedMappings,
+  readStatementFile,
+  saveMapping,
+} from "../services/statementImport";
+
+const PREVIEW_ROWS = 5;
+
+const inputClass = "border border-gray-300 p-2 w-full rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white";
+
+// Maps the columns of a bank statement (CSV or XLSX) to transaction fields and hands the
+// resulting import data to the regular import. The mapping is remembered per bank.
+export default function StatementImportWizard({ cards, defaultCardId, onComplete, onCancel }) {
+  const [savedMappings] = useState(loadSavedMappings);
+  const [bank, setBank] = useState("");
+  const [cardId, setCardId] = useState(defaultCardId || cards[0]?.id || "");
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState(DEFAULT_MAPPING);
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [loading, setLoading] = useState(false);
+
+  const card = cards.find(c => c.id === cardId);
+  const columns = rows ? getStatementColumns(rows, mapping) : [];
+  const preview = rows && card ? applyStatementMapping(rows, mapping, card.cardNumber) : null;
+  const hasAmountColumns = mapping.amountMode === "split"
+    ? mapping.debitColumn !== null || mapping.creditColumn !== null
+    : mapping.amountColumn !== null;
+  const isMappingValid = mapping.dateColumn !== null && hasAmountColumns;
+
+  const updateMapping = (fields) => setMapping(prev => ({ ...prev, ...fields }));
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      setLoading(true);
+      const fileRows = await readStatementFile(file);
+      if (fileRows.length === 0) {
+        alert("The statement is empty.");
+        return;
+      }
+      // A known bank gets its saved mapping, otherwise columns are guessed from the header
+      const saved = savedMappings[bank.trim()];
+      const base = saved ? { ...DEFAULT_MAPPING, ...saved } : DEFAULT_MAPPING;
+      setMapping(saved ? base : { ...base, ...guessMapping(getStatementColumns(fileRows, base)) });
+      setRows(fileRows);
+      setFileName(file.name);
+    } catch (err) {
+      alert(`Failed to read statement: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleContinue = () => {
+    if (!preview || !isMappingValid) return;
+    if (preview.data.transactions.length === 0) {
+      alert("No transactions were found with this mapping.");
+      return;
+    }
+    if (rememberMapping && bank.trim()) {
+      saveMapping(bank.trim(), mapping);
+    }
+    onComplete(preview.data, preview.skipped);
+  };
+
+  // Column select; "" means not mapped
+  const renderColumnSelect = (field, label, optional = false) => (
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+      <select
+        value={mapping[field] ?? ""}
+        onChange={(e) => updateMapping({ [field]: e.target.value === "" ? null : Number(e.target.value) })}
+        className={inputClass}
+      >
+        <option value="">{optional ? "Not in statement" : "Select a column"}</option>
+        {columns.map((name, i) => (
+          <option key={i} value={i}>{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  if (!rows) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Upload a statement from your bank (.csv or .xlsx). You'll match its columns to dates, descriptions and amounts next.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Bank</label>
+            <input
+              type="text"
+              list="statement-banks"
+              placeholder="e.g., Kapital Bank"
+              value={bank}
+              onChange={(e) => setBank(e.target.value)}
+              className={inputClass}
+            />
+            <datalist id="statement-banks">
+              {Object.keys(savedMappings).map(name => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Card</label>
+            <select value={cardId} onChange={(e) => setCardId(e.target.value)} className={inputClass}>
+              {cards.map(c => (
+                <option key={c.id} value={c.id}>{c.cardNumber}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {savedMappings[bank.trim()] && (
+          <p className="text-xs text-green-700">The saved column mapping for {bank.trim()} will be used.</p>
+        )}
+
+        <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
+          <input
+            type="file"
+            accept=".csv,.txt,.xlsx,.xls"
+            onChange={(e) => handleFile(e.target.files?.[0])}
+            disabled={!card}
+            className="hidden"
+            id="statement-file-input"
+          />
+          <label htmlFor="statement-file-input" className={card ? "cursor-pointer" : "cursor-not-allowed"}>
+            <div className="flex flex-col items-center gap-2">
+              <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#9ca3af" strokeWidth="1.5">
+                <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4M17 8l-5-5-5 5M12 3v12"/>
+              </svg>
+              <span className="text-sm font-medium text-gray-700">
+                {card ? "Click to select statement" : "Add a card first"}
+              </span>
+            </div>
+          </label>
+          {loading && (
+            <div className="mt-4 text-sm text-blue-600">Reading statement...</div>
+          )}
+        </div>
+
+        <button
+          onClick={onCancel}
+          className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer"
+        >
+          ← Back
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        <span className="font-medium">{fileName}</span> · {rows.length} rows · card {card?.cardNumber}
+      </p>
+
+      {/* Layout */}
+      <div className="grid grid-cols-2 gap-3 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Lines to skip at the top</label>
+          <input
+            type="number"
+            min="0"
+            value={mapping.skipRows}
+            onChange={(e) => updateMapping({ skipRows: Math.max(0, Number(e.target.value) || 0) })}
+            className={inputClass}
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer pb-2">
+          <input
+            type="checkbox"
+            checked={mapping.hasHeader}
+            onChange={(e) => updateMapping({ hasHeader: e.target.checked })}
+          />
+          First line has column names
+        </label>
+      </div>
+
+      {/* Columns */}
+      <div className="grid grid-cols-2 gap-3">
+        {renderColumnSelect("dateColumn", "Date")}
+        {renderColumnSelect("descriptionColumn", "Description", true)}
+        <div className="col-span-2 flex gap-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              checked={mapping.amountMode === "signed"}
+              onChange={() => updateMapping({ amountMode: "signed" })}
+            />
+            One amount column (negative = spending)
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              checked={mapping.amountMode === "split"}
+              onChange={() => updateMapping({ amountMode: "split" })}
+            />
+            Separate debit and credit
+          </label>
+        </div>
+        {mapping.amountMode === "split" ? (
+          <>
+            {renderColumnSelect("debitColumn", "Debit (spending)", true)}
+            {renderColumnSelect("creditColumn", "Credit (money added)", true)}
+          </>
+        ) : (
+          renderColumnSelect("amountColumn", "Amount")
+        )}
+        {renderColumnSelect("categoryColumn", "Category", true)}
+      </div>
+
+      {/* Formats */}
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Date format</label>
+          <select
+            value={mapping.dateFormat}
+            onChange={(e) => updateMapping({ dateFormat: e.target.value })}
+            className={inputClass}
+          >
+            {DATE_FORMATS.map(format => (
+              <option key={format} value={format}>{format}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Decimal separator</label>
+          <select
+            value={mapping.decimalSeparator}
+            onChange={(e) => updateMapping({ decimalSeparator: e.target.value })}
+            className={inputClass}
+          >
+            {DECIMAL_SEPARATORS.map(separator => (
+              <option key={separator} value={separator}>
+                {separator === "," ? "Comma (1.234,50)" : "Point (1,234.50)"}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Preview */}
+      {isMappingValid && preview && (
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            Preview: {preview.data.transactions.length} transactions
+            {preview.skipped.length > 0 && (
+              <span className="text-yellow-700 font-normal"> · {preview.skipped.length} rows skipped</span>
+            )}
+          </p>
+          <table className="w-full text-xs">
+            <tbody>
+              {preview.data.transactions.slice(0, PREVIEW_ROWS).map((tx, i) => (
+                <tr key={i} className="border-b border-gray-200">
+                  <td className="py-1 pr-2 text-gray-600 whitespace-nowrap">{new Date(tx.date).toLocaleDateString()}</td>
+                  <td className="py-1 pr-2 text-gray-900 truncate max-w-[12rem]">{tx.title}</td>
+                  <td className="py-1 pr-2 text-gray-500">{tx.category}</td>
+                  <td className={`py-1 text-right font-medium ${tx.type === "cost" ? "text-red-600" : "text-green-600"}`}>
+                    {tx.type === "cost" ? "-" : "+"}{tx.amount.toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {preview.skipped.length > 0 && (
+            <ul className="text-xs text-yellow-700 list-disc pl-4 mt-2">
+              {preview.skipped.slice(0, 3).map((message, i) => (
+                <li key={i}>{message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {bank.trim() && (
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={rememberMapping}
+            onChange={(e) => setRememberMapping(e.target.checked)}
+          />
+          Remember this mapping for {bank.trim()}
+        </label>
+      )}
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setRows(null)}
+          className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer"
+        >
+          ← Select different file
+        </button>
+        <button
+          onClick={handleContinue}
+          disabled={!isMappingValid}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Check Transactions
+        </button>
+      </div>
+    </div>
+  );
+}
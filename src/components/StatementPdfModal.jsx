@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { getCurrentMonthKey } from "../services/statementPdf";
+
+const inputClass = "border border-gray-300 p-2 w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500";
+
+// Picks a card and month for a printable PDF statement
+export default function StatementPdfModal({ cards, defaultCardId, onClose, onGenerate }) {
+  const [cardId, setCardId] = useState(defaultCardId || cards[0]?.id || "");
+  const [month, setMonth] = useState(getCurrentMonthKey);
+  const [generating, setGenerating] = useState(false);
+
+  const handleGenerate = async () => {
+    if (!cardId || !month) return;
+    setGenerating(true);
+    await onGenerate(cardId, month);
+    setGenerating(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-center items-center">
+      {/* Backdrop div */}
+      <div
+        className="absolute w-full h-full bg-gray-500"
+        style={{ opacity: 0.5 }}
+        onClick={onClose}
+      />
+      {/* Modal content */}
+      <div className="relative bg-white p-6 rounded-xl w-96 shadow-xl max-w-[90vw] max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-semibold mb-2 text-gray-900">Monthly Statement</h2>
+        <p className="text-sm text-gray-600 mb-6">
+          A PDF with the opening and closing balance, every transaction that affected the balance, category subtotals and the month's limits and plan.
+        </p>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Card</label>
+            <select value={cardId} onChange={(e) => setCardId(e.target.value)} className={inputClass}>
+              {cards.map(c => (
+                <option key={c.id} value={c.id}>{c.cardNumber}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+            <input
+              type="month"
+              value={month}
+              max={getCurrentMonthKey()}
+              onChange={(e) => setMonth(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 cursor-pointer"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleGenerate}
+            disabled={!cardId || !month || generating}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {generating ? "Generating..." : "Download PDF"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
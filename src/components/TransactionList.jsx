@@ -1,7 +1,26 @@
-import { useState, useMemo, useEffect } from "react";
-import { analyzeFinances, saveAnalysis, loadAnalysis } from "../services/mlAnalysis";
+import { useState, useMemo, useEffect, useRef } from "react";
+import { saveAnalysis, loadAnalysis, FORECAST_MODEL_LABELS } from "../services/mlAnalysis";
+import { runAnalysis } from "../services/analysisRunner";
+import { describeRecurrence } from "../services/recurrence";
+import { isCashflow, isTransfer } from "../services/balance";
+import { findCategory } from "../services/categories";
+import { VIEW_EXPORT_FORMATS, buildViewExport, downloadViewExport } from "../services/viewExport";
+import {
+  DEFAULT_CURRENCY,
+  convertAmount,
+  convertTransactions,
+  formatAmount,
+  getCardCurrency,
+  getTransactionCurrency,
+} from "../services/currency";
+import CategoryIcon from "./CategoryIcon";
+
+// Amounts of the card are shown in its currency; the analysis runs on amounts converted
+// into the reporting currency
+export default function TransactionList({ transactions, onDeleteTransaction, onEditTransaction, currentCard, onToggleIncludeInExpected, recurringRules = [], categories = [], reportingCurrency = DEFAULT_CURRENCY, exchangeRates = [], onExportCalendar }) {
+  const cardCurrency = getCardCurrency(currentCard);
+  const formatCardAmount = (amount) => formatAmount(amount, cardCurrency);
 
-export default function TransactionList({ transactions, onDeleteTransaction, currentCard, onToggleIncludeInExpected }) {
   const [filter, setFilter] = useState("all"); // "daily", "weekly", "monthly", "all"
   const [viewMode, setViewMode] = useState("list"); // "list" or "graph"
   const [transactionTab, setTransactionTab] = useState("current"); // "current", "scheduled", or "analysis"
@@ -20,6 +39,8 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
   const [analysisData, setAnalysisData] = useState(null);
   const [analysisLoading, setAnalysisLoading] = useState(false);
   const [analysisError, setAnalysisError] = useState(null);
+  const [analysisProgress, setAnalysisProgress] = useState(null);
+  const analysisRunRef = useRef(null);
   const [analysisViewMode, setAnalysisViewMode] = useState("list"); // "list" or "graph"
 
   // Load analysis from localStorage when switching to analysis tab
@@ -32,6 +53,9 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     }
   }, [transactionTab]);
 
+  // Stop a running analysis when the list goes away
+  useEffect(() => () => analysisRunRef.current?.cancel(), []);
+
   // Separate transactions into current and scheduled
   // Current: transactions that have affected the balance (isAffect === true)
   // Scheduled: transactions that are scheduled but not yet affected (scheduled === true && isAffect === false)
@@ -99,10 +123,13 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
   }, [activeTransactions, filter, transactionTab, selectedMonth]);
 
   // Calculate total revenue (all revenue - all costs) - only for current transactions
+  // Transfers between own cards and balance adjustments are neither revenue nor cost
   const totalRevenue = useMemo(() => {
     if (transactionTab === "scheduled") return 0; // Scheduled transactions don't affect totals
     return filteredTransactions.reduce((sum, tx) => {
-      if (tx.type === "revenue") {
+      if (!isCashflow(tx)) {
+        return sum;
+      } else if (tx.type === "revenue") {
         return sum + tx.amount;
       } else {
         return sum - tx.amount;
@@ -110,7 +137,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     }, 0);
   }, [filteredTransactions, transactionTab]);
 
-  const formattedRevenue = totalRevenue.toFixed(2).replace(".", ",");
+  const formattedRevenue = formatCardAmount(totalRevenue);
 
   // Calculate expected revenue for scheduled transactions (only include transactions with includeInExpected === true)
   // When a month is selected, include all transactions up to and including that month
@@ -135,7 +162,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     
     return transactionsToCalculate.reduce((acc, tx) => {
       // Only include transactions that are marked to be included in expected revenue
-      if (tx.includeInExpected !== false) {
+      if (tx.includeInExpected !== false && isCashflow(tx)) {
       if (tx.type === "revenue") {
         acc.revenue += tx.amount;
       } else {
@@ -154,11 +181,42 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     return currentBalance + expectedRevenue.net;
   }, [currentCard, expectedRevenue.net, transactionTab]);
 
+  // Exports the list as shown, with the totals shown above it
+  const exportView = (format) => {
+    const totals = transactionTab === "scheduled"
+      ? [
+          { label: "Expected Revenue", amount: expectedRevenue.revenue },
+          { label: "Expected Spending", amount: expectedRevenue.cost },
+          { label: "Net Expected Revenue", amount: expectedRevenue.net },
+          ...(currentCard && projectedBalance !== null
+            ? [
+                { label: "Current Balance", amount: currentCard.amount || 0 },
+                { label: "Projected Balance", amount: projectedBalance },
+              ]
+            : []),
+        ]
+      : [{ label: "Total Revenue", amount: totalRevenue }];
+    try {
+      downloadViewExport(buildViewExport({
+        transactions: filteredTransactions,
+        card: currentCard,
+        tab: transactionTab,
+        filter,
+        selectedMonth,
+        totals,
+      }), format);
+    } catch (err) {
+      console.error("Export failed", err);
+      alert("Failed to export transactions. Please try again.");
+    }
+  };
+
   // Process monthly data for graph - current transactions
   const monthlyData = useMemo(() => {
     const monthlyMap = new Map();
     
     currentTransactions.forEach(tx => {
+      if (!isCashflow(tx)) return;
       const date = new Date(tx.date);
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       const monthName = date.toLocaleString('default', { month: 'short' });
@@ -207,6 +265,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     const monthlyMap = new Map();
     
     scheduledTransactions.forEach(tx => {
+      if (!isCashflow(tx)) return;
       const date = new Date(tx.date);
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       const monthName = date.toLocaleString('default', { month: 'short' });
@@ -263,17 +322,18 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     return Array.from(yearSet).sort((a, b) => b - a); // Descending
   }, [currentTransactions, scheduledTransactions, transactionTab]);
 
-  // Process daily data for graph - excludes Salary and Kredit categories
+  // Process daily data for graph - excludes categories hidden from the daily graph
+  // (e.g. Salary and Kredit), transfers and adjustments
   const dailyData = useMemo(() => {
     const dailyMap = new Map();
     const allTx = transactionTab === "current" ? currentTransactions : scheduledTransactions;
     
-    // Filter by selected year/month and exclude Salary and Kredit
+    // Filter by selected year/month and exclude hidden categories
     const filteredTx = allTx.filter(tx => {
       const date = new Date(tx.date);
       const matchesYearMonth = date.getFullYear() === dailyYear && (date.getMonth() + 1) === dailyMonth;
-      const isExcludedCategory = tx.category === "Salary" || tx.category === "Kredit";
-      return matchesYearMonth && !isExcludedCategory;
+      const isExcludedCategory = findCategory(categories, tx.category)?.excludeFromDailyGraph === true;
+      return matchesYearMonth && !isExcludedCategory && isCashflow(tx);
     });
     
     // Get number of days in the selected month
@@ -310,86 +370,11 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     });
     
     return Array.from(dailyMap.values());
-  }, [currentTransactions, scheduledTransactions, transactionTab, dailyYear, dailyMonth]);
+  }, [currentTransactions, scheduledTransactions, transactionTab, dailyYear, dailyMonth, categories]);
 
   // Get active monthly data based on tab
   const activeMonthlyData = transactionTab === "current" ? monthlyData : scheduledMonthlyData;
 
-  // Get icon and background color based on category
-  const getTransactionIcon = (category, type) => {
-    if (category === "Markets") {
-      // Shopping cart icon for markets
-      return (
-        <div className="w-10 h-10 rounded-lg bg-green-100 flex items-center justify-center">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <path d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-1.293 1.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" stroke="#10b981" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-          </svg>
-        </div>
-      );
-    } else if (category === "Transfers") {
-      // Stylized transfer icon
-      return (
-        <div className="w-10 h-10 rounded-lg bg-red-100 flex items-center justify-center">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <rect x="4" y="6" width="16" height="12" rx="1" stroke="#dc2626" strokeWidth="2" fill="none"/>
-            <path d="M8 10h8M8 14h6" stroke="#dc2626" strokeWidth="2" strokeLinecap="round"/>
-            <path d="M12 6v12" stroke="#dc2626" strokeWidth="1.5" strokeLinecap="round"/>
-          </svg>
-        </div>
-      );
-    } else if (category === "Parking") {
-      // Parking/P car icon
-      return (
-        <div className="w-10 h-10 rounded-lg bg-blue-100 flex items-center justify-center">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <rect x="3" y="4" width="18" height="16" rx="2" stroke="#3b82f6" strokeWidth="2" fill="none"/>
-            <path d="M8 4v16M8 8h8" stroke="#3b82f6" strokeWidth="2" strokeLinecap="round"/>
-            <circle cx="14" cy="14" r="2" stroke="#3b82f6" strokeWidth="2" fill="none"/>
-          </svg>
-        </div>
-      );
-    } else if (category === "Salary") {
-      // Money/dollar icon for salary
-      return (
-        <div className="w-10 h-10 rounded-lg bg-yellow-100 flex items-center justify-center">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <path d="M12 2v20M17 5H9.5a3.5 3.5 0 000 7h5a3.5 3.5 0 110 7H6" stroke="#eab308" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-          </svg>
-        </div>
-      );
-    } else if (category === "Kredit") {
-      // Credit card icon for kredit
-      return (
-        <div className="w-10 h-10 rounded-lg bg-indigo-100 flex items-center justify-center">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <rect x="1" y="4" width="22" height="16" rx="2" stroke="#6366f1" strokeWidth="2" fill="none"/>
-            <path d="M1 10h22" stroke="#6366f1" strokeWidth="2" strokeLinecap="round"/>
-            <circle cx="7" cy="15" r="1.5" fill="#6366f1"/>
-            <circle cx="11" cy="15" r="1.5" fill="#6366f1"/>
-          </svg>
-        </div>
-      );
-    } else if (category === "Enjoyment") {
-      // Entertainment/star icon for enjoyment
-      return (
-        <div className="w-10 h-10 rounded-lg bg-purple-100 flex items-center justify-center">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" stroke="#a855f7" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-          </svg>
-        </div>
-      );
-    } else {
-      // Hexagonal icon for other categories
-      return (
-        <div className="w-10 h-10 rounded-lg bg-green-100 flex items-center justify-center">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <path d="M12 2L2 7v10l10 5 10-5V7L12 2z" stroke="#10b981" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-          </svg>
-        </div>
-      );
-    }
-  };
-
   // Parse date to extract time
   const formatTime = (dateString) => {
     try {
@@ -701,22 +686,22 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
               <div className="text-sm space-y-1">
                 <div className="flex justify-between">
                   <span className="text-gray-600">Spending:</span>
-                  <span className="text-red-600 font-semibold">{data[hoveredMonth].cost.toFixed(2)} ₼</span>
+                  <span className="text-red-600 font-semibold">{formatCardAmount(data[hoveredMonth].cost)}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Money Added:</span>
-                  <span className="text-yellow-600 font-semibold">{data[hoveredMonth].revenue.toFixed(2)} ₼</span>
+                  <span className="text-yellow-600 font-semibold">{formatCardAmount(data[hoveredMonth].revenue)}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Net Revenue:</span>
                   <span className={`font-semibold ${data[hoveredMonth].netRevenue >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                    {data[hoveredMonth].netRevenue.toFixed(2)} ₼
+                    {formatCardAmount(data[hoveredMonth].netRevenue)}
                   </span>
                 </div>
                 <div className="flex justify-between border-t pt-1 mt-1">
                   <span className="text-gray-600 font-semibold">Total Revenue:</span>
                   <span className={`font-semibold ${data[hoveredMonth].totalRevenue >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                    {data[hoveredMonth].totalRevenue.toFixed(2)} ₼
+                    {formatCardAmount(data[hoveredMonth].totalRevenue)}
                   </span>
                 </div>
               </div>
@@ -727,13 +712,13 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
           {data.map((d, i) => (
             <div key={i} className="bg-white p-3 rounded-lg">
               <div className="font-semibold text-gray-900">{d.month}</div>
-              <div className="text-red-600 mt-1">Spending: {d.cost.toFixed(2)} ₼</div>
-              <div className="text-yellow-600">Money Added: {d.revenue.toFixed(2)} ₼</div>
+              <div className="text-red-600 mt-1">Spending: {formatCardAmount(d.cost)}</div>
+              <div className="text-yellow-600">Money Added: {formatCardAmount(d.revenue)}</div>
               <div className={`mt-1 ${d.netRevenue >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                Net Revenue: {d.netRevenue.toFixed(2)} ₼
+                Net Revenue: {formatCardAmount(d.netRevenue)}
               </div>
               <div className={`mt-1 font-semibold ${d.totalRevenue >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                Total Revenue: {d.totalRevenue.toFixed(2)} ₼
+                Total Revenue: {formatCardAmount(d.totalRevenue)}
               </div>
             </div>
           ))}
@@ -1006,16 +991,16 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
               <div className="text-sm space-y-1">
                 <div className="flex justify-between">
                   <span className="text-gray-600">Spending:</span>
-                  <span className="text-red-600 font-semibold">{dailyData[hoveredDay].cost.toFixed(2)} ₼</span>
+                  <span className="text-red-600 font-semibold">{formatCardAmount(dailyData[hoveredDay].cost)}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Money Added:</span>
-                  <span className="text-yellow-600 font-semibold">{dailyData[hoveredDay].revenue.toFixed(2)} ₼</span>
+                  <span className="text-yellow-600 font-semibold">{formatCardAmount(dailyData[hoveredDay].revenue)}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Net Revenue:</span>
                   <span className={`font-semibold ${dailyData[hoveredDay].netRevenue >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                    {dailyData[hoveredDay].netRevenue.toFixed(2)} ₼
+                    {formatCardAmount(dailyData[hoveredDay].netRevenue)}
                   </span>
                 </div>
               </div>
@@ -1093,32 +1078,88 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
     );
   };
 
+  // The analysis keeps the currency it ran in (older saved analyses were in the default currency)
+  const analysisCurrency = analysisData?.currency || DEFAULT_CURRENCY;
+  const formatAnalysisAmount = (amount, fractionDigits = 0) => formatAmount(amount, analysisCurrency, { fractionDigits });
+  const analysisBalance = convertAmount(currentCard?.amount ?? 0, cardCurrency, analysisCurrency, new Date(), exchangeRates) ?? 0;
+
   // Handle new analysis request
+  // The analysis runs in a worker so training doesn't freeze the page
   const handleNewAnalysis = async () => {
     setAnalysisLoading(true);
     setAnalysisError(null);
+    setAnalysisProgress(null);
     
     try {
-      // Use all transactions (both current and scheduled) for analysis
-      const analysis = await analyzeFinances(transactions);
-      saveAnalysis(analysis);
-      setAnalysisData(analysis);
+      // Use all transactions (both current and scheduled) for analysis, in the reporting currency
+      const converted = convertTransactions(transactions, currentCard, reportingCurrency, exchangeRates);
+      if (converted.missingCurrencies.length > 0) {
+        throw new Error(`Add an exchange rate for ${converted.missingCurrencies.join(", ")} to analyze in ${reportingCurrency}.`);
+      }
+      const run = runAnalysis(
+        {
+          transactions: converted.transactions,
+          categories,
+          currency: reportingCurrency,
+          // The network is kept per user and card and fine-tuned by the next analysis
+          modelKey: `${localStorage.getItem("userId")}-${currentCard?.id}`
+        },
+        setAnalysisProgress
+      );
+      analysisRunRef.current = run;
+      const analysis = await run.promise;
+      // Cancelled: keep the previous analysis
+      if (analysis) {
+        saveAnalysis(analysis);
+        setAnalysisData(analysis);
+      }
     } catch (error) {
       setAnalysisError(error.message);
     } finally {
+      analysisRunRef.current = null;
       setAnalysisLoading(false);
+      setAnalysisProgress(null);
     }
   };
 
+  const handleCancelAnalysis = () => {
+    analysisRunRef.current?.cancel();
+  };
+
+  const describeAnalysisProgress = (progress) => {
+    if (!progress || progress.stage === "preparing") return "Preparing your data...";
+    if (progress.stage === "forecasting") return "Comparing forecasting models...";
+    const run = progress.runs > 1 ? ` (run ${progress.run} of ${progress.runs})` : "";
+    return `Training model${run} - epoch ${progress.epoch}/${progress.epochs}, loss ${progress.loss?.toFixed(4) ?? "-"}`;
+  };
+
   // Render AI Analysis Tab
   const renderAnalysis = () => {
     // Loading state
     if (analysisLoading) {
+      const percent = Math.round((analysisProgress?.fraction || 0) * 100);
       return (
-        <div className="flex flex-col items-center justify-center py-12">
+        <div className="flex flex-col items-center justify-center py-12 px-4">
           <div className="w-12 h-12 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin mb-4"></div>
           <p className="text-gray-600 font-medium">Analyzing your finances...</p>
-          <p className="text-gray-400 text-sm mt-2">This may take a few seconds</p>
+          <div className="w-full max-w-sm mt-4">
+            <div className="h-2 bg-purple-100 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-purple-600 rounded-full transition-all duration-200"
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>{describeAnalysisProgress(analysisProgress)}</span>
+              <span>{percent}%</span>
+            </div>
+          </div>
+          <button
+            onClick={handleCancelAnalysis}
+            className="mt-4 px-4 py-2 text-sm text-gray-600 hover:text-gray-800 cursor-pointer"
+          >
+            Cancel
+          </button>
         </div>
       );
     }
@@ -1239,7 +1280,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
               const netBalance = predictions.netBalance || [];
               
               // Calculate predicted balances
-              const currentBalance = currentCard?.amount ?? 0;
+              const currentBalance = analysisBalance;
               const predictedBalances = months.map((_, i) => {
                 let balance = currentBalance;
                 for (let j = 0; j <= i; j++) {
@@ -1248,8 +1289,29 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                 return balance;
               });
               
+              // Prediction intervals, widest first so the narrower band is drawn on top
+              const intervals = predictions.intervals;
+              const levels = intervals ? [...intervals.levels].sort((a, b) => b - a) : [];
+              const bands = intervals ? [
+                { key: "cost", color: "#dc2626", ranges: intervals.totalCost },
+                { key: "rev", color: "#16a34a", ranges: intervals.totalRevenue },
+                {
+                  key: "bal",
+                  color: "#2563eb",
+                  ranges: Object.fromEntries(levels.map(level => [level, {
+                    lower: intervals.cumulativeNet[level].lower.map(v => Math.max(0, currentBalance + v)),
+                    upper: intervals.cumulativeNet[level].upper.map(v => Math.max(0, currentBalance + v))
+                  }]))
+                }
+              ] : [];
+              
               // Find max value for scaling
-              const allValues = [...costs, ...revenues, ...predictedBalances.map(Math.abs)];
+              const allValues = [
+                ...costs,
+                ...revenues,
+                ...predictedBalances.map(Math.abs),
+                ...bands.flatMap(band => levels.flatMap(level => band.ranges[level].upper))
+              ];
               const maxValue = Math.max(...allValues, 100);
               
               const width = 500;
@@ -1272,6 +1334,16 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                 }).join(" ");
               };
               
+              // Closed shape along the upper bounds and back along the lower ones
+              const createBandPath = ({ lower, upper }) => {
+                if (upper.length === 0) return "";
+                const points = [
+                  ...upper.map((v, i) => [getX(i), getY(v)]),
+                  ...lower.map((v, i) => [getX(i), getY(v)]).reverse()
+                ];
+                return points.map(([x, y], i) => `${i === 0 ? "M" : "L"} ${x} ${y}`).join(" ") + " Z";
+              };
+              
               return (
                 <svg viewBox={`0 0 ${width} ${height}`} className="w-full max-w-lg mx-auto">
                   {/* Grid lines */}
@@ -1311,6 +1383,17 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                     </text>
                   ))}
                   
+                  {/* Prediction interval bands */}
+                  {bands.map(band => levels.map((level, i) => (
+                    <path
+                      key={`${band.key}-band-${level}`}
+                      d={createBandPath(band.ranges[level])}
+                      fill={band.color}
+                      fillOpacity={i === 0 ? 0.08 : 0.16}
+                      stroke="none"
+                    />
+                  )))}
+                  
                   {/* Cost line (red) */}
                   <path
                     d={createPath(costs)}
@@ -1363,6 +1446,11 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                 <span className="text-gray-600">Predicted Balance</span>
               </div>
             </div>
+            {analysisData.predictions.intervals && (
+              <p className="text-center text-xs text-gray-500 mt-2">
+                Shaded bands show the {[...analysisData.predictions.intervals.levels].sort((a, b) => a - b).map(level => `${level}%`).join(" and ")} prediction intervals, from past forecast errors.
+              </p>
+            )}
             
             {/* Values Table */}
             <div className="mt-4 overflow-x-auto">
@@ -1377,7 +1465,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                 </thead>
                 <tbody>
                   {analysisData.predictions.months?.map((month, i) => {
-                    const currentBalance = currentCard?.amount ?? 0;
+                    const currentBalance = analysisBalance;
                     let predictedBalance = currentBalance;
                     for (let j = 0; j <= i; j++) {
                       predictedBalance += analysisData.predictions.netBalance?.[j] || 0;
@@ -1385,10 +1473,10 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                     return (
                       <tr key={i} className="border-b border-gray-100">
                         <td className="py-2 font-medium">{month}</td>
-                        <td className="text-right text-red-600">{analysisData.predictions.totalCost?.[i]?.toFixed(0) || 0} ₼</td>
-                        <td className="text-right text-green-600">{analysisData.predictions.totalRevenue?.[i]?.toFixed(0) || 0} ₼</td>
+                        <td className="text-right text-red-600">{formatAnalysisAmount(analysisData.predictions.totalCost?.[i])}</td>
+                        <td className="text-right text-green-600">{formatAnalysisAmount(analysisData.predictions.totalRevenue?.[i])}</td>
                         <td className={`text-right font-semibold ${predictedBalance >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
-                          {predictedBalance.toFixed(0)} ₼
+                          {formatAnalysisAmount(predictedBalance)}
                         </td>
                       </tr>
                     );
@@ -1413,13 +1501,13 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
               <div>
                 <span className="text-gray-500">Avg. Monthly Spending:</span>
                 <p className="font-semibold text-red-600">
-                  {analysisData.summary.averageMonthlySpending?.toFixed(2) || '0.00'} ₼
+                  {formatAnalysisAmount(analysisData.summary.averageMonthlySpending, 2)}
                 </p>
               </div>
               <div>
                 <span className="text-gray-500">Avg. Monthly Revenue:</span>
                 <p className="font-semibold text-green-600">
-                  {analysisData.summary.averageMonthlyRevenue?.toFixed(2) || '0.00'} ₼
+                  {formatAnalysisAmount(analysisData.summary.averageMonthlyRevenue, 2)}
                 </p>
               </div>
               {analysisData.summary.spendingTrend && (
@@ -1465,7 +1553,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                 <div className="grid grid-cols-3 gap-2 text-center text-sm">
                   {analysisData.predictions.months.map((month, i) => {
                     // Calculate predicted balance: current balance + cumulative net
-                    const currentBalance = currentCard?.amount ?? 0;
+                    const currentBalance = analysisBalance;
                     let predictedBalance = currentBalance;
                     for (let j = 0; j <= i; j++) {
                       predictedBalance += analysisData.predictions.netBalance?.[j] || 0;
@@ -1476,19 +1564,19 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                         <p className="text-gray-600 font-medium mb-2">{month}</p>
                         {analysisData.predictions.totalCost && (
                           <p className="text-red-600 text-xs">
-                            Cost: {analysisData.predictions.totalCost[i]?.toFixed(0) || '0'} ₼
+                            Cost: {formatAnalysisAmount(analysisData.predictions.totalCost[i])}
                           </p>
                         )}
                         {analysisData.predictions.totalRevenue && (
                           <p className="text-green-600 text-xs">
-                            Revenue: {analysisData.predictions.totalRevenue[i]?.toFixed(0) || '0'} ₼
+                            Revenue: {formatAnalysisAmount(analysisData.predictions.totalRevenue[i])}
                           </p>
                         )}
                         {analysisData.predictions.netBalance && (
                           <p className={`text-xs mt-1 ${
                             analysisData.predictions.netBalance[i] >= 0 ? 'text-green-700' : 'text-red-700'
                           }`}>
-                            Net: {analysisData.predictions.netBalance[i]?.toFixed(0) || '0'} ₼
+                            Net: {formatAnalysisAmount(analysisData.predictions.netBalance[i])}
                           </p>
                         )}
                         {/* Predicted Balance */}
@@ -1496,7 +1584,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                           <p className={`font-bold text-sm ${
                             predictedBalance >= 0 ? 'text-blue-600' : 'text-red-600'
                           }`}>
-                            Balance: {predictedBalance.toFixed(0)} ₼
+                            Balance: {formatAnalysisAmount(predictedBalance)}
                           </p>
                         </div>
                       </div>
@@ -1505,7 +1593,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                 </div>
                 {/* Current Balance Reference */}
                 <div className="mt-3 text-center text-xs text-gray-500">
-                  Current Balance: {(currentCard?.amount ?? 0).toFixed(2)} ₼
+                  Current Balance: {formatAnalysisAmount(analysisBalance, 2)}
                 </div>
               </div>
             )}
@@ -1520,7 +1608,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                       <span className="text-gray-700">{category}</span>
                       <div className="flex gap-3 text-red-600">
                         {Array.isArray(values) && values.map((v, i) => (
-                          <span key={i} className="text-xs">{v?.toFixed(0) || '0'} ₼</span>
+                          <span key={i} className="text-xs">{formatAnalysisAmount(v)}</span>
                         ))}
                       </div>
                     </div>
@@ -1538,7 +1626,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                       <span className="text-gray-700">{category}</span>
                       <div className="flex gap-3 text-green-600">
                         {Array.isArray(values) && values.map((v, i) => (
-                          <span key={i} className="text-xs">{v?.toFixed(0) || '0'} ₼</span>
+                          <span key={i} className="text-xs">{formatAnalysisAmount(v)}</span>
                         ))}
                       </div>
                     </div>
@@ -1549,6 +1637,69 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
           </div>
         )}
 
+        {/* Forecast Accuracy Section */}
+        {analysisViewMode === "list" && analysisData.metadata?.backtest && (
+          <div className="bg-white p-4 rounded-lg border border-gray-200 shadow-sm">
+            <h4 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#9333ea" strokeWidth="2">
+                <circle cx="12" cy="12" r="10"/>
+                <circle cx="12" cy="12" r="6"/>
+                <circle cx="12" cy="12" r="2"/>
+              </svg>
+              Forecast Accuracy
+            </h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Each model forecast the last {analysisData.metadata.backtest.months} months from the months before them, or those it had enough history for. The one with the smallest average error on the months both forecast makes the predictions.
+            </p>
+            {[
+              { key: "totalCost", label: "Cost" },
+              { key: "totalRevenue", label: "Revenue" }
+            ].map(({ key, label }) => {
+              const scores = Object.entries(analysisData.metadata.backtest[key] || {})
+                .sort((a, b) => a[1].mae - b[1].mae);
+              const selectedModel = analysisData.metadata.forecastModels?.[key];
+              return (
+                <div key={key} className="mt-3 first-of-type:mt-0">
+                  <p className="text-sm font-medium text-gray-700 mb-2">{label}</p>
+                  {scores.length === 0 ? (
+                    <p className="text-xs text-gray-500">Not enough months of history to compare models.</p>
+                  ) : (
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-gray-500">
+                          <th className="text-left font-medium pb-1">Model</th>
+                          <th className="text-right font-medium pb-1">Avg. error (MAE)</th>
+                          <th className="text-right font-medium pb-1">Avg. error % (MAPE)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {scores.map(([model, score]) => (
+                          <tr
+                            key={model}
+                            className={model === selectedModel ? "bg-purple-50 text-purple-700 font-semibold" : "text-gray-700"}
+                          >
+                            <td className="py-1 pl-1">
+                              {FORECAST_MODEL_LABELS[model] || model}
+                              {model === selectedModel && " ✓"}
+                              {score.samples < analysisData.metadata.backtest.months && (
+                                <span className="font-normal text-gray-500"> ({score.samples} of {analysisData.metadata.backtest.months} months)</span>
+                              )}
+                            </td>
+                            <td className="text-right py-1">{formatAnalysisAmount(score.mae)}</td>
+                            <td className="text-right py-1 pr-1">
+                              {score.mape === null ? "—" : `${score.mape.toFixed(1)}%`}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* Insights Section */}
         {analysisViewMode === "list" && analysisData.insights && analysisData.insights.length > 0 && (
           <div className="bg-white p-4 rounded-lg border border-gray-200 shadow-sm">
@@ -1584,7 +1735,10 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
               {Object.entries(analysisData.categoryBreakdown).map(([category, data]) => (
                 <div key={category} className="border-b border-gray-100 pb-2 last:border-0">
                   <div className="flex items-center justify-between">
-                    <span className="font-medium text-gray-800">{category}</span>
+                    <div className="flex items-center gap-2">
+                      <CategoryIcon category={findCategory(categories, category)} size="sm" />
+                      <span className="font-medium text-gray-800">{category}</span>
+                    </div>
                     <span className={`text-xs px-2 py-1 rounded ${
                       data.predictedTrend === 'up' ? 'bg-red-100 text-red-700' :
                       data.predictedTrend === 'down' ? 'bg-green-100 text-green-700' :
@@ -1596,7 +1750,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                   </div>
                   {data.currentAverage && (
                     <p className="text-xs text-gray-500 mt-1">
-                      Current avg: {data.currentAverage.toFixed(2)} ₼
+                      Current avg: {formatAnalysisAmount(data.currentAverage, 2)}
                     </p>
                   )}
                   {data.recommendation && (
@@ -1733,7 +1887,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
         <div className={`text-gray-800 font-semibold mb-5 text-base flex-shrink-0 ${
           totalRevenue >= 0 ? "text-green-600" : "text-red-600"
         }`}>
-          Total Revenue: {formattedRevenue} ₼
+          Total Revenue: {formattedRevenue}
         </div>
       )}
 
@@ -1770,6 +1924,14 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
             <div className="text-blue-700 text-xs">
               These transactions will be processed automatically when their scheduled date arrives. They do not affect your current balance or limits. Uncheck transactions to exclude them from expected revenue calculations.
             </div>
+            {onExportCalendar && (
+              <button
+                onClick={onExportCalendar}
+                className="mt-2 text-xs font-medium text-blue-700 hover:text-blue-900 underline cursor-pointer"
+              >
+                Export to calendar (.ics)
+              </button>
+            )}
           </div>
           
           {/* Expected Revenue Summary */}
@@ -1780,13 +1942,13 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                 <div className="flex justify-between items-center">
                   <span className="text-sm text-gray-600">Expected Revenue:</span>
                   <span className="font-semibold text-green-600 text-base">
-                    +{expectedRevenue.revenue.toFixed(2).replace(".", ",")} ₼
+                    +{formatCardAmount(expectedRevenue.revenue)}
                   </span>
                 </div>
                 <div className="flex justify-between items-center">
                   <span className="text-sm text-gray-600">Expected Spending:</span>
                   <span className="font-semibold text-red-600 text-base">
-                    -{expectedRevenue.cost.toFixed(2).replace(".", ",")} ₼
+                    -{formatCardAmount(expectedRevenue.cost)}
                   </span>
                 </div>
                 <div className="border-t border-gray-200 pt-2 mt-2">
@@ -1796,7 +1958,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                       expectedRevenue.net >= 0 ? "text-green-600" : "text-red-600"
                     }`}>
                       {expectedRevenue.net >= 0 ? "+" : ""}
-                      {expectedRevenue.net.toFixed(2).replace(".", ",")} ₼
+                      {formatCardAmount(expectedRevenue.net)}
                     </span>
                   </div>
                 </div>
@@ -1805,7 +1967,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                     <div className="flex justify-between items-center">
                       <span className="text-sm text-gray-600">Current Balance:</span>
                       <span className="font-medium text-gray-700 text-base">
-                        {Number(currentCard.amount || 0).toFixed(2).replace(".", ",")} ₼
+                        {formatCardAmount(currentCard.amount || 0)}
                       </span>
                     </div>
                     <div className="flex justify-between items-center mt-2">
@@ -1813,7 +1975,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                       <span className={`font-bold text-lg ${
                         projectedBalance >= 0 ? "text-green-600" : "text-red-600"
                       }`}>
-                        {projectedBalance.toFixed(2).replace(".", ",")} ₼
+                        {formatCardAmount(projectedBalance)}
                       </span>
                     </div>
                   </div>
@@ -1824,6 +1986,22 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
         </div>
       )}
 
+      {/* Export of the list as shown */}
+      {transactionTab !== "analysis" && viewMode === "list" && filteredTransactions.length > 0 && (
+        <div className="flex items-center gap-2 mb-3 flex-shrink-0 text-xs text-gray-600">
+          <span>Export this list:</span>
+          {Object.entries(VIEW_EXPORT_FORMATS).map(([format, label]) => (
+            <button
+              key={format}
+              onClick={() => exportView(format)}
+              className="px-2 py-1 rounded bg-white text-gray-700 hover:bg-gray-100 border border-gray-200 cursor-pointer"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="overflow-y-auto flex-1 min-h-0">
         {transactionTab === "analysis" ? (
           renderAnalysis()
@@ -1836,7 +2014,8 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
             filteredTransactions.map(tx => {
               const time = formatTime(tx.date);
               const category = tx.category || "Other";
-              const formattedAmount = Number(tx.amount).toFixed(2).replace(".", ",");
+              const formattedAmount = formatAmount(tx.amount, getTransactionCurrency(tx, currentCard));
+              const recurringRule = tx.recurringRuleId && recurringRules.find(r => r.id === tx.recurringRuleId);
               
               return (
                 <div
@@ -1855,7 +2034,7 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                   )}
 
                   {/* Icon */}
-                  {getTransactionIcon(category, tx.type)}
+                  <CategoryIcon category={findCategory(categories, category)} />
 
                   {/* Transaction Details */}
                   <div className="flex-1 min-w-0">
@@ -1874,6 +2053,11 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                         </>
                       )}
                     </div>
+                    {recurringRule && (
+                      <div className="text-xs text-purple-600 mt-1" title="Generated by a recurring rule">
+                        ↻ {describeRecurrence(recurringRule)}
+                      </div>
+                    )}
                   </div>
 
                   {/* Amount */}
@@ -1883,14 +2067,32 @@ export default function TransactionList({ transactions, onDeleteTransaction, cur
                     }`}
                   >
                     {tx.type === "cost" ? "-" : "+"}
-                    {formattedAmount} ₼
+                    {formattedAmount}
                   </div>
 
+                  {/* Edit Button */}
+                  {/* Transfers can only be deleted, since editing one side would break the pair */}
+                  {onEditTransaction && !isTransfer(tx) && (
+                    <button
+                      onClick={() => onEditTransaction(tx)}
+                      className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors opacity-0 group-hover:opacity-100 cursor-pointer"
+                      title="Edit Transaction"
+                    >
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 011.415 3.621L12 15l-4 1 1-4 8.879-7.879a2.121 2.121 0 011.415-.621z"/>
+                      </svg>
+                    </button>
+                  )}
+
                   {/* Delete Button */}
                   {onDeleteTransaction && (
                     <button
                       onClick={() => {
-                        if (window.confirm(`Are you sure you want to delete transaction "${tx.title}"?`)) {
+                        const confirmMessage = isTransfer(tx)
+                          ? `Are you sure you want to delete transfer "${tx.title}"? Both sides of the transfer will be deleted.`
+                          : `Are you sure you want to delete transaction "${tx.title}"?`;
+                        if (window.confirm(confirmMessage)) {
                           onDeleteTransaction(tx.id);
                         }
                       }}
@@ -0,0 +1,118 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  increment,
+  query,
+  Timestamp,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "./client";
+import { getTransactionsForCards } from "./transactions";
+
+// Reads and writes everything an account backup holds (see services/backup.js).
+// Documents are read and written as they are stored; Firestore timestamps become
+// { $timestamp: ISO string } in the backup and are turned back into timestamps on restore.
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+// Collections read with a user_id field
+const USER_COLLECTIONS = ["cards", "recurringRules", "categories", "exchangeRates"];
+
+// Replaces timestamps (also nested ones) with JSON-safe values
+const encodeValue = (value) => {
+  if (value instanceof Timestamp) return { $timestamp: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encodeValue(v)]));
+  }
+  return value;
+};
+
+// Turns { $timestamp } values back into timestamps
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === "object") {
+    if (typeof value.$timestamp === "string") return Timestamp.fromDate(new Date(value.$timestamp));
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeValue(v)]));
+  }
+  return value;
+};
+
+const toDocument = (d) => encodeValue({ id: d.id, ...d.data() });
+
+// Reads all documents of an account
+// Returns { account: { userId, profile, cards, transactions, recurringRules, categories, exchangeRates } }
+export const getAccountData = async (userId) => {
+  try {
+    const account = { userId };
+    const profileSnapshot = await getDocs(query(collection(db, "users"), where("uid", "==", userId)));
+    account.profile = profileSnapshot.empty ? null : toDocument(profileSnapshot.docs[0]);
+
+    for (const name of USER_COLLECTIONS) {
+      const snapshot = await getDocs(query(collection(db, name), where("user_id", "==", userId)));
+      account[name] = snapshot.docs.map(toDocument);
+    }
+
+    const { transactions, error } = await getTransactionsForCards(account.cards.map((c) => c.id));
+    if (error) throw error;
+    account.transactions = transactions.map(encodeValue);
+    return { account };
+  } catch (error) {
+    console.error("Error loading account data:", error);
+    return { error };
+  }
+};
+
+// A new document id in a collection, for documents a restore creates
+export const newDocumentId = (name) => doc(collection(db, name)).id;
+
+// Writes a planned restore in batches: writes are { collection, id, data } documents, transactions
+// of existing cards also have a balanceDelta, and cardUpdates are { id, fields }. A card's balance
+// change is incremented in the batch that writes its transactions, so a failed restore never leaves
+// transactions without their balance change (a retry in merge mode skips them and must not add it).
+// Returns { count } of written documents, also with an error
+export const writeRestorePlan = async ({ writes, cardUpdates }) => {
+  let count = 0;
+  try {
+    let batch = writeBatch(db);
+    let size = 0;
+    let written = 0;
+    let deltas = {};
+    const commit = async () => {
+      Object.entries(deltas)
+        .filter(([, delta]) => delta !== 0)
+        .forEach(([cardId, delta]) => batch.update(doc(db, "cards", cardId), { current_amount: increment(delta) }));
+      await batch.commit();
+      count += written;
+      batch = writeBatch(db);
+      size = 0;
+      written = 0;
+      deltas = {};
+    };
+    // Each card with a balance change takes one more write in the batch
+    const getSize = (cardId) => (cardId !== null && !(cardId in deltas) ? 2 : 1);
+
+    for (const { collection: name, id, data, balanceDelta } of writes) {
+      const cardId = balanceDelta === undefined ? null : data.cardId;
+      if (size + getSize(cardId) > BATCH_SIZE) await commit();
+      batch.set(doc(db, name, id), decodeValue(data));
+      size += getSize(cardId);
+      written++;
+      if (cardId !== null) deltas[cardId] = (deltas[cardId] || 0) + balanceDelta;
+    }
+    for (const { id, fields } of cardUpdates) {
+      if (size + 1 > BATCH_SIZE) await commit();
+      batch.update(doc(db, "cards", id), fields);
+      size++;
+    }
+    if (size > 0) await commit();
+    return { count };
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    // Report what was committed before the failing batch
+    return { error, count };
+  }
+};
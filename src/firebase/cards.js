@@ -2,14 +2,20 @@ import { collection, addDoc, serverTimestamp } from "firebase/firestore";
 import { db } from "./client";
 
 // Adds a card to Firestore "cards" collection
-export const addCardToTable = async ({ card_number, current_amount, user_id }) => {
+// opening_amount is the balance the card's ledger starts from (defaults to current_amount)
+// currency is the ISO code of the card's balance and transactions (defaults to AZN)
+export const addCardToTable = async ({ card_number, current_amount, opening_amount, currency, user_id }) => {
   try {
     const docRef = await addDoc(collection(db, "cards"), {
       card_number,
       current_amount,
+      opening_amount: opening_amount ?? current_amount,
+      currency: currency || "AZN",
       user_id,
       limits: [],
       plans: [],
+      limitTemplates: [],
+      planTemplates: [],
       wishes: [],
       createdAt: serverTimestamp(),
     });
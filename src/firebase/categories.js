@@ -0,0 +1,154 @@
+import {
+  collection,
+  addDoc,
+  doc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "./client";
+import { buildCategoryMigration } from "../services/categories";
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+// Firestore "in" queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// Maps a category to the fields stored in Firestore "categories" collection
+// Expected fields: user_id, name, type ("cost" | "revenue" | "both"), color (hex), icon (icon key),
+// parentId (id of the parent category or null), excludeFromDailyGraph (boolean)
+const toCategoryFields = (category) => ({
+  user_id: category.user_id,
+  name: category.name.trim(),
+  type: category.type,
+  color: category.color,
+  icon: category.icon,
+  parentId: category.parentId ?? null,
+  excludeFromDailyGraph: category.excludeFromDailyGraph ?? false,
+});
+
+// Writes { ref, fields } updates in as many batches as needed
+const updateInBatches = async (updates) => {
+  for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    updates.slice(start, start + BATCH_SIZE).forEach(({ ref, fields }) => batch.update(ref, fields));
+    await batch.commit();
+  }
+};
+
+// Reads the transactions of the user's cards, optionally only those with a category name
+const getTransactionsForUser = async (userId, categoryName = null) => {
+  const cardsSnapshot = await getDocs(query(collection(db, "cards"), where("user_id", "==", userId)));
+  const cardIds = cardsSnapshot.docs.map((d) => d.id);
+  const docs = [];
+  for (let start = 0; start < cardIds.length; start += IN_QUERY_LIMIT) {
+    const conditions = [where("cardId", "in", cardIds.slice(start, start + IN_QUERY_LIMIT))];
+    if (categoryName !== null) conditions.push(where("category", "==", categoryName));
+    const snapshot = await getDocs(query(collection(db, "transactions"), ...conditions));
+    docs.push(...snapshot.docs);
+  }
+  return docs;
+};
+
+export const addCategoryToTable = async (category) => {
+  try {
+    const docRef = await addDoc(collection(db, "categories"), {
+      ...toCategoryFields(category),
+      createdAt: serverTimestamp(),
+    });
+    return { id: docRef.id };
+  } catch (error) {
+    console.error("Error adding category:", error);
+    return { error };
+  }
+};
+
+export const updateCategoryInTable = async (id, fields) => {
+  try {
+    await updateDoc(doc(db, "categories", id), fields);
+    return { id };
+  } catch (error) {
+    console.error("Error updating category:", error);
+    return { error };
+  }
+};
+
+export const deleteCategoryFromTable = async (id) => {
+  try {
+    await deleteDoc(doc(db, "categories", id));
+    return { id };
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    return { error };
+  }
+};
+
+export const getCategoriesForUser = async (userId) => {
+  try {
+    const q = query(collection(db, "categories"), where("user_id", "==", userId));
+    const snapshot = await getDocs(q);
+    return { categories: snapshot.docs.map((d) => ({ id: d.id, ...d.data() })) };
+  } catch (error) {
+    console.error("Error loading categories:", error);
+    return { error };
+  }
+};
+
+// Moves the user's transactions and recurring rules from one category name to another
+// (used when a category is renamed, since they refer to categories by name)
+export const renameCategoryInTransactions = async (userId, oldName, newName) => {
+  try {
+    const txDocs = await getTransactionsForUser(userId, oldName);
+    const rulesSnapshot = await getDocs(
+      query(collection(db, "recurringRules"), where("user_id", "==", userId), where("category", "==", oldName))
+    );
+    await updateInBatches(
+      [...txDocs, ...rulesSnapshot.docs].map((d) => ({ ref: d.ref, fields: { category: newName } }))
+    );
+    return { count: txDocs.length };
+  } catch (error) {
+    console.error("Error renaming category:", error);
+    return { error };
+  }
+};
+
+// Creates categories for a user who only has free-text categories on their transactions,
+// and rewrites transactions and rules whose category differs only in spelling.
+// Category ids are derived from the user and name, so running it twice (e.g. from two
+// tabs) doesn't create duplicates.
+// Returns { categories }
+export const migrateCategories = async (userId) => {
+  try {
+    const txDocs = await getTransactionsForUser(userId);
+    const rulesSnapshot = await getDocs(query(collection(db, "recurringRules"), where("user_id", "==", userId)));
+    const items = [...txDocs, ...rulesSnapshot.docs];
+
+    const { categories, renames } = buildCategoryMigration(items.map((d) => d.data()));
+
+    const created = categories.map((category) => ({
+      id: `${userId}_${encodeURIComponent(category.name.toLowerCase())}`,
+      user_id: userId,
+      ...category,
+    }));
+    const batch = writeBatch(db);
+    created.forEach(({ id, ...category }) => {
+      batch.set(doc(db, "categories", id), { ...toCategoryFields(category), createdAt: serverTimestamp() });
+    });
+    await batch.commit();
+
+    await updateInBatches(
+      items
+        .filter((d) => renames.has(d.data().category ?? ""))
+        .map((d) => ({ ref: d.ref, fields: { category: renames.get(d.data().category ?? "") } }))
+    );
+    return { categories: created };
+  } catch (error) {
+    console.error("Error migrating categories:", error);
+    return { error };
+  }
+};
@@ -0,0 +1,66 @@
+import {
+  collection,
+  addDoc,
+  doc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "./client";
+
+// Maps an exchange rate to the fields stored in Firestore "exchangeRates" collection
+// Expected fields: user_id, currency (ISO code), date ("YYYY-MM-DD"),
+// rate (value of one unit of currency in BASE_CURRENCY, see services/currency.js)
+const toExchangeRateFields = (rate) => ({
+  user_id: rate.user_id,
+  currency: rate.currency,
+  date: rate.date,
+  rate: Number(rate.rate),
+});
+
+export const addExchangeRateToTable = async (rate) => {
+  try {
+    const docRef = await addDoc(collection(db, "exchangeRates"), {
+      ...toExchangeRateFields(rate),
+      createdAt: serverTimestamp(),
+    });
+    return { id: docRef.id };
+  } catch (error) {
+    console.error("Error adding exchange rate:", error);
+    return { error };
+  }
+};
+
+export const updateExchangeRateInTable = async (id, fields) => {
+  try {
+    await updateDoc(doc(db, "exchangeRates", id), fields);
+    return { id };
+  } catch (error) {
+    console.error("Error updating exchange rate:", error);
+    return { error };
+  }
+};
+
+export const deleteExchangeRateFromTable = async (id) => {
+  try {
+    await deleteDoc(doc(db, "exchangeRates", id));
+    return { id };
+  } catch (error) {
+    console.error("Error deleting exchange rate:", error);
+    return { error };
+  }
+};
+
+export const getExchangeRatesForUser = async (userId) => {
+  try {
+    const q = query(collection(db, "exchangeRates"), where("user_id", "==", userId));
+    const snapshot = await getDocs(q);
+    return { rates: snapshot.docs.map((d) => ({ id: d.id, ...d.data() })) };
+  } catch (error) {
+    console.error("Error loading exchange rates:", error);
+    return { error };
+  }
+};
@@ -0,0 +1,58 @@
+import {
+  collection,
+  addDoc,
+  doc,
+  updateDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "./client";
+
+// An import batch records what one import wrote so it can be undone
+// Fields stored in Firestore "importBatches" collection: user_id, status ("pending" while
+// importing, or if the import was interrupted, then "committed", "failed" or "undone"), summary (counts for the list),
+// cardIds (cards the import touched), createdCardIds, merges ({ id, previous } values the
+// merged transactions had) and itemChanges ({ cardId, type, item, previous } limit, plan and
+// wish changes), saved before each import step writes. The imported transactions carry the
+// batch id in importBatchId.
+export const addImportBatchToTable = async (batch) => {
+  try {
+    const docRef = await addDoc(collection(db, "importBatches"), {
+      user_id: batch.user_id,
+      status: "pending",
+      summary: batch.summary,
+      cardIds: [],
+      createdCardIds: [],
+      merges: [],
+      itemChanges: [],
+      createdAt: serverTimestamp(),
+    });
+    return { id: docRef.id };
+  } catch (error) {
+    console.error("Error adding import batch:", error);
+    return { error };
+  }
+};
+
+export const updateImportBatchInTable = async (id, fields) => {
+  try {
+    await updateDoc(doc(db, "importBatches", id), fields);
+    return { id };
+  } catch (error) {
+    console.error("Error updating import batch:", error);
+    return { error };
+  }
+};
+
+export const getImportBatchesForUser = async (userId) => {
+  try {
+    const q = query(collection(db, "importBatches"), where("user_id", "==", userId));
+    const snapshot = await getDocs(q);
+    return { batches: snapshot.docs.map((d) => ({ id: d.id, ...d.data() })) };
+  } catch (error) {
+    console.error("Error loading import batches:", error);
+    return { error };
+  }
+};
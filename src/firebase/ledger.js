@@ -0,0 +1,468 @@
+import {
+  collection,
+  doc,
+  increment,
+  runTransaction,
+  serverTimestamp,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "./client";
+import { toTransactionFields } from "./transactions";
+import { getOccurrenceId, toRecurringRuleFields } from "./recurringRules";
+import {
+  getBalanceEffect,
+  BALANCE_ADJUSTMENT_CATEGORY,
+  DISCREPANCY_TOLERANCE,
+  TRANSFER_CATEGORY,
+} from "../services/balance";
+
+// Every write that changes a card's current_amount goes through this module.
+// The transaction document and the card balance are written in one Firestore
+// transaction or batch, so they succeed or fail together, and balances are
+// changed with increment() so concurrent writers (another tab, the scheduler)
+// can't overwrite each other's updates.
+
+// Firestore allows 500 writes per batch; leave room for the card balance updates
+const IMPORT_BATCH_SIZE = 400;
+
+// Adds a signed amount to a per-card delta map
+const addDelta = (deltas, cardId, delta) => {
+  if (!delta) return deltas;
+  deltas[cardId] = (deltas[cardId] || 0) + delta;
+  return deltas;
+};
+
+// Reads the cards whose balance is about to change (Firestore transactions need all reads before writes)
+const readCards = async (transaction, deltas) => {
+  const cardIds = Object.keys(deltas).filter((cardId) => deltas[cardId] !== 0);
+  const snapshots = await Promise.all(cardIds.map((cardId) => transaction.get(doc(db, "cards", cardId))));
+  return snapshots.filter((snapshot) => snapshot.exists());
+};
+
+// Increments the card balances and returns the resulting balance per card id
+const applyDeltas = (transaction, cardSnapshots, deltas) => {
+  const balances = {};
+  cardSnapshots.forEach((snapshot) => {
+    const delta = deltas[snapshot.id];
+    transaction.update(snapshot.ref, { current_amount: increment(delta) });
+    balances[snapshot.id] = (snapshot.data().current_amount ?? 0) + delta;
+  });
+  return balances;
+};
+
+// Adds a transaction and applies it to its card balance if isAffect is true
+// Returns { id, balances } where balances maps card id to its new current_amount
+export const addTransactionWithBalance = async (tx) => {
+  try {
+    const txRef = doc(collection(db, "transactions"));
+    const fields = toTransactionFields(tx);
+    const deltas = addDelta({}, fields.cardId, getBalanceEffect(fields));
+
+    const balances = await runTransaction(db, async (transaction) => {
+      const cardSnapshots = await readCards(transaction, deltas);
+      transaction.set(txRef, { ...fields, createdAt: serverTimestamp() });
+      return applyDeltas(transaction, cardSnapshots, deltas);
+    });
+    return { id: txRef.id, balances };
+  } catch (error) {
+    console.error("Error adding transaction:", error);
+    return { error };
+  }
+};
+
+// Adds a repeating transaction: a new recurring rule and the transaction as its first
+// occurrence, written together with the balance change, so a rule never exists without
+// the occurrence the user entered. The occurrence gets the derived id of occurrence 0.
+// Returns { id, ruleId, rule, balances } with the stored rule fields
+export const addRecurringTransactionWithBalance = async (rule, tx) => {
+  try {
+    const ruleRef = doc(collection(db, "recurringRules"));
+    const txRef = doc(db, "transactions", getOccurrenceId(ruleRef.id, 0));
+    const ruleFields = toRecurringRuleFields(rule);
+    const fields = toTransactionFields({ ...tx, recurringRuleId: ruleRef.id, occurrenceIndex: 0 });
+    const deltas = addDelta({}, fields.cardId, getBalanceEffect(fields));
+
+    const balances = await runTransaction(db, async (transaction) => {
+      const cardSnapshots = await readCards(transaction, deltas);
+      transaction.set(ruleRef, { ...ruleFields, createdAt: serverTimestamp() });
+      transaction.set(txRef, { ...fields, createdAt: serverTimestamp() });
+      return applyDeltas(transaction, cardSnapshots, deltas);
+    });
+    return { id: txRef.id, ruleId: ruleRef.id, rule: ruleFields, balances };
+  } catch (error) {
+    console.error("Error adding recurring transaction:", error);
+    return { error };
+  }
+};
+
+// Moves money between two of the user's cards as a linked pair: a cost on the source card
+// and a revenue on the destination card, written together with both balance changes.
+// Expected fields: fromCardId, toCardId, title, amount, date (ISO string), and for cards in
+// different currencies fromCurrency, toCurrency and toAmount (amount converted into toCurrency)
+// Returns { transactions, balances } where transactions are the debit and credit sides
+export const addTransferWithBalance = async ({ fromCardId, toCardId, title, amount, date, fromCurrency, toCurrency, toAmount }) => {
+  try {
+    if (fromCardId === toCardId) {
+      throw new Error("A transfer needs two different cards");
+    }
+    const debitRef = doc(collection(db, "transactions"));
+    const creditRef = doc(collection(db, "transactions"));
+    const common = {
+      title,
+      category: TRANSFER_CATEGORY,
+      date,
+      scheduled: false,
+      isAffect: true,
+      includeInExpected: false,
+    };
+    const debit = toTransactionFields({
+      ...common,
+      cardId: fromCardId,
+      type: "cost",
+      amount: Number(amount),
+      currency: fromCurrency,
+      linkedTransactionId: creditRef.id,
+      counterpartCardId: toCardId,
+    });
+    const credit = toTransactionFields({
+      ...common,
+      cardId: toCardId,
+      type: "revenue",
+      amount: Number(toAmount ?? amount),
+      currency: toCurrency,
+      linkedTransactionId: debitRef.id,
+      counterpartCardId: fromCardId,
+    });
+
+    const deltas = {};
+    addDelta(deltas, fromCardId, getBalanceEffect(debit));
+    addDelta(deltas, toCardId, getBalanceEffect(credit));
+
+    const balances = await runTransaction(db, async (transaction) => {
+      const cardSnapshots = await readCards(transaction, deltas);
+      if (cardSnapshots.length !== 2) {
+        throw new Error("Card no longer exists");
+      }
+      transaction.set(debitRef, { ...debit, createdAt: serverTimestamp() });
+      transaction.set(creditRef, { ...credit, createdAt: serverTimestamp() });
+      return applyDeltas(transaction, cardSnapshots, deltas);
+    });
+    return {
+      transactions: [
+        { id: debitRef.id, ...debit },
+        { id: creditRef.id, ...credit },
+      ],
+      balances,
+    };
+  } catch (error) {
+    console.error("Error adding transfer:", error);
+    return { error };
+  }
+};
+
+// Reads what updating a transaction in a Firestore transaction needs and returns the
+// function that writes the update and returns the new balances (all reads come before writes)
+const prepareUpdate = async (transaction, id, tx) => {
+  const txRef = doc(db, "transactions", id);
+  const snapshot = await transaction.get(txRef);
+  if (!snapshot.exists()) {
+    throw new Error("Transaction no longer exists");
+  }
+  const stored = snapshot.data();
+  if (stored.linkedTransactionId) {
+    throw new Error("Transfers can't be edited");
+  }
+  const fields = toTransactionFields({
+    ...tx,
+    includeInExpected: tx.includeInExpected ?? stored.includeInExpected,
+  });
+
+  const deltas = {};
+  addDelta(deltas, stored.cardId, -getBalanceEffect(stored));
+  addDelta(deltas, fields.cardId, getBalanceEffect(fields));
+
+  const cardSnapshots = await readCards(transaction, deltas);
+  return () => {
+    transaction.update(txRef, { ...fields, updatedAt: serverTimestamp() });
+    return applyDeltas(transaction, cardSnapshots, deltas);
+  };
+};
+
+// Updates a transaction in place (keeping its createdAt) and re-reconciles the balances:
+// the stored version is reversed on its card and the new version applied on its card.
+// includeInExpected is left untouched when not provided.
+// Transfers can't be updated, since one side would no longer match the other.
+// Returns { id, balances }
+export const updateTransactionWithBalance = async (id, tx) => {
+  try {
+    const balances = await runTransaction(db, async (transaction) => {
+      const writeUpdate = await prepareUpdate(transaction, id, tx);
+      return writeUpdate();
+    });
+    return { id, balances };
+  } catch (error) {
+    console.error("Error updating transaction:", error);
+    return { error };
+  }
+};
+
+// Updates an occurrence of a recurring rule and splits the rule at it ("this and all future
+// occurrences") in one Firestore transaction, so the old and the new rule never both generate
+// the same dates. The split is { ruleId, index (of the occurrence), newRule, moved ([{ id,
+// occurrenceIndex }] of later occurrences that move to the new rule), staleIds (later unapplied
+// occurrences to delete) }. The old rule keeps the occurrences before this one and is deleted
+// when this is its first. A stale occurrence that was applied in the meantime fails the split.
+// Returns { id, ruleId (of the new rule), rule (its stored fields), balances }
+export const splitRecurringTransactionWithBalance = async (id, tx, { ruleId, index, newRule, moved, staleIds }) => {
+  try {
+    const oldRuleRef = doc(db, "recurringRules", ruleId);
+    const ruleRef = doc(collection(db, "recurringRules"));
+    const ruleFields = toRecurringRuleFields(newRule);
+
+    const balances = await runTransaction(db, async (transaction) => {
+      const oldRuleSnapshot = await transaction.get(oldRuleRef);
+      if (!oldRuleSnapshot.exists()) {
+        throw new Error("Recurring rule no longer exists");
+      }
+      const staleSnapshots = await Promise.all(staleIds.map((staleId) => transaction.get(doc(db, "transactions", staleId))));
+      if (staleSnapshots.some((snapshot) => snapshot.exists() && snapshot.data().isAffect)) {
+        throw new Error("An occurrence was applied in the meantime. Please try again.");
+      }
+      const writeUpdate = await prepareUpdate(transaction, id, { ...tx, recurringRuleId: ruleRef.id, occurrenceIndex: 0 });
+
+      transaction.set(ruleRef, { ...ruleFields, createdAt: serverTimestamp() });
+      moved.forEach((occurrence) => transaction.update(doc(db, "transactions", occurrence.id), {
+        recurringRuleId: ruleRef.id,
+        occurrenceIndex: occurrence.occurrenceIndex,
+      }));
+      staleSnapshots.forEach((snapshot) => {
+        if (snapshot.exists()) transaction.delete(snapshot.ref);
+      });
+      if (index === 0) {
+        transaction.delete(oldRuleRef);
+      } else {
+        transaction.update(oldRuleRef, { count: index });
+      }
+      return writeUpdate();
+    });
+    return { id, ruleId: ruleRef.id, rule: ruleFields, balances };
+  } catch (error) {
+    console.error("Error splitting recurring rule:", error);
+    return { error };
+  }
+};
+
+// Deletes a transaction and reverses its effect on the card balance if it was applied.
+// Deleting either side of a transfer deletes both sides.
+// Returns { id, deletedIds, balances }
+export const deleteTransactionWithBalance = async (id) => {
+  try {
+    const txRef = doc(db, "transactions", id);
+
+    const { deletedIds, balances } = await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(txRef);
+      if (!snapshot.exists()) return { deletedIds: [id], balances: {} };
+      const snapshots = [snapshot];
+
+      const { linkedTransactionId } = snapshot.data();
+      if (linkedTransactionId) {
+        const linkedSnapshot = await transaction.get(doc(db, "transactions", linkedTransactionId));
+        if (linkedSnapshot.exists()) snapshots.push(linkedSnapshot);
+      }
+
+      const deltas = {};
+      snapshots.forEach((s) => addDelta(deltas, s.data().cardId, -getBalanceEffect(s.data())));
+
+      const cardSnapshots = await readCards(transaction, deltas);
+      snapshots.forEach((s) => transaction.delete(s.ref));
+      return {
+        deletedIds: snapshots.map((s) => s.id),
+        balances: applyDeltas(transaction, cardSnapshots, deltas),
+      };
+    });
+    return { id, deletedIds, balances };
+  } catch (error) {
+    console.error("Error deleting transaction:", error);
+    return { error };
+  }
+};
+
+// Applies a due scheduled transaction to its card balance.
+// Safe to call more than once: a transaction that is already applied, no longer
+// scheduled or not yet due is left alone.
+// Returns { applied, balances }
+export const applyScheduledTransaction = async (id, now = new Date()) => {
+  try {
+    const txRef = doc(db, "transactions", id);
+
+    const result = await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(txRef);
+      if (!snapshot.exists()) return { applied: false, balances: {} };
+      const stored = snapshot.data();
+      if (stored.scheduled !== true || stored.isAffect !== false || new Date(stored.date) > now) {
+        return { applied: false, balances: {} };
+      }
+      const deltas = addDelta({}, stored.cardId, getBalanceEffect({ ...stored, isAffect: true }));
+
+      const cardSnapshots = await readCards(transaction, deltas);
+      transaction.update(txRef, { isAffect: true });
+      return { applied: true, balances: applyDeltas(transaction, cardSnapshots, deltas) };
+    });
+    return result;
+  } catch (error) {
+    console.error("Error applying scheduled transaction:", error);
+    return { error };
+  }
+};
+
+// Adds many transactions (e.g. an import) with batched writes. Each batch writes its
+// transactions together with the balance change they cause, so a failed batch leaves
+// neither behind.
+// Returns { ids, deltas } where deltas maps card id to the total balance change
+export const addTransactionsWithBalance = async (txs) => {
+  const ids = [];
+  const deltas = {};
+  try {
+    for (let start = 0; start < txs.length; start += IMPORT_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      const batchIds = [];
+      const batchDeltas = {};
+
+      txs.slice(start, start + IMPORT_BATCH_SIZE).forEach((tx) => {
+        const txRef = doc(collection(db, "transactions"));
+        const fields = toTransactionFields(tx);
+        batch.set(txRef, { ...fields, createdAt: serverTimestamp() });
+        batchIds.push(txRef.id);
+        addDelta(batchDeltas, fields.cardId, getBalanceEffect(fields));
+      });
+      Object.entries(batchDeltas).forEach(([cardId, delta]) => {
+        batch.update(doc(db, "cards", cardId), { current_amount: increment(delta) });
+      });
+
+      await batch.commit();
+      ids.push(...batchIds);
+      Object.entries(batchDeltas).forEach(([cardId, delta]) => addDelta(deltas, cardId, delta));
+    }
+    return { ids, deltas };
+  } catch (error) {
+    console.error("Error adding transactions:", error);
+    // Report what was committed before the failing batch
+    return { error, ids, deltas };
+  }
+};
+
+// Deletes many stored transactions (e.g. an undone import) in chunks and reverses their
+// effect on the card balances. Each chunk is a Firestore transaction that reads the documents
+// and reverses them as stored, so a transaction edited since it was loaded (e.g. in another
+// tab) reverses its current amount; ones that no longer exist are skipped.
+// Returns { ids, deltas } like addTransactionsWithBalance
+export const deleteTransactionsWithBalance = async (txs) => {
+  const ids = [];
+  const deltas = {};
+  try {
+    for (let start = 0; start < txs.length; start += IMPORT_BATCH_SIZE) {
+      const refs = txs.slice(start, start + IMPORT_BATCH_SIZE).map((tx) => doc(db, "transactions", tx.id));
+
+      const chunkDeltas = await runTransaction(db, async (transaction) => {
+        const snapshots = (await Promise.all(refs.map((ref) => transaction.get(ref)))).filter((snapshot) => snapshot.exists());
+        const stepDeltas = {};
+        snapshots.forEach((snapshot) => addDelta(stepDeltas, snapshot.data().cardId, -getBalanceEffect(snapshot.data())));
+
+        const cardSnapshots = await readCards(transaction, stepDeltas);
+        snapshots.forEach((snapshot) => transaction.delete(snapshot.ref));
+        applyDeltas(transaction, cardSnapshots, stepDeltas);
+        return stepDeltas;
+      });
+
+      ids.push(...refs.map((ref) => ref.id));
+      Object.entries(chunkDeltas).forEach(([cardId, delta]) => addDelta(deltas, cardId, delta));
+    }
+    return { ids, deltas };
+  } catch (error) {
+    console.error("Error deleting transactions:", error);
+    // Report what was committed before the failing chunk
+    return { error, ids, deltas };
+  }
+};
+
+// Reads a card inside a transaction and makes sure its stored balance is still the one
+// the integrity check saw, so a correction is never based on an outdated balance
+// Returns the card snapshot
+const readCardWithExpectedBalance = async (transaction, cardId, expectedAmount) => {
+  const cardRef = doc(db, "cards", cardId);
+  const snapshot = await transaction.get(cardRef);
+  if (!snapshot.exists()) {
+    throw new Error("Card no longer exists");
+  }
+  const storedAmount = snapshot.data().current_amount ?? 0;
+  if (Math.abs(storedAmount - expectedAmount) >= DISCREPANCY_TOLERANCE) {
+    throw new Error("The card balance changed since the check ran. Please run the check again.");
+  }
+  return snapshot;
+};
+
+// Sets the opening balance the ledger-derived balance starts from
+export const setOpeningBalance = async (cardId, openingAmount) => {
+  try {
+    await runTransaction(db, async (transaction) => {
+      const cardRef = doc(db, "cards", cardId);
+      const snapshot = await transaction.get(cardRef);
+      if (!snapshot.exists()) {
+        throw new Error("Card no longer exists");
+      }
+      transaction.update(cardRef, { opening_amount: Number(openingAmount) });
+    });
+    return { id: cardId };
+  } catch (error) {
+    console.error("Error setting opening balance:", error);
+    return { error };
+  }
+};
+
+// Replaces the stored balance with the balance recomputed from the ledger
+// Returns { id, balances }
+export const acceptRecomputedBalance = async (cardId, expectedAmount, recomputedAmount) => {
+  try {
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await readCardWithExpectedBalance(transaction, cardId, expectedAmount);
+      transaction.update(snapshot.ref, { current_amount: recomputedAmount });
+    });
+    return { id: cardId, balances: { [cardId]: recomputedAmount } };
+  } catch (error) {
+    console.error("Error accepting recomputed balance:", error);
+    return { error };
+  }
+};
+
+// Records the difference between the stored and the recomputed balance as an explicit
+// "balance adjustment" transaction. The stored balance already contains the difference,
+// so only the ledger changes and the two agree afterwards.
+// Returns { id, transaction }
+export const recordBalanceAdjustment = async (cardId, expectedAmount, discrepancy) => {
+  try {
+    const txRef = doc(collection(db, "transactions"));
+    const tx = {
+      cardId,
+      title: "Balance adjustment",
+      type: discrepancy < 0 ? "cost" : "revenue",
+      category: BALANCE_ADJUSTMENT_CATEGORY,
+      amount: Math.abs(discrepancy),
+      date: new Date().toISOString(),
+      scheduled: false,
+      isAffect: true,
+      includeInExpected: false,
+      isAdjustment: true,
+    };
+
+    const fields = await runTransaction(db, async (transaction) => {
+      const snapshot = await readCardWithExpectedBalance(transaction, cardId, expectedAmount);
+      const adjustment = toTransactionFields({ ...tx, currency: snapshot.data().currency });
+      transaction.set(txRef, { ...adjustment, createdAt: serverTimestamp() });
+      return adjustment;
+    });
+    return { id: txRef.id, transaction: { id: txRef.id, ...fields } };
+  } catch (error) {
+    console.error("Error recording balance adjustment:", error);
+    return { error };
+  }
+};
@@ -0,0 +1,156 @@
+import {
+  collection,
+  addDoc,
+  doc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "./client";
+import { toTransactionFields } from "./transactions";
+import { getCardCurrency } from "../services/currency";
+import { getLocalTimeZone, getPendingOccurrences } from "../services/recurrence";
+import { getOccurrenceId } from "../../functions/shared/recurrence.js";
+
+// Occurrences written in one Firestore transaction (each is a read and a write, limit 500)
+const OCCURRENCES_PER_TRANSACTION = 200;
+
+// Maps a rule to the fields stored in Firestore "recurringRules" collection
+// Expected fields: user_id, cardId, title, type, category, amount, includeInExpected,
+// frequency ("daily" | "weekly" | "monthly" | "yearly"), interval, startDate (ISO string),
+// endDate (ISO string or null), count (number of occurrences or null),
+// generatedCount and lastOccurrenceDate (how far the rule has been materialized) and
+// timeZone (IANA zone whose calendar days the occurrences fall on; older rules have none)
+export const toRecurringRuleFields = (rule) => ({
+  user_id: rule.user_id,
+  cardId: rule.cardId,
+  title: rule.title,
+  type: rule.type,
+  category: rule.category,
+  amount: Number(rule.amount),
+  includeInExpected: rule.includeInExpected ?? true,
+  frequency: rule.frequency,
+  interval: Number(rule.interval) || 1,
+  startDate: rule.startDate,
+  endDate: rule.endDate ?? null,
+  count: rule.count ?? null,
+  generatedCount: rule.generatedCount ?? 0,
+  lastOccurrenceDate: rule.lastOccurrenceDate ?? null,
+  timeZone: rule.timeZone ?? getLocalTimeZone(),
+});
+
+// Adds a rule to Firestore "recurringRules" collection (see toRecurringRuleFields)
+export const addRecurringRuleToTable = async (rule) => {
+  try {
+    const docRef = await addDoc(collection(db, "recurringRules"), {
+      ...toRecurringRuleFields(rule),
+      createdAt: serverTimestamp(),
+    });
+    return { id: docRef.id };
+  } catch (error) {
+    console.error("Error adding recurring rule:", error);
+    return { error };
+  }
+};
+
+export const updateRecurringRuleInTable = async (id, fields) => {
+  try {
+    await updateDoc(doc(db, "recurringRules", id), fields);
+    return { id };
+  } catch (error) {
+    console.error("Error updating recurring rule:", error);
+    return { error };
+  }
+};
+
+export const deleteRecurringRuleFromTable = async (id) => {
+  try {
+    await deleteDoc(doc(db, "recurringRules", id));
+    return { id };
+  } catch (error) {
+    console.error("Error deleting recurring rule:", error);
+    return { error };
+  }
+};
+
+export const getRecurringRulesForUser = async (userId) => {
+  try {
+    const q = query(collection(db, "recurringRules"), where("user_id", "==", userId));
+    const snapshot = await getDocs(q);
+    return { rules: snapshot.docs.map((d) => ({ id: d.id, ...d.data() })) };
+  } catch (error) {
+    console.error("Error loading recurring rules:", error);
+    return { error };
+  }
+};
+
+// Occurrence documents have ids derived from the rule, so an occurrence can only be created once
+export { getOccurrenceId };
+
+// Creates the scheduled transactions of a rule's occurrences up to a date that haven't been
+// generated yet, and advances the rule's generatedCount. The rule is read and updated in a
+// Firestore transaction, so another tab or the scheduler generating the same rule at the same
+// time retries against the new generatedCount instead of creating the occurrences twice.
+// Returns { rule, created } with the updated rule (null if it no longer exists) and the new transactions
+export const materializeRecurringRule = async (ruleId, until) => {
+  try {
+    const ruleRef = doc(db, "recurringRules", ruleId);
+    const created = [];
+    for (;;) {
+      const step = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(ruleRef);
+        if (!snapshot.exists()) return { rule: null, created: [] };
+        const rule = { id: snapshot.id, ...snapshot.data() };
+        const pending = getPendingOccurrences(rule, until).slice(0, OCCURRENCES_PER_TRANSACTION);
+        if (pending.length === 0) return { rule, created: [] };
+
+        const cardSnapshot = await transaction.get(doc(db, "cards", rule.cardId));
+        if (!cardSnapshot.exists()) return { rule, created: [] };
+        const refs = pending.map((occurrence) => doc(db, "transactions", getOccurrenceId(rule.id, occurrence.index)));
+        const existing = await Promise.all(refs.map((ref) => transaction.get(ref)));
+
+        // Occurrences start out scheduled; past ones are applied by the scheduler or the app
+        const stepCreated = [];
+        pending.forEach((occurrence, i) => {
+          if (existing[i].exists()) return;
+          const fields = toTransactionFields({
+            cardId: rule.cardId,
+            title: rule.title,
+            type: rule.type,
+            category: rule.category,
+            amount: rule.amount,
+            currency: getCardCurrency(cardSnapshot.data()),
+            date: occurrence.date,
+            scheduled: true,
+            isAffect: false,
+            includeInExpected: rule.includeInExpected ?? true,
+            recurringRuleId: rule.id,
+            occurrenceIndex: occurrence.index,
+          });
+          transaction.set(refs[i], { ...fields, createdAt: serverTimestamp() });
+          stepCreated.push({ id: refs[i].id, ...fields });
+        });
+
+        // Older rules get this browser's time zone, which their dates were computed in,
+        // so the scheduler computes the same dates
+        const lastOccurrence = pending[pending.length - 1];
+        const progress = {
+          generatedCount: lastOccurrence.index + 1,
+          lastOccurrenceDate: lastOccurrence.date,
+          ...(rule.timeZone ? {} : { timeZone: getLocalTimeZone() }),
+        };
+        transaction.update(ruleRef, progress);
+        return { rule: { ...rule, ...progress }, created: stepCreated, more: pending.length === OCCURRENCES_PER_TRANSACTION };
+      });
+      created.push(...step.created);
+      if (!step.more) return { rule: step.rule, created };
+    }
+  } catch (error) {
+    console.error("Error generating recurring transactions:", error);
+    return { error };
+  }
+};
@@ -1,20 +1,61 @@
-import { collection, addDoc, serverTimestamp } from "firebase/firestore";
+import {
+  collection,
+  addDoc,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from "firebase/firestore";
 import { db } from "./client";
 
-// Adds a transaction to Firestore "transactions" collection
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+// Firestore "in" queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// Maps a transaction to the fields stored in Firestore "transactions" collection
 // Expected fields: cardId, title, type, category, amount, date (ISO string), scheduled (boolean), isAffect (boolean), includeInExpected (boolean)
+// currency is the ISO code of the amount, always the card's currency (older transactions don't have it)
+// Transactions imported from a bank statement carry externalId, the bank's ID of the transaction (OFX FITID),
+// and camt.053/MT940 ones also valueDate, counterparty and remittanceInfo when the statement has them
+// Imported transactions carry importBatchId, the "importBatches" record the import can be undone with
+// Occurrences of a recurring rule also carry recurringRuleId and occurrenceIndex,
+// balance adjustments from the integrity check carry isAdjustment, and both sides of a
+// transfer between own cards carry linkedTransactionId (the other side) and counterpartCardId
+export const toTransactionFields = (tx) => ({
+  cardId: tx.cardId,
+  title: tx.title,
+  type: tx.type,
+  category: tx.category,
+  amount: Number(tx.amount),
+  date: tx.date,
+  scheduled: tx.scheduled ?? false,
+  isAffect: tx.isAffect ?? false,
+  includeInExpected: tx.includeInExpected ?? true,
+  ...(tx.currency ? { currency: tx.currency } : {}),
+  ...(tx.externalId ? { externalId: tx.externalId } : {}),
+  ...(tx.valueDate ? { valueDate: tx.valueDate } : {}),
+  ...(tx.counterparty ? { counterparty: tx.counterparty } : {}),
+  ...(tx.remittanceInfo ? { remittanceInfo: tx.remittanceInfo } : {}),
+  ...(tx.importBatchId ? { importBatchId: tx.importBatchId } : {}),
+  ...(tx.recurringRuleId
+    ? { recurringRuleId: tx.recurringRuleId, occurrenceIndex: tx.occurrenceIndex ?? 0 }
+    : {}),
+  ...(tx.isAdjustment ? { isAdjustment: true } : {}),
+  ...(tx.linkedTransactionId
+    ? { linkedTransactionId: tx.linkedTransactionId, counterpartCardId: tx.counterpartCardId }
+    : {}),
+});
+
+// Adds a transaction to Firestore "transactions" collection without touching the card balance
+// (use ledger.js for transactions that affect the balance)
 export const addTransactionToTable = async (tx) => {
   try {
     const docRef = await addDoc(collection(db, "transactions"), {
-      cardId: tx.cardId,
-      title: tx.title,
-      type: tx.type,
-      category: tx.category,
-      amount: Number(tx.amount),
-      date: tx.date,
-      scheduled: tx.scheduled ?? false,
-      isAffect: tx.isAffect ?? false,
-      includeInExpected: tx.includeInExpected ?? true,
+      ...toTransactionFields(tx),
       createdAt: serverTimestamp(),
     });
     return { id: docRef.id };
@@ -24,3 +65,34 @@ export const addTransactionToTable = async (tx) => {
   }
 };
 
+// Reads the transactions of some cards
+export const getTransactionsForCards = async (cardIds) => {
+  try {
+    const transactions = [];
+    for (let start = 0; start < cardIds.length; start += IN_QUERY_LIMIT) {
+      const q = query(collection(db, "transactions"), where("cardId", "in", cardIds.slice(start, start + IN_QUERY_LIMIT)));
+      const snapshot = await getDocs(q);
+      transactions.push(...snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    }
+    return { transactions };
+  } catch (error) {
+    console.error("Error loading transactions:", error);
+    return { error };
+  }
+};
+
+// Updates fields that don't affect balances (title, category, bank details) on many
+// transactions; updates are { id, fields }
+export const updateTransactionsInTable = async (updates) => {
+  try {
+    for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      updates.slice(start, start + BATCH_SIZE).forEach(({ id, fields }) => batch.update(doc(db, "transactions", id), fields));
+      await batch.commit();
+    }
+    return { count: updates.length };
+  } catch (error) {
+    console.error("Error updating transactions:", error);
+    return { error };
+  }
+};
@@ -0,0 +1,42 @@
+// Analysis runner
+// Starts an analysis in a dedicated worker (see analysisWorker.js) and relays its progress.
+// Cancelling terminates the worker, which stops training at once.
+
+/**
+ * Run analyzeFinances in a worker
+ * @param {Object} input - { transactions, categories, currency, modelKey }, as for analyzeFinances
+ * @param {Function} onProgress - Called with the progress objects of analyzeFinances
+ * @returns {Object} { promise (resolves with the analysis, or null when cancelled), cancel }
+ */
+export const runAnalysis = ({ transactions, categories, currency, modelKey }, onProgress) => {
+  const worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+  let finish;
+
+  const promise = new Promise((resolve, reject) => {
+    finish = (error, analysis = null) => {
+      worker.terminate();
+      if (error) reject(error);
+      else resolve(analysis);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data.progress);
+      } else if (data.type === 'result') {
+        finish(null, data.analysis);
+      } else if (data.type === 'error') {
+        finish(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      finish(new Error(event.message || 'The analysis stopped unexpectedly.'));
+    };
+  });
+
+  worker.postMessage({ transactions, categories, currency, modelKey });
+
+  return {
+    promise,
+    cancel: () => finish(null)
+  };
+};
@@ -0,0 +1,19 @@
+// Analysis worker
+// Runs analyzeFinances off the main thread, so training the model doesn't freeze the UI.
+// Receives { transactions, categories, currency, modelKey } and posts { type: 'progress', progress }
+// messages followed by { type: 'result', analysis } or { type: 'error', message }.
+
+import { analyzeFinances } from './mlAnalysis';
+
+self.onmessage = async (event) => {
+  const { transactions, categories, currency, modelKey } = event.data;
+  try {
+    const analysis = await analyzeFinances(transactions, categories, currency, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+      modelKey
+    });
+    self.postMessage({ type: 'result', analysis });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
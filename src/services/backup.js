@@ -0,0 +1,277 @@
+// Account backups
+// A backup is a versioned JSON file with everything a user owns: profile, cards (with their
+// limits, plans and wishes), transactions, recurring rules, categories, exchange rates and
+// the saved analysis. Documents keep their ids and every stored field; Firestore timestamps
+// are written as { $timestamp: ISO string } (see firebase/backup.js).
+//
+// A restore either fills an empty account or merges into an existing one, adding only what
+// the account doesn't have yet. Ids are kept when restoring into the account the backup was
+// made from; otherwise documents get new ids and the references between them are rewritten.
+
+import { getBalanceEffect } from './balance';
+import { findCategory } from './categories';
+import { DEFAULT_CURRENCY } from './currency';
+import { getTransactionFingerprint } from './duplicates';
+import { isSameLimit } from './limits';
+
+export const BACKUP_FORMAT = 'finance-account-backup';
+
+export const BACKUP_VERSION = 1;
+
+export const BACKUP_COLLECTIONS = ['categories', 'cards', 'recurringRules', 'transactions', 'exchangeRates'];
+
+export const RESTORE_MODES = {
+  empty: 'Restore into an empty account',
+  merge: 'Merge into this account'
+};
+
+// Steps that upgrade a backup from the version in their key to the next version. Add one
+// whenever BACKUP_VERSION goes up, so older backups keep restoring.
+const BACKUP_MIGRATIONS = {};
+
+// Card arrays restored by a merge, with how their entries are matched
+const CARD_ITEM_FIELDS = {
+  limits: isSameLimit,
+  limitTemplates: isSameLimit,
+  plans: (a, b) => a.month === b.month,
+  planTemplates: (a, b) => a.month === b.month,
+  wishes: (a, b) => a.month === b.month
+};
+
+/**
+ * Build a backup from the account's documents
+ * @param {Object} account - { userId, profile, categories, cards, recurringRules, transactions, exchangeRates }
+ * @param {Object|null} analysis - Saved analysis
+ * @returns {Object} Backup
+ */
+export const createBackup = (account, analysis = null) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: new Date().toISOString(),
+  userId: account.userId,
+  profile: account.profile || null,
+  ...Object.fromEntries(BACKUP_COLLECTIONS.map(name => [name, account[name] || []])),
+  analysis
+});
+
+/**
+ * Download a backup as a JSON file
+ */
+export const downloadBackup = (backup) => {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `finance_backup_${new Date().toISOString().split('T')[0]}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read a backup file
+ * @param {File} file - JSON backup
+ * @returns {Promise<Object>} Parsed backup (not validated yet)
+ */
+export const readBackupFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        resolve(JSON.parse(e.target.result));
+      } catch {
+        reject(new Error('The file is not a JSON backup'));
+      }
+    };
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+};
+
+// Documents written by older versions of the app: cards before currencies and templates,
+// wishes that kept their amount in amount
+const normalizeCard = (card) => ({
+  ...card,
+  currency: card.currency || DEFAULT_CURRENCY,
+  limits: card.limits || [],
+  plans: card.plans || [],
+  limitTemplates: card.limitTemplates || [],
+  planTemplates: card.planTemplates || [],
+  wishes: (card.wishes || []).map(({ amount, ...wish }) =>
+    (wish.targetAmount === undefined ? { ...wish, targetAmount: Number(amount) || 0 } : wish))
+});
+
+/**
+ * Validate a backup and migrate it to the current version
+ * @param {Object} backup - Parsed backup file
+ * @returns {Object} { isValid, errors, warnings, backup (migrated), summary (documents per collection) }
+ */
+export const validateBackup = (backup) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return { isValid: false, errors: ['This file is not an account backup'], warnings, backup: null, summary: {} };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return { isValid: false, errors: [`Unknown backup version "${backup.version}"`], warnings, backup: null, summary: {} };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return {
+      isValid: false,
+      errors: [`This backup was made by a newer version of the app (version ${backup.version}); update the app to restore it`],
+      warnings,
+      backup: null,
+      summary: {}
+    };
+  }
+
+  let migrated = backup;
+  for (let version = backup.version; version < BACKUP_VERSION; version++) {
+    migrated = { ...BACKUP_MIGRATIONS[version](migrated), version: version + 1 };
+  }
+
+  BACKUP_COLLECTIONS.forEach(name => {
+    if (!Array.isArray(migrated[name])) {
+      errors.push(`Missing ${name} list`);
+    } else if (migrated[name].some(d => !d || typeof d.id !== 'string')) {
+      errors.push(`Some ${name} have no id`);
+    }
+  });
+  if (errors.length > 0) {
+    return { isValid: false, errors, warnings, backup: null, summary: {} };
+  }
+
+  migrated = { ...migrated, cards: migrated.cards.map(normalizeCard) };
+
+  const cardIds = new Set(migrated.cards.map(c => c.id));
+  const orphans = migrated.transactions.filter(tx => !cardIds.has(tx.cardId)).length;
+  if (orphans > 0) {
+    warnings.push(`${orphans} transactions belong to cards that aren't in the backup and will be skipped`);
+  }
+
+  return {
+    isValid: true,
+    errors,
+    warnings,
+    backup: migrated,
+    summary: Object.fromEntries(BACKUP_COLLECTIONS.map(name => [name, migrated[name].length]))
+  };
+};
+
+/**
+ * Check if an account has nothing a restore could collide with
+ * @param {Object} account - { categories, cards, recurringRules, exchangeRates }
+ */
+export const isEmptyAccount = (account) =>
+  ['categories', 'cards', 'recurringRules', 'exchangeRates'].every(name => (account[name] || []).length === 0);
+
+/**
+ * Plan a restore without writing anything
+ * @param {Object} backup - Validated backup
+ * @param {Object} options - { userId, mode ('empty' | 'merge'), account (current documents like a
+ *   backup has them), newId (name of a collection => new document id) }
+ * @returns {Object} { writes: [{ collection, id, data, balanceDelta }], cardUpdates: [{ id, fields }],
+ *   restored and skipped counts }; balanceDelta is set on transactions of existing cards and is
+ *   the change of that card's balance
+ */
+export const planRestore = (backup, { userId, mode, account, newId }) => {
+  if (mode === 'empty' && !isEmptyAccount(account)) {
+    throw new Error('This account already has data; merge the backup into it instead');
+  }
+
+  const keepIds = backup.userId === userId;
+  const writes = [];
+  const cardUpdates = [];
+  const restored = {};
+  const skipped = {};
+  const idMaps = Object.fromEntries(BACKUP_COLLECTIONS.map(name => [name, new Map()]));
+
+  // Maps each backup document to an existing one (returned by findExisting) or to a new id
+  const mapDocuments = (name, findExisting) => {
+    const existingIds = new Set((account[name] || []).map(d => d.id));
+    const added = [];
+    backup[name].forEach(d => {
+      const existing = existingIds.has(d.id) ? d : findExisting(d);
+      if (existing) {
+        idMaps[name].set(d.id, existing.id);
+      } else {
+        const id = keepIds ? d.id : newId(name);
+        idMaps[name].set(d.id, id);
+        added.push(d);
+      }
+    });
+    restored[name] = added.length;
+    skipped[name] = backup[name].length - added.length;
+    return added;
+  };
+  const write = (name, { id, ...data }, extra) => writes.push({ collection: name, id: idMaps[name].get(id), data, ...extra });
+
+  // Categories: matched by name
+  mapDocuments('categories', c => findCategory(account.categories || [], c.name)).forEach(c => {
+    write('categories', { ...c, user_id: userId, parentId: c.parentId ? idMaps.categories.get(c.parentId) ?? null : null });
+  });
+
+  // Cards: matched by number; a merge adds the limits, plans and wishes the card doesn't have
+  const existingCards = new Map((account.cards || []).map(c => [c.id, c]));
+  mapDocuments('cards', c => (account.cards || []).find(e => e.card_number === c.card_number)).forEach(c => {
+    write('cards', { ...c, user_id: userId });
+  });
+  backup.cards.forEach(c => {
+    const existing = existingCards.get(idMaps.cards.get(c.id));
+    if (!existing) return;
+    const fields = {};
+    Object.entries(CARD_ITEM_FIELDS).forEach(([field, isSame]) => {
+      const missing = (c[field] || []).filter(item => !(existing[field] || []).some(e => isSame(e, item)));
+      if (missing.length > 0) fields[field] = [...(existing[field] || []), ...missing];
+    });
+    if (Object.keys(fields).length > 0) cardUpdates.push({ id: existing.id, fields });
+  });
+
+  // Recurring rules: matched by card, title, amount and start
+  mapDocuments('recurringRules', r => (account.recurringRules || []).find(e =>
+    e.cardId === idMaps.cards.get(r.cardId) && e.title === r.title && e.amount === r.amount && e.startDate === r.startDate
+  )).forEach(r => {
+    write('recurringRules', { ...r, user_id: userId, cardId: idMaps.cards.get(r.cardId) ?? r.cardId });
+  });
+
+  // Transactions: only those of restored cards, matched by fingerprint. Each stored
+  // transaction accounts for one backup transaction.
+  const fingerprints = new Map();
+  (account.transactions || []).forEach(tx => {
+    const key = getTransactionFingerprint(tx, tx.cardId);
+    fingerprints.set(key, [...(fingerprints.get(key) || []), tx]);
+  });
+  const cardTransactions = backup.transactions.filter(tx => idMaps.cards.has(tx.cardId));
+  const addedTransactions = mapDocuments('transactions', tx => {
+    if (!idMaps.cards.has(tx.cardId)) return tx; // orphan: never written
+    const candidates = fingerprints.get(getTransactionFingerprint(tx, idMaps.cards.get(tx.cardId))) || [];
+    return candidates.shift() || null;
+  }).filter(tx => idMaps.cards.has(tx.cardId));
+  restored.transactions = addedTransactions.length;
+  skipped.transactions = cardTransactions.length - addedTransactions.length;
+
+  addedTransactions.forEach(tx => {
+    const cardId = idMaps.cards.get(tx.cardId);
+    // A restored card's stored balance already includes its transactions; an existing one's doesn't
+    const balance = existingCards.has(cardId) ? { balanceDelta: getBalanceEffect(tx) } : undefined;
+    write('transactions', {
+      ...tx,
+      cardId,
+      ...(tx.counterpartCardId ? { counterpartCardId: idMaps.cards.get(tx.counterpartCardId) ?? tx.counterpartCardId } : {}),
+      ...(tx.linkedTransactionId ? { linkedTransactionId: idMaps.transactions.get(tx.linkedTransactionId) ?? tx.linkedTransactionId } : {}),
+      ...(tx.recurringRuleId ? { recurringRuleId: idMaps.recurringRules.get(tx.recurringRuleId) ?? tx.recurringRuleId } : {})
+    }, balance);
+  });
+
+  // Exchange rates: matched by currency and date
+  mapDocuments('exchangeRates', r => (account.exchangeRates || []).find(e => e.currency === r.currency && e.date === r.date))
+    .forEach(r => write('exchangeRates', { ...r, user_id: userId }));
+
+  // The profile is only restored when the account has none
+  if (backup.profile && !account.profile) {
+    const { id, ...profile } = backup.profile;
+    writes.push({ collection: 'users', id: keepIds && id ? id : newId('users'), data: { ...profile, uid: userId } });
+  }
+
+  return { writes, cardUpdates, restored, skipped };
+};
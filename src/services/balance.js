@@ -0,0 +1,111 @@
+// Balance math shared by the ledger and the balance integrity check.
+// A card's balance is its opening balance plus every transaction that
+// affects it (isAffect === true); current_amount is only a stored copy.
+
+// Differences smaller than half a cent are rounding noise
+export const DISCREPANCY_TOLERANCE = 0.005;
+
+export const BALANCE_ADJUSTMENT_CATEGORY = 'Balance Adjustment';
+
+export const TRANSFER_CATEGORY = 'Transfers';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Signed change a transaction makes to its card balance (0 while it doesn't affect it)
+ * @param {Object} tx - Transaction with type, amount and isAffect
+ * @returns {number} Balance change
+ */
+export const getBalanceEffect = (tx) => {
+  if (!tx.isAffect) return 0;
+  return tx.type === 'cost' ? -Number(tx.amount) : Number(tx.amount);
+};
+
+/**
+ * Check if a transaction is a manual balance adjustment recorded by the integrity check
+ */
+export const isBalanceAdjustment = (tx) => tx.isAdjustment === true;
+
+/**
+ * Check if a transaction is one side of a transfer between two of the user's cards
+ */
+export const isTransfer = (tx) => Boolean(tx.linkedTransactionId);
+
+/**
+ * Check if a transaction is real spending or revenue. Transfers between own cards and
+ * balance adjustments move or correct money without earning or spending it, so they
+ * are left out of statistics, limits and analysis.
+ */
+export const isCashflow = (tx) => !isTransfer(tx) && !isBalanceAdjustment(tx);
+
+/**
+ * Compare a card's stored balance with the balance derived from its ledger
+ * @param {Object} card - Card with amount (stored current_amount) and openingAmount (null if unknown)
+ * @param {Array} transactions - All transactions of the card
+ * @returns {Object} Reconciliation result for the card
+ */
+export const reconcileCard = (card, transactions) => {
+  const affecting = transactions.filter(tx => tx.isAffect === true);
+  const ledgerTotal = roundAmount(affecting.reduce((sum, tx) => sum + getBalanceEffect(tx), 0));
+  const storedAmount = roundAmount(Number(card.amount) || 0);
+  const hasOpening = card.openingAmount !== undefined && card.openingAmount !== null;
+
+  // Without an opening balance the ledger can't be checked yet; the opening balance
+  // that would make the current stored balance consistent is suggested instead
+  if (!hasOpening) {
+    return {
+      cardId: card.id,
+      cardNumber: card.cardNumber,
+      storedAmount,
+      openingAmount: null,
+      suggestedOpeningAmount: roundAmount(storedAmount - ledgerTotal),
+      ledgerTotal,
+      recomputedAmount: null,
+      discrepancy: 0,
+      isBalanced: false,
+      transactionCount: affecting.length
+    };
+  }
+
+  const openingAmount = roundAmount(Number(card.openingAmount));
+  const recomputedAmount = roundAmount(openingAmount + ledgerTotal);
+  const discrepancy = roundAmount(storedAmount - recomputedAmount);
+
+  return {
+    cardId: card.id,
+    cardNumber: card.cardNumber,
+    storedAmount,
+    openingAmount,
+    suggestedOpeningAmount: null,
+    ledgerTotal,
+    recomputedAmount,
+    discrepancy,
+    isBalanced: Math.abs(discrepancy) < DISCREPANCY_TOLERANCE,
+    transactionCount: affecting.length
+  };
+};
+
+/**
+ * Compare card balances with the closing balances of imported bank statements. The last
+ * statement of a card (by closing date) is the one its balance should match.
+ * @param {Array} statements - Statements { card_number, closingBalance, closingDate }
+ * @param {Array} cards - Cards with cardNumber and amount after the import
+ * @returns {Array} Mismatches { card, closingBalance, difference }
+ */
+export const getStatementBalanceMismatches = (statements, cards) => {
+  const latest = new Map();
+  statements.forEach(statement => {
+    if (statement.closingBalance === null || statement.closingBalance === undefined) return;
+    const current = latest.get(statement.card_number);
+    if (!current || (statement.closingDate || '') >= (current.closingDate || '')) {
+      latest.set(statement.card_number, statement);
+    }
+  });
+
+  return [...latest.values()].map(statement => {
+    const card = cards.find(c => c.cardNumber === statement.card_number);
+    if (!card) return null;
+    const difference = roundAmount((Number(card.amount) || 0) - statement.closingBalance);
+    return Math.abs(difference) < DISCREPANCY_TOLERANCE ? null : { card, closingBalance: statement.closingBalance, difference };
+  }).filter(Boolean);
+};
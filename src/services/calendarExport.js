@@ -0,0 +1,187 @@
+// Calendar export
+// Scheduled transactions and recurring rules as an iCalendar (.ics) file. Each scheduled
+// transaction is an all-day event on its date; each recurring rule is one repeating event,
+// so the occurrences it has already scheduled aren't exported again. Event UIDs are derived
+// from document ids, so importing a newer file updates the events instead of adding copies.
+
+import { formatAmount, getCardCurrency, getTransactionCurrency } from './currency';
+import { getOccurrenceDate } from './recurrence';
+
+const UID_DOMAIN = 'birbank-cashback';
+
+const RRULE_FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+};
+
+// Lines longer than 75 octets are folded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar date as YYYYMMDD
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+};
+
+// UTC date-time as YYYYMMDDTHHMMSSZ
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const getNextDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+};
+
+/**
+ * Recurrence rule (RRULE value) of a recurring rule. Monthly and yearly rules that start
+ * after the 28th fall on the last day of shorter months, like the app schedules them.
+ * RRULE allows COUNT or UNTIL but not both, so a rule with both gets the one that ends it first.
+ * @param {Object} rule - Recurring rule
+ * @returns {string} RRULE value, e.g. "FREQ=MONTHLY;INTERVAL=2;COUNT=6"
+ */
+export const getRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${RRULE_FREQUENCIES[rule.frequency]}`];
+  const interval = Number(rule.interval) || 1;
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  const start = new Date(rule.startDate);
+  const day = start.getDate();
+  if ((rule.frequency === 'monthly' || rule.frequency === 'yearly') && day > 28) {
+    if (rule.frequency === 'yearly') parts.push(`BYMONTH=${start.getMonth() + 1}`);
+    const days = Array.from({ length: day - 27 }, (_, i) => 28 + i);
+    parts.push(`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1');
+  }
+
+  const endsByCount = rule.count && (!rule.endDate || getOccurrenceDate(rule, rule.count - 1) <= new Date(rule.endDate));
+  if (endsByCount) parts.push(`COUNT=${rule.count}`);
+  else if (rule.endDate) parts.push(`UNTIL=${formatDate(rule.endDate)}`);
+  return parts.join(';');
+};
+
+const describeEvent = ({ type, amount, currency, category, cardNumber }) => {
+  const signedAmount = `${type === 'cost' ? '-' : '+'}${formatAmount(amount, currency)}`;
+  return {
+    signedAmount,
+    description: [
+      `Amount: ${signedAmount}`,
+      `Type: ${type === 'cost' ? 'Cost' : 'Revenue'}`,
+      `Category: ${category || 'Other'}`,
+      `Card: ${cardNumber || 'Unknown card'}`
+    ].join('\n')
+  };
+};
+
+const toEvent = ({ uid, date, title, category, details, rrule, stamp }) => {
+  const { signedAmount, description } = describeEvent(details);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(date)}`,
+    `DTEND;VALUE=DATE:${formatDate(getNextDay(date))}`,
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    `SUMMARY:${escapeText(`${title} ${signedAmount}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(category || 'Other')}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * Build an iCalendar file of scheduled transactions and recurring rules
+ * @param {Object} data - { transactions (of all cards), recurringRules, cards, now }
+ * @returns {Object} { ics: file contents, eventCount }
+ */
+export const buildCalendar = ({ transactions, recurringRules = [], cards, now = new Date() }) => {
+  const cardsById = new Map(cards.map(c => [c.id, c]));
+  const ruleIds = new Set(recurringRules.map(r => r.id));
+  const stamp = formatDateTime(now);
+
+  const scheduledEvents = transactions
+    .filter(tx => tx.scheduled === true && tx.isAffect === false && !ruleIds.has(tx.recurringRuleId))
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(tx => {
+      const card = cardsById.get(tx.cardId);
+      return toEvent({
+        uid: `transaction-${tx.id}`,
+        date: tx.date,
+        title: tx.title,
+        category: tx.category,
+        details: { ...tx, currency: getTransactionCurrency(tx, card), cardNumber: card?.cardNumber },
+        stamp
+      });
+    });
+
+  const ruleEvents = recurringRules
+    .filter(rule => RRULE_FREQUENCIES[rule.frequency])
+    .map(rule => {
+      const card = cardsById.get(rule.cardId);
+      return toEvent({
+        uid: `recurring-${rule.id}`,
+        date: rule.startDate,
+        title: rule.title,
+        category: rule.category,
+        details: { ...rule, currency: getCardCurrency(card), cardNumber: card?.cardNumber },
+        rrule: getRecurrenceRule(rule),
+        stamp
+      });
+    });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Birbank Cashback//Scheduled transactions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Scheduled transactions',
+    ...scheduledEvents.flat(),
+    ...ruleEvents.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return {
+    ics: lines.map(foldLine).join('\r\n') + '\r\n',
+    eventCount: scheduledEvents.length + ruleEvents.length
+  };
+};
+
+/**
+ * Download a calendar file
+ * @param {string} ics - File contents from buildCalendar
+ */
+export const downloadCalendar = (ics) => {
+  const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'scheduled_transactions.ics';
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,176 @@
+// Category helpers for user-defined categories
+// Transactions, recurring rules and imports refer to a category by its name;
+// the "categories" collection adds type, color, icon and an optional parent to it.
+
+export const CATEGORY_TYPES = ['cost', 'revenue', 'both'];
+
+// Icon keys understood by CategoryIcon
+export const CATEGORY_ICONS = ['cart', 'transfer', 'parking', 'money', 'card', 'star', 'home', 'heart', 'bolt', 'gift', 'tag'];
+
+export const FALLBACK_CATEGORY_NAME = 'Other';
+
+// Colors handed out to migrated and imported categories that don't have a default look
+const CATEGORY_PALETTE = ['#10b981', '#3b82f6', '#f97316', '#ec4899', '#14b8a6', '#8b5cf6', '#ef4444', '#84cc16'];
+
+// The categories the app used to hard-code, with the icons and colors they had
+export const DEFAULT_CATEGORIES = [
+  { name: 'Markets', type: 'cost', color: '#10b981', icon: 'cart', excludeFromDailyGraph: false },
+  { name: 'Transfers', type: 'both', color: '#dc2626', icon: 'transfer', excludeFromDailyGraph: false },
+  { name: 'Parking', type: 'cost', color: '#3b82f6', icon: 'parking', excludeFromDailyGraph: false },
+  { name: 'Salary', type: 'revenue', color: '#eab308', icon: 'money', excludeFromDailyGraph: true },
+  { name: 'Kredit', type: 'cost', color: '#6366f1', icon: 'card', excludeFromDailyGraph: true },
+  { name: 'Enjoyment', type: 'cost', color: '#a855f7', icon: 'star', excludeFromDailyGraph: false },
+  { name: 'Other', type: 'both', color: '#10b981', icon: 'tag', excludeFromDailyGraph: false }
+];
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Find a category by name (case-insensitive)
+ * @param {Array} categories - User categories
+ * @param {string} name - Category name
+ * @returns {Object|undefined} Category
+ */
+export const findCategory = (categories, name) => {
+  const key = normalizeName(name);
+  return categories.find(c => normalizeName(c.name) === key);
+};
+
+/**
+ * Check if a category can be used for a transaction type
+ */
+export const isCategoryForType = (category, type) => category.type === 'both' || category.type === type;
+
+/**
+ * Name of the top-level category a category belongs to (itself if it has no parent).
+ * Unknown names are returned unchanged.
+ * @param {Array} categories - User categories
+ * @param {string} name - Category name
+ * @returns {string} Top-level category name
+ */
+export const getCategoryGroup = (categories, name) => {
+  const category = findCategory(categories, name);
+  if (!category || !category.parentId) return category ? category.name : name;
+  const parent = categories.find(c => c.id === category.parentId);
+  return parent ? parent.name : category.name;
+};
+
+/**
+ * Order categories for display: each top-level category followed by its children,
+ * both alphabetically
+ * @param {Array} categories - User categories
+ * @returns {Array} Array of { category, depth }
+ */
+export const getCategoryTree = (categories) => {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const ids = new Set(categories.map(c => c.id));
+  const topLevel = categories.filter(c => !c.parentId || !ids.has(c.parentId)).sort(byName);
+
+  return topLevel.flatMap(parent => [
+    { category: parent, depth: 0 },
+    ...categories
+      .filter(c => c.parentId === parent.id)
+      .sort(byName)
+      .map(child => ({ category: child, depth: 1 }))
+  ]);
+};
+
+/**
+ * Work out the categories to create for a user who only has free-text categories so far.
+ * Spellings that differ only by case or surrounding spaces become one category; known
+ * names keep their default look and other names get a color from the palette.
+ * @param {Array} transactions - The user's transactions (and recurring rules) with category and type
+ * @returns {Object} { categories: categories to create, renames: Map of stored name to category name }
+ */
+export const buildCategoryMigration = (transactions) => {
+  const groups = new Map();
+
+  transactions.forEach(tx => {
+    const stored = tx.category ?? '';
+    const name = String(stored).trim() || FALLBACK_CATEGORY_NAME;
+    const key = normalizeName(name);
+    if (!groups.has(key)) {
+      groups.set(key, { spellings: new Map(), types: new Set(), storedNames: new Set() });
+    }
+    const group = groups.get(key);
+    group.spellings.set(name, (group.spellings.get(name) || 0) + 1);
+    group.storedNames.add(stored);
+    if (tx.type === 'cost' || tx.type === 'revenue') group.types.add(tx.type);
+  });
+
+  // The defaults are always created so the dropdown isn't empty for new users
+  DEFAULT_CATEGORIES.forEach(category => {
+    const key = normalizeName(category.name);
+    if (!groups.has(key)) {
+      groups.set(key, { spellings: new Map(), types: new Set(), storedNames: new Set() });
+    }
+  });
+
+  const categories = [];
+  const renames = new Map();
+  let paletteIndex = 0;
+
+  groups.forEach((group, key) => {
+    const defaults = DEFAULT_CATEGORIES.find(c => normalizeName(c.name) === key);
+    let category;
+    if (defaults) {
+      category = { ...defaults };
+    } else {
+      // Most used spelling wins
+      const [name] = [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+      category = {
+        name,
+        type: group.types.size === 1 ? [...group.types][0] : 'both',
+        color: CATEGORY_PALETTE[paletteIndex++ % CATEGORY_PALETTE.length],
+        icon: 'tag',
+        excludeFromDailyGraph: false
+      };
+    }
+    categories.push({ ...category, parentId: null });
+
+    group.storedNames.forEach(storedName => {
+      if (storedName !== category.name) renames.set(storedName, category.name);
+    });
+  });
+
+  return { categories, renames };
+};
+
+/**
+ * Name of the user's category matching a free-text name (case-insensitive).
+ * Empty names fall back to "Other"; unknown names are returned trimmed.
+ * @param {Array} categories - User categories
+ * @param {string} name - Free-text category name
+ * @returns {string} Category name
+ */
+export const resolveCategoryName = (categories, name) => {
+  const trimmed = String(name || '').trim() || FALLBACK_CATEGORY_NAME;
+  return findCategory(categories, trimmed)?.name ?? trimmed;
+};
+
+/**
+ * Categories that transactions refer to but the user doesn't have yet (e.g. from an import)
+ * @param {Array} categories - User categories
+ * @param {Array} transactions - Transactions with category and type
+ * @returns {Array} Categories to create
+ */
+export const getMissingCategories = (categories, transactions) => {
+  const missing = new Map();
+
+  transactions.forEach(tx => {
+    const name = resolveCategoryName(categories, tx.category);
+    if (findCategory(categories, name)) return;
+    const key = normalizeName(name);
+    if (!missing.has(key)) missing.set(key, { name, types: new Set() });
+    missing.get(key).types.add(tx.type);
+  });
+
+  return [...missing.values()].map((entry, i) => ({
+    name: entry.name,
+    type: entry.types.size === 1 ? [...entry.types][0] : 'both',
+    color: CATEGORY_PALETTE[(categories.length + i) % CATEGORY_PALETTE.length],
+    icon: 'tag',
+    parentId: null,
+    excludeFromDailyGraph: false
+  }));
+};
@@ -0,0 +1,140 @@
+// Currencies, exchange rates and amount formatting
+// Each card holds one currency and its transactions are in the card's currency. Exchange
+// rates are kept by the user per date as the value of one unit of a currency in
+// BASE_CURRENCY, e.g. { currency: 'USD', date: '2026-01-15', rate: 1.7 }, and any two
+// currencies are converted through it.
+
+// BASE_CURRENCY and DEFAULT_CURRENCY (of cards created before cards had one) are shared
+// with the scheduler
+import { BASE_CURRENCY, DEFAULT_CURRENCY } from '../../functions/shared/currency.js';
+
+export { BASE_CURRENCY, DEFAULT_CURRENCY };
+
+export const CURRENCIES = ['AZN', 'USD', 'EUR', 'GBP', 'TRY', 'RUB'];
+
+const formatters = new Map();
+
+const getFormatter = (currency, fractionDigits) => {
+  const key = `${currency}:${fractionDigits}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      currencyDisplay: 'narrowSymbol',
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }));
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Format an amount in a currency for the user's locale
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @param {Object} options - { fractionDigits } (default 2)
+ * @returns {string} Formatted amount, e.g. "₼1,234.50"
+ */
+export const formatAmount = (amount, currency = DEFAULT_CURRENCY, { fractionDigits = 2 } = {}) => {
+  return getFormatter(currency || DEFAULT_CURRENCY, fractionDigits).format(Number(amount) || 0);
+};
+
+/**
+ * Symbol of a currency (e.g. "₼" for AZN), for input labels
+ */
+export const getCurrencySymbol = (currency = DEFAULT_CURRENCY) => {
+  const part = getFormatter(currency || DEFAULT_CURRENCY, 0).formatToParts(0).find(p => p.type === 'currency');
+  return part ? part.value : currency;
+};
+
+/**
+ * Currency of a card
+ */
+export const getCardCurrency = (card) => card?.currency || DEFAULT_CURRENCY;
+
+/**
+ * Currency of a transaction; transactions written before they had one are in their card's currency
+ */
+export const getTransactionCurrency = (tx, card) => tx.currency || getCardCurrency(card);
+
+/**
+ * Value of one unit of a currency in BASE_CURRENCY on a date: the latest rate on or before
+ * the date, or the earliest one after it if there's none before
+ * @param {Array} rates - Exchange rates { currency, date: 'YYYY-MM-DD', rate }
+ * @param {string} currency - Currency code
+ * @param {string|Date} date - Date of the amount
+ * @returns {number|null} Rate, or null if there's no rate for the currency
+ */
+export const getRate = (rates, currency, date) => {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const day = new Date(date).toISOString().slice(0, 10);
+  const candidates = rates
+    .filter(r => r.currency === currency && Number(r.rate) > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (candidates.length === 0) return null;
+
+  const before = candidates.filter(r => r.date <= day);
+  const rate = before.length > 0 ? before[before.length - 1] : candidates[0];
+  return Number(rate.rate);
+};
+
+/**
+ * Convert an amount between currencies with the rates of a date
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {string|Date} date - Date of the amount
+ * @param {Array} rates - Exchange rates
+ * @returns {number|null} Converted amount, or null if a rate is missing
+ */
+export const convertAmount = (amount, from, to, date, rates = []) => {
+  if (from === to) return Number(amount);
+  const fromRate = getRate(rates, from, date);
+  const toRate = getRate(rates, to, date);
+  if (fromRate === null || toRate === null) return null;
+  return (Number(amount) * fromRate) / toRate;
+};
+
+/**
+ * Convert transactions of a card into another currency for totals and analysis
+ * @param {Array} transactions - Transactions
+ * @param {Object} card - Card the transactions belong to
+ * @param {string} currency - Target currency
+ * @param {Array} rates - Exchange rates
+ * @returns {Object} { transactions: converted copies, missingCurrencies: currencies without a rate }
+ */
+export const convertTransactions = (transactions, card, currency, rates = []) => {
+  const missing = new Set();
+  const converted = transactions.map(tx => {
+    const from = getTransactionCurrency(tx, card);
+    const amount = convertAmount(tx.amount, from, currency, tx.date, rates);
+    if (amount === null) {
+      missing.add(from);
+      return { ...tx, amount: 0, currency };
+    }
+    return { ...tx, amount, currency };
+  });
+  return { transactions: converted, missingCurrencies: [...missing] };
+};
+
+/**
+ * Sum of card balances in one currency, using today's rates
+ * @param {Array} cards - Cards with amount and currency
+ * @param {string} currency - Target currency
+ * @param {Array} rates - Exchange rates
+ * @returns {Object} { total, missingCurrencies: currencies without a rate (left out of the total) }
+ */
+export const getTotalBalance = (cards, currency, rates = []) => {
+  const missing = new Set();
+  const now = new Date();
+  const total = cards.reduce((sum, card) => {
+    const amount = convertAmount(card.amount || 0, getCardCurrency(card), currency, now, rates);
+    if (amount === null) {
+      missing.add(getCardCurrency(card));
+      return sum;
+    }
+    return sum + amount;
+  }, 0);
+  return { total, missingCurrencies: [...missing] };
+};
@@ -0,0 +1,101 @@
+// Duplicate detection for imports
+// An imported transaction duplicates a stored one when both carry the same external ID from
+// the bank, or when their fingerprints (card, day, amount, type and title) match. Each stored
+// transaction accounts for one imported row only, so two identical coffees on one day are
+// both flagged only when two are already stored.
+
+export const DUPLICATE_ACTIONS = {
+  skip: 'Skip',
+  import: 'Import anyway',
+  merge: 'Merge'
+};
+
+// Fields a merge may copy onto the stored transaction. The stored title is kept (banks' titles
+// are rarely better), and amount, type, date and isAffect are never merged, so merging
+// doesn't change any balance.
+const MERGE_FIELDS = ['category', 'externalId', 'valueDate', 'counterparty', 'remittanceInfo'];
+
+const getLocalDay = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Fingerprint of a transaction: card, day, amount, type and title (case and spacing ignored)
+ * @param {Object} tx - Transaction with date, amount, type and title
+ * @param {string} cardId - Id of the transaction's card
+ * @returns {string} Fingerprint
+ */
+export const getTransactionFingerprint = (tx, cardId) => {
+  return [
+    cardId,
+    getLocalDay(tx.date),
+    Number(tx.amount).toFixed(2),
+    tx.type,
+    String(tx.title || '').trim().toLowerCase().replace(/\s+/g, ' ')
+  ].join('|');
+};
+
+/**
+ * Find imported transactions that are already stored
+ * @param {Array} importTransactions - Imported transactions (with card_number)
+ * @param {Array} cards - The user's cards
+ * @param {Array} existingTransactions - Stored transactions of those cards
+ * @returns {Array} Duplicates { index (of the imported row), existing, reason: 'externalId' | 'fingerprint' }
+ */
+export const findImportDuplicates = (importTransactions, cards, existingTransactions) => {
+  const cardIdByNumber = new Map(cards.map(c => [c.cardNumber, c.id]));
+  const byExternalId = new Map();
+  const byFingerprint = new Map();
+  existingTransactions.forEach(tx => {
+    if (tx.externalId) byExternalId.set(`${tx.cardId}|${tx.externalId}`, tx);
+    const fingerprint = getTransactionFingerprint(tx, tx.cardId);
+    byFingerprint.set(fingerprint, [...(byFingerprint.get(fingerprint) || []), tx]);
+  });
+
+  const matched = new Set();
+  const duplicates = [];
+
+  // Bank IDs first, so a fingerprint match can't take a transaction another row has the ID of
+  importTransactions.forEach((tx, index) => {
+    const cardId = cardIdByNumber.get(tx.card_number);
+    const existing = cardId && tx.externalId ? byExternalId.get(`${cardId}|${tx.externalId}`) : null;
+    if (existing && !matched.has(existing.id)) {
+      matched.add(existing.id);
+      duplicates.push({ index, existing, reason: 'externalId' });
+    }
+  });
+
+  const flagged = new Set(duplicates.map(d => d.index));
+  importTransactions.forEach((tx, index) => {
+    const cardId = cardIdByNumber.get(tx.card_number);
+    if (!cardId || flagged.has(index)) return;
+    // Two different bank IDs are two different transactions, however alike they look
+    const existing = (byFingerprint.get(getTransactionFingerprint(tx, cardId)) || []).find(candidate =>
+      !matched.has(candidate.id) && !(candidate.externalId && tx.externalId && candidate.externalId !== tx.externalId));
+    if (existing) {
+      matched.add(existing.id);
+      duplicates.push({ index, existing, reason: 'fingerprint' });
+    }
+  });
+
+  return duplicates.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Fields of an imported transaction to copy onto the stored one it duplicates: those the
+ * import has and that differ from what's stored
+ * @param {Object} existing - Stored transaction
+ * @param {Object} imported - Imported transaction (with its category already resolved)
+ * @returns {Object} Fields to update (empty if there's nothing to merge)
+ */
+export const getMergeFields = (existing, imported) => {
+  const fields = {};
+  MERGE_FIELDS.forEach(field => {
+    const value = imported[field];
+    if (value !== undefined && value !== null && value !== '' && value !== existing[field]) {
+      fields[field] = value;
+    }
+  });
+  return fields;
+};
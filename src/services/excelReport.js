@@ -0,0 +1,186 @@
+// Excel report sheets
+// Extra sheets added to an export for reading rather than re-importing: a monthly summary
+// per card, a category-by-month pivot, limit utilization and wish progress. Sums over
+// transactions are SUMIFS formulas on the Transactions sheet and totals are formulas too,
+// so the numbers can be audited in the workbook. Each formula cell also carries its value
+// for viewers that don't recalculate. Transfers between own cards and balance adjustments
+// aren't income or spending, so they're left out of the sums. parseExcelFile ignores these
+// sheets and the extra month and cashflow columns of the Transactions sheet, so a report
+// stays importable.
+
+import * as XLSX from 'xlsx';
+import { isCashflow } from './balance';
+import { getCardCurrency } from './currency';
+import { getEffectiveLimit, getLimitsForMonth, getLimitSpending, getMonthKey } from './limits';
+
+// Columns of the Transactions sheet, in order; formulas refer to them by letter
+export const TRANSACTION_COLUMNS = [
+  'card_number', 'title', 'type', 'category', 'amount', 'currency', 'date', 'externalId',
+  'scheduled', 'isAffect', 'includeInExpected', 'month', 'cashflow'
+];
+
+// Columns of the Transactions sheet only a report has
+export const REPORT_COLUMNS = ['month', 'cashflow'];
+
+const AMOUNT_FORMAT = '#,##0.00';
+const PERCENT_FORMAT = '0.0%';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const transactionColumn = (name) => {
+  const column = XLSX.utils.encode_col(TRANSACTION_COLUMNS.indexOf(name));
+  return `Transactions!$${column}:$${column}`;
+};
+
+const cellRef = (row, col) => XLSX.utils.encode_cell({ r: row, c: col });
+
+const formulaCell = (formula, value, format = AMOUNT_FORMAT) => ({ t: 'n', f: formula, v: value, z: format });
+
+const amountCell = (value) => ({ t: 'n', v: value, z: AMOUNT_FORMAT });
+
+// Applied cashflow transactions (isAffect) of a card, type and month, optionally in a category
+const sumIfs = (cardRef, type, monthRef, categoryRef = null) => [
+  `SUMIFS(${transactionColumn('amount')}`,
+  `${transactionColumn('card_number')},${cardRef}`,
+  `${transactionColumn('type')},"${type}"`,
+  `${transactionColumn('month')},${monthRef}`,
+  ...(categoryRef ? [`${transactionColumn('category')},${categoryRef}`] : []),
+  `${transactionColumn('isAffect')},"Yes"`,
+  `${transactionColumn('cashflow')},"Yes")`
+].join(',');
+
+const appendSheet = (workbook, rows, name, widths) => {
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  sheet['!cols'] = widths.map(wch => ({ wch }));
+  XLSX.utils.book_append_sheet(workbook, sheet, name);
+};
+
+/**
+ * Month column value of a transaction on the Transactions sheet
+ */
+export const getReportMonth = (tx) => (tx.date ? getMonthKey(tx.date) : '');
+
+/**
+ * Values of the REPORT_COLUMNS of a transaction on the Transactions sheet
+ */
+export const getReportFields = (tx) => ({
+  month: getReportMonth(tx),
+  cashflow: isCashflow(tx) ? 'Yes' : 'No'
+});
+
+/**
+ * Add the report sheets to a workbook that already has the Transactions sheet
+ * @param {Object} workbook - SheetJS workbook
+ * @param {Array} cards - Cards with cardNumber, amount, limits, wishes
+ * @param {Array} transactions - Transactions of the cards
+ * @param {Array} categories - User categories
+ */
+export const addReportSheets = (workbook, cards, transactions, categories = []) => {
+  const applied = transactions.filter(tx => tx.isAffect === true && tx.date && isCashflow(tx));
+  const months = [...new Set(applied.map(getReportMonth))].sort();
+  const cardTransactions = (card) => applied.filter(tx => tx.cardId === card.id);
+
+  // Monthly summary: one block per card with a total row
+  const summary = [['Card', 'Currency', 'Month', 'Revenue', 'Cost', 'Net']];
+  cards.forEach(card => {
+    const txs = cardTransactions(card);
+    const cardMonths = [...new Set(txs.map(getReportMonth))].sort();
+    if (cardMonths.length === 0) return;
+    const firstRow = summary.length;
+    cardMonths.forEach(month => {
+      const row = summary.length;
+      const total = (type) => roundAmount(txs
+        .filter(tx => tx.type === type && getReportMonth(tx) === month)
+        .reduce((sum, tx) => sum + Number(tx.amount), 0));
+      summary.push([
+        card.cardNumber,
+        getCardCurrency(card),
+        month,
+        formulaCell(sumIfs(cellRef(row, 0), 'revenue', cellRef(row, 2)), total('revenue')),
+        formulaCell(sumIfs(cellRef(row, 0), 'cost', cellRef(row, 2)), total('cost')),
+        formulaCell(`${cellRef(row, 3)}-${cellRef(row, 4)}`, roundAmount(total('revenue') - total('cost')))
+      ]);
+    });
+    const lastRow = summary.length - 1;
+    const column = (col) => summary.slice(firstRow).reduce((sum, row) => sum + row[col].v, 0);
+    summary.push([
+      `Total ${card.cardNumber}`,
+      getCardCurrency(card),
+      '',
+      ...[3, 4, 5].map(col => formulaCell(`SUM(${cellRef(firstRow, col)}:${cellRef(lastRow, col)})`, roundAmount(column(col))))
+    ]);
+  });
+  appendSheet(workbook, summary, 'Monthly Summary', [22, 9, 9, 14, 14, 14]);
+
+  // Category pivot: card, type and category by month, with a total per row
+  const pivot = [['Card', 'Type', 'Category', ...months, 'Total']];
+  cards.forEach(card => {
+    const txs = cardTransactions(card);
+    ['revenue', 'cost'].forEach(type => {
+      const names = [...new Set(txs.filter(tx => tx.type === type).map(tx => tx.category || ''))].sort();
+      names.forEach(category => {
+        const row = pivot.length;
+        const values = months.map(month => roundAmount(txs
+          .filter(tx => tx.type === type && (tx.category || '') === category && getReportMonth(tx) === month)
+          .reduce((sum, tx) => sum + Number(tx.amount), 0)));
+        pivot.push([
+          card.cardNumber,
+          type,
+          category || '(none)',
+          ...months.map((month, i) => formulaCell(
+            // "" matches transactions without a category
+            sumIfs(cellRef(row, 0), type, `${XLSX.utils.encode_col(3 + i)}$1`, category ? cellRef(row, 2) : '""'),
+            values[i]
+          )),
+          formulaCell(
+            months.length > 0 ? `SUM(${cellRef(row, 3)}:${cellRef(row, 2 + months.length)})` : '0',
+            roundAmount(values.reduce((sum, value) => sum + value, 0))
+          )
+        ]);
+      });
+    });
+  });
+  appendSheet(workbook, pivot, 'Category Pivot', [22, 9, 18, ...months.map(() => 12), 14]);
+
+  // Limit utilization: limits in effect in each month with applied transactions or a limit set
+  const limits = [['Card', 'Month', 'Category', 'Limit', 'Spent', 'Used', 'Remaining']];
+  cards.forEach(card => {
+    const cardMonths = [...new Set([...cardTransactions(card).map(getReportMonth), ...(card.limits || []).map(l => l.month)])].sort();
+    cardMonths.forEach(month => {
+      getLimitsForMonth(card, month).forEach(limit => {
+        const row = limits.length;
+        const { amount } = getEffectiveLimit(card, limit, transactions, categories);
+        const spent = roundAmount(getLimitSpending(transactions, limit, categories));
+        limits.push([
+          card.cardNumber,
+          month,
+          limit.category || 'Total',
+          amountCell(amount),
+          amountCell(spent),
+          formulaCell(`IF(${cellRef(row, 3)}=0,0,${cellRef(row, 4)}/${cellRef(row, 3)})`, amount === 0 ? 0 : spent / amount, PERCENT_FORMAT),
+          formulaCell(`${cellRef(row, 3)}-${cellRef(row, 4)}`, roundAmount(amount - spent))
+        ]);
+      });
+    });
+  });
+  appendSheet(workbook, limits, 'Limit Utilization', [22, 9, 18, 12, 12, 9, 12]);
+
+  // Wish progress against the card's current balance, like the card view shows it
+  const wishes = [['Card', 'Month', 'Target', 'Balance', 'Progress', 'Remaining']];
+  cards.forEach(card => {
+    (card.wishes || []).forEach(wish => {
+      const row = wishes.length;
+      const target = Number(wish.targetAmount ?? wish.amount) || 0;
+      const balance = Number(card.amount) || 0;
+      wishes.push([
+        card.cardNumber,
+        wish.month,
+        amountCell(target),
+        amountCell(balance),
+        formulaCell(`IF(${cellRef(row, 2)}=0,1,MIN(${cellRef(row, 3)}/${cellRef(row, 2)},1))`, target === 0 ? 1 : Math.min(balance / target, 1), PERCENT_FORMAT),
+        formulaCell(`MAX(${cellRef(row, 2)}-${cellRef(row, 3)},0)`, roundAmount(Math.max(target - balance, 0)))
+      ]);
+    });
+  });
+  appendSheet(workbook, wishes, 'Wish Progress', [22, 9, 12, 12, 10, 12]);
+};
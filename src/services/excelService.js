@@ -1,18 +1,24 @@
 import * as XLSX from 'xlsx';
+import { findCategory, isCategoryForType, resolveCategoryName } from './categories';
+import { DISCREPANCY_TOLERANCE } from './balance';
+import { CURRENCIES, DEFAULT_CURRENCY, formatAmount, getTransactionCurrency } from './currency';
+import { REPORT_COLUMNS, TRANSACTION_COLUMNS, addReportSheets, getReportFields } from './excelReport';
 
 /**
  * Export all financial data to Excel file
  * @param {Array} cards - Array of card objects with limits, plans, wishes
  * @param {Array} transactions - Array of transaction objects
+ * @param {Object} options - { report: add summary, pivot, limit and wish sheets (see excelReport), categories }
  */
-export const exportToExcel = (cards, transactions) => {
+export const exportToExcel = (cards, transactions, { report = false, categories = [] } = {}) => {
   // Create workbook
   const workbook = XLSX.utils.book_new();
 
   // 1. Cards sheet
   const cardsData = cards.map(card => ({
-    card_number: card.number || card.card_number || '',
-    current_amount: card.amount ?? card.current_amount ?? 0
+    card_number: card.cardNumber || card.card_number || '',
+    current_amount: card.amount ?? card.current_amount ?? 0,
+    currency: card.currency || DEFAULT_CURRENCY
   }));
   const cardsSheet = XLSX.utils.json_to_sheet(cardsData);
   XLSX.utils.book_append_sheet(workbook, cardsSheet, 'Cards');
@@ -22,18 +28,23 @@ export const exportToExcel = (cards, transactions) => {
     // Find card number by cardId
     const card = cards.find(c => c.id === tx.cardId);
     return {
-      card_number: card?.number || card?.card_number || tx.cardId,
+      card_number: card?.cardNumber || card?.card_number || tx.cardId,
       title: tx.title || '',
       type: tx.type || '',
       category: tx.category || '',
       amount: tx.amount || 0,
+      currency: getTransactionCurrency(tx, card),
       date: tx.date || '',
+      externalId: tx.externalId || '',
       scheduled: tx.scheduled ? 'Yes' : 'No',
       isAffect: tx.isAffect ? 'Yes' : 'No',
-      includeInExpected: tx.includeInExpected !== false ? 'Yes' : 'No'
+      includeInExpected: tx.includeInExpected !== false ? 'Yes' : 'No',
+      ...(report ? getReportFields(tx) : {})
     };
   });
-  const transactionsSheet = XLSX.utils.json_to_sheet(transactionsData);
+  const transactionsSheet = XLSX.utils.json_to_sheet(transactionsData, {
+    header: report ? TRANSACTION_COLUMNS : TRANSACTION_COLUMNS.filter(column => !REPORT_COLUMNS.includes(column))
+  });
   XLSX.utils.book_append_sheet(workbook, transactionsSheet, 'Transactions');
 
   // 3. Limits sheet
@@ -42,14 +53,15 @@ export const exportToExcel = (cards, transactions) => {
     if (card.limits && card.limits.length > 0) {
       card.limits.forEach(limit => {
         limitsData.push({
-          card_number: card.number || card.card_number || '',
+          card_number: card.cardNumber || card.card_number || '',
           month: limit.month || '',
-          amount: limit.amount || 0
+          amount: limit.amount || 0,
+          category: limit.category || ''
         });
       });
     }
   });
-  const limitsSheet = XLSX.utils.json_to_sheet(limitsData.length > 0 ? limitsData : [{ card_number: '', month: '', amount: '' }]);
+  const limitsSheet = XLSX.utils.json_to_sheet(limitsData.length > 0 ? limitsData : [{ card_number: '', month: '', amount: '', category: '' }]);
   XLSX.utils.book_append_sheet(workbook, limitsSheet, 'Limits');
 
   // 4. Plans sheet
@@ -58,7 +70,7 @@ export const exportToExcel = (cards, transactions) => {
     if (card.plans && card.plans.length > 0) {
       card.plans.forEach(plan => {
         plansData.push({
-          card_number: card.number || card.card_number || '',
+          card_number: card.cardNumber || card.card_number || '',
           month: plan.month || '',
           amount: plan.amount || 0
         });
@@ -74,9 +86,9 @@ export const exportToExcel = (cards, transactions) => {
     if (card.wishes && card.wishes.length > 0) {
       card.wishes.forEach(wish => {
         wishesData.push({
-          card_number: card.number || card.card_number || '',
+          card_number: card.cardNumber || card.card_number || '',
           month: wish.month || '',
-          amount: wish.amount || 0
+          amount: wish.targetAmount ?? wish.amount ?? 0
         });
       });
     }
@@ -84,8 +96,12 @@ export const exportToExcel = (cards, transactions) => {
   const wishesSheet = XLSX.utils.json_to_sheet(wishesData.length > 0 ? wishesData : [{ card_number: '', month: '', amount: '' }]);
   XLSX.utils.book_append_sheet(workbook, wishesSheet, 'Wishes');
 
+  if (report) {
+    addReportSheets(workbook, cards, transactions, categories);
+  }
+
   // Generate file and trigger download
-  const fileName = `financial_data_${new Date().toISOString().split('T')[0]}.xlsx`;
+  const fileName = `${report ? 'financial_report' : 'financial_data'}_${new Date().toISOString().split('T')[0]}.xlsx`;
   XLSX.writeFile(workbook, fileName);
 };
 
@@ -117,7 +133,8 @@ export const parseExcelFile = (file) => {
           const jsonData = XLSX.utils.sheet_to_json(sheet);
           result.cards = jsonData.map(row => ({
             card_number: String(row.card_number || '').trim(),
-            current_amount: Number(row.current_amount) || 0
+            current_amount: Number(row.current_amount) || 0,
+            currency: String(row.currency || DEFAULT_CURRENCY).trim().toUpperCase()
           })).filter(c => c.card_number);
         }
 
@@ -134,7 +151,8 @@ export const parseExcelFile = (file) => {
             date: row.date || new Date().toISOString(),
             scheduled: String(row.scheduled || '').toLowerCase() === 'yes',
             isAffect: String(row.isAffect || '').toLowerCase() === 'yes',
-            includeInExpected: String(row.includeInExpected || 'yes').toLowerCase() !== 'no'
+            includeInExpected: String(row.includeInExpected || 'yes').toLowerCase() !== 'no',
+            ...(row.externalId ? { externalId: String(row.externalId).trim() } : {})
           })).filter(tx => tx.title && tx.amount > 0);
         }
 
@@ -145,7 +163,8 @@ export const parseExcelFile = (file) => {
           result.limits = jsonData.map(row => ({
             card_number: String(row.card_number || '').trim(),
             month: String(row.month || '').trim(),
-            amount: Number(row.amount) || 0
+            amount: Number(row.amount) || 0,
+            category: String(row.category || '').trim() || null
           })).filter(l => l.card_number && l.month && l.amount > 0);
         }
 
@@ -185,15 +204,520 @@ export const parseExcelFile = (file) => {
   });
 };
 
+// Bank statements (OFX, QIF, camt.053, MT940) hold transactions of one account each. The
+// account becomes a card whose current_amount is the balance before the statement, so
+// importing the transactions brings it to the statement's closing balance. Transactions
+// carry externalId, a stable ID from the bank (FITID, entry reference) used to recognize
+// transactions that were already imported.
+
+const emptyImportData = () => ({
+  cards: [],
+  transactions: [],
+  limits: [],
+  plans: [],
+  wishes: []
+});
+
+const readFileAsText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+};
+
+// Short hash of a string, for IDs of transactions that don't have one from the bank
+const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+const signedAmountToTransaction = (cardNumber, title, amount, date, fields = {}) => ({
+  card_number: cardNumber,
+  title,
+  type: amount < 0 ? 'cost' : 'revenue',
+  category: '',
+  amount: Math.abs(amount),
+  date,
+  scheduled: false,
+  isAffect: true,
+  includeInExpected: true,
+  ...fields
+});
+
+const decodeOfxText = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Value of a leaf element; OFX 1.x (SGML) leaves have no closing tag, OFX 2.x (XML) ones do
+const getOfxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeOfxText(match[1]) : '';
+};
+
+const getOfxBlocks = (text, tag) => {
+  return [...text.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi'))].map(m => m[1]);
+};
+
+const parseOfxAmount = (value) => {
+  const text = String(value).replace(/\s/g, '');
+  return Number(text.includes('.') ? text.replace(/,/g, '') : text.replace(',', '.'));
+};
+
+/**
+ * Parse an OFX date: YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]. Times without an offset are GMT;
+ * dates without a time are put at noon so the day doesn't shift with the time zone.
+ * @param {string} value - OFX date
+ * @returns {string|null} ISO date string
+ */
+export const parseOfxDate = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:\.\d+)?)?(?:\[([+-]?\d+(?:\.\d+)?)(?::[^\]]*)?\])?/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds = '0', offset = '0'] = match;
+  const date = hours === undefined
+    ? new Date(Number(year), Number(month) - 1, Number(day), 12)
+    : new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)) - Number(offset) * 3600000);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Parse OFX (or QFX, Quicken's OFX) text: bank and credit card statements, 1.x SGML or 2.x XML
+ * @param {string} text - OFX file content
+ * @returns {Object} Import data like parseExcelFile returns
+ */
+export const parseOfx = (text) => {
+  const result = emptyImportData();
+  const statements = [...getOfxBlocks(text, 'STMTRS'), ...getOfxBlocks(text, 'CCSTMTRS')];
+  if (statements.length === 0) {
+    throw new Error('No bank or credit card statement found in OFX file');
+  }
+
+  statements.forEach(statement => {
+    const cardNumber = getOfxValue(statement, 'ACCTID');
+    const currency = getOfxValue(statement, 'CURDEF').toUpperCase() || DEFAULT_CURRENCY;
+
+    const transactions = getOfxBlocks(statement, 'STMTTRN').map(trn => {
+      const amount = parseOfxAmount(getOfxValue(trn, 'TRNAMT'));
+      const date = parseOfxDate(getOfxValue(trn, 'DTPOSTED'));
+      const title = getOfxValue(trn, 'NAME') || getOfxValue(trn, 'MEMO') || getOfxValue(trn, 'TRNTYPE');
+      const fitId = getOfxValue(trn, 'FITID');
+      return signedAmountToTransaction(cardNumber, title, amount, date, fitId ? { externalId: fitId } : {});
+    }).filter(tx => tx.date && tx.title && tx.amount > 0);
+
+    const closingBalance = getOfxValue(getOfxBlocks(statement, 'LEDGERBAL')[0] || '', 'BALAMT');
+    const statementTotal = transactions.reduce((sum, tx) => sum + (tx.type === 'cost' ? -tx.amount : tx.amount), 0);
+
+    if (cardNumber) {
+      result.cards.push({
+        card_number: cardNumber,
+        current_amount: closingBalance ? Math.round((parseOfxAmount(closingBalance) - statementTotal) * 100) / 100 : 0,
+        currency
+      });
+    }
+    result.transactions.push(...transactions);
+  });
+
+  return result;
+};
+
+/**
+ * Parse a QIF date: M/D/YY, M/D'YY (Quicken's years 2000+), M/D/YYYY or D.M.YYYY
+ * @param {string} value - QIF date
+ * @returns {string|null} ISO date string at noon
+ */
+export const parseQifDate = (value) => {
+  const match = String(value).trim().match(/^(\d{1,2})[/.-](\d{1,2})\s*(['/.-])\s*(\d{2,4})$/);
+  if (!match) return null;
+
+  const [, first, second, separator, yearText] = match;
+  let year = Number(yearText);
+  if (yearText.length === 2) {
+    year += separator === "'" || year < 70 ? 2000 : 1900;
+  }
+  // Month first as Quicken writes it, unless the first part can only be a day
+  const [month, day] = Number(first) > 12 || separator === '.' ? [second, first] : [first, second];
+  const date = new Date(year, Number(month) - 1, Number(day), 12);
+  return date.getMonth() === Number(month) - 1 ? date.toISOString() : null;
+};
+
+/**
+ * Parse QIF text. QIF has no account numbers unless it holds an !Account list, so the
+ * transactions go to the card named there or to defaultCardNumber.
+ * @param {string} text - QIF file content
+ * @param {string} defaultCardNumber - Card number for transactions outside an !Account section
+ * @returns {Object} Import data like parseExcelFile returns
+ */
+export const parseQif = (text, defaultCardNumber) => {
+  const result = emptyImportData();
+  const occurrences = {};
+  let cardNumber = defaultCardNumber;
+  let section = '';
+  let entry = {};
+
+  const finishEntry = () => {
+    if (section === 'account') {
+      if (entry.N) cardNumber = entry.N;
+    } else if (section === 'transactions') {
+      const amount = Number(String(entry.T ?? entry.U ?? '').replace(/,/g, ''));
+      const date = parseQifDate(entry.D || '');
+      const title = entry.P || entry.M || '';
+      if (date && title && amount) {
+        // QIF has no transaction IDs: identical entries are told apart by their order
+        const key = `${cardNumber}|${entry.D}|${amount}|${title}`;
+        occurrences[key] = (occurrences[key] || 0) + 1;
+        // Categories are "Category:Subcategory"; "[Account]" marks a transfer
+        const category = /^\[.*\]$/.test(entry.L || '') ? '' : (entry.L || '').split(':').pop();
+        result.transactions.push(signedAmountToTransaction(cardNumber, title, amount, date, {
+          category,
+          externalId: `qif-${hashString(key)}-${occurrences[key]}`
+        }));
+      }
+    }
+    entry = {};
+  };
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    if (line.startsWith('!')) {
+      const header = line.toLowerCase();
+      if (header.startsWith('!account')) {
+        section = 'account';
+      } else if (header.startsWith('!type:')) {
+        const type = header.slice(6).trim();
+        section = ['bank', 'ccard', 'cash', 'oth a', 'oth l'].includes(type) ? 'transactions' : '';
+      } else {
+        section = '';
+      }
+      entry = {};
+    } else if (line.startsWith('^')) {
+      finishEntry();
+    } else if (line.length > 0) {
+      // Later lines of split transactions (S, E, $) reuse codes; the first value is kept
+      const code = line[0];
+      if (entry[code] === undefined) entry[code] = line.slice(1).trim();
+    }
+  });
+
+  result.cards = [...new Set(result.transactions.map(tx => tx.card_number))]
+    .filter(number => number !== defaultCardNumber)
+    .map(number => ({ card_number: number, current_amount: 0, currency: DEFAULT_CURRENCY }));
+  return result;
+};
+
+// camt.053 and MT940 statements also report the account's opening and closing balance. They
+// are returned in statements so the import can check them against the card balance.
+const toStatement = (cardNumber, currency, openingBalance, closingBalance, closingDate, transactions) => ({
+  card_number: cardNumber,
+  currency,
+  openingBalance,
+  closingBalance,
+  closingDate,
+  transactionsTotal: Math.round(transactions.reduce((sum, tx) => sum + (tx.type === 'cost' ? -tx.amount : tx.amount), 0) * 100) / 100
+});
+
+// Cards for the accounts of statements, opening with the first statement's opening balance
+const getStatementCards = (statements) => {
+  const cards = new Map();
+  statements.forEach(statement => {
+    if (statement.card_number && !cards.has(statement.card_number)) {
+      cards.set(statement.card_number, {
+        card_number: statement.card_number,
+        current_amount: statement.openingBalance ?? 0,
+        currency: statement.currency || DEFAULT_CURRENCY
+      });
+    }
+  });
+  return [...cards.values()];
+};
+
+// Statement transaction with the booking details kept alongside the usual fields
+const toStatementTransaction = (cardNumber, entry, occurrences) => {
+  const title = entry.counterparty || entry.remittanceInfo.split('\n')[0] || 'Bank transaction';
+  let externalId = entry.reference;
+  if (!externalId) {
+    // Without a bank reference identical entries are told apart by their order
+    const key = `${cardNumber}|${entry.date}|${entry.amount}|${entry.remittanceInfo}`;
+    occurrences[key] = (occurrences[key] || 0) + 1;
+    externalId = `stmt-${hashString(key)}-${occurrences[key]}`;
+  }
+  return signedAmountToTransaction(cardNumber, title, entry.amount, entry.date, {
+    externalId,
+    ...(entry.valueDate ? { valueDate: entry.valueDate } : {}),
+    ...(entry.counterparty ? { counterparty: entry.counterparty } : {}),
+    ...(entry.remittanceInfo ? { remittanceInfo: entry.remittanceInfo } : {})
+  });
+};
+
+const getXmlBlocks = (text, tag) => {
+  return [...text.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map(m => m[1]);
+};
+
+const getXmlValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+  return match ? decodeOfxText(match[1]) : '';
+};
+
+// ISO date (YYYY-MM-DD) at noon, or a date-time with its own offset
+const parseIsoStatementDate = (value) => {
+  if (!value) return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(Number(value.slice(0, 4)), Number(value.slice(5, 7)) - 1, Number(value.slice(8, 10)), 12)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Date of a balance or of a BookgDt/ValDt element: <Dt> or <DtTm>
+const getCamtDate = (block) => {
+  return parseIsoStatementDate(getXmlValue(block, 'Dt') || getXmlValue(block, 'DtTm'));
+};
+
+const getCamtAmount = (block) => {
+  const amount = Number(getXmlValue(block, 'Amt'));
+  return getXmlValue(block, 'CdtDbtInd') === 'DBIT' ? -amount : amount;
+};
+
+/**
+ * Parse an ISO 20022 camt.053 bank-to-customer statement. Only booked entries are read; the
+ * counterparty is the creditor of debits and the debtor of credits.
+ * @param {string} text - camt.053 XML
+ * @returns {Object} Import data like parseExcelFile returns, plus statements with balances
+ */
+export const parseCamt053 = (text) => {
+  const stmts = getXmlBlocks(text, 'Stmt');
+  if (!text.includes('BkToCstmrStmt') || stmts.length === 0) {
+    throw new Error('No camt.053 statement found in XML file');
+  }
+
+  const result = { ...emptyImportData(), statements: [] };
+  const occurrences = {};
+
+  stmts.forEach(stmt => {
+    const account = getXmlBlocks(stmt, 'Acct')[0] || '';
+    const cardNumber = getXmlValue(account, 'IBAN') || getXmlValue(account, 'Id');
+    const balances = {};
+    getXmlBlocks(stmt, 'Bal').forEach(bal => {
+      balances[getXmlValue(bal, 'Cd')] = { amount: getCamtAmount(bal), date: getCamtDate(bal) };
+    });
+    const opening = balances.OPBD || balances.PRCD;
+    const closing = balances.CLBD;
+    const firstAmount = stmt.match(/<Amt\s+Ccy="([A-Z]{3})"/);
+    const currency = getXmlValue(account, 'Ccy') || (firstAmount ? firstAmount[1] : DEFAULT_CURRENCY);
+
+    const transactions = getXmlBlocks(stmt, 'Ntry')
+      .filter(ntry => {
+        const status = getXmlBlocks(ntry, 'Sts')[0] ?? '';
+        return !status || status.includes('BOOK');
+      })
+      .map(ntry => {
+        const amount = getCamtAmount(ntry);
+        const valueDate = getCamtDate(getXmlBlocks(ntry, 'ValDt')[0] || '');
+        const remittance = getXmlBlocks(ntry, 'Ustrd');
+        const parties = getXmlBlocks(ntry, 'RltdPties')[0] || '';
+        const party = getXmlBlocks(parties, amount < 0 ? 'Cdtr' : 'Dbtr')[0] || '';
+        return toStatementTransaction(cardNumber, {
+          amount,
+          date: getCamtDate(getXmlBlocks(ntry, 'BookgDt')[0] || '') || valueDate,
+          valueDate,
+          counterparty: getXmlValue(party, 'Nm'),
+          // Unstructured remittance lines, or the bank's own description of the entry
+          remittanceInfo: remittance.length > 0 ? remittance.map(decodeOfxText).join('\n') : getXmlValue(ntry, 'AddtlNtryInf'),
+          reference: getXmlValue(ntry, 'AcctSvcrRef') || getXmlValue(ntry, 'NtryRef')
+        }, occurrences);
+      })
+      .filter(tx => tx.date && tx.amount > 0);
+
+    result.statements.push(toStatement(cardNumber, currency, opening?.amount ?? null, closing?.amount ?? null, closing?.date ?? null, transactions));
+    result.transactions.push(...transactions);
+  });
+
+  result.cards = getStatementCards(result.statements);
+  return result;
+};
+
+// MT940 dates are YYMMDD
+const parseMt940Date = (yymmdd) => {
+  const match = String(yymmdd).match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(2000 + Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Balance field (:60F:, :62F:...): C/D mark, date, currency, amount with a decimal comma
+const parseMt940Balance = (value) => {
+  const match = value.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+  if (!match) return null;
+  const amount = Number(match[4].replace(',', '.'));
+  return { amount: match[1] === 'D' ? -amount : amount, date: parseMt940Date(match[2]), currency: match[3] };
+};
+
+// :86: information is free text, or structured with ?NN subfields (?20-?29 remittance,
+// ?32-?33 counterparty name) or /CODE/ subfields (/NAME/, /REMI/)
+const parseMt940Info = (value) => {
+  const text = value.replace(/\n/g, '');
+  if (/^\d{3}\?/.test(text)) {
+    const fields = {};
+    text.split('?').slice(1).forEach(part => {
+      const code = Number(part.slice(0, 2));
+      fields[code] = (fields[code] || '') + part.slice(2);
+    });
+    const pick = (from, to) => Object.keys(fields).map(Number).filter(c => c >= from && c <= to).sort((a, b) => a - b).map(c => fields[c].trim());
+    return { counterparty: pick(32, 33).join(' ').trim(), remittanceInfo: pick(20, 29).join(' ').trim() };
+  }
+  if (/^\/[A-Z]+\//.test(text)) {
+    const subfield = (code) => (text.match(new RegExp(`/${code}/([^/]*)`)) || [])[1] || '';
+    return { counterparty: subfield('NAME').trim(), remittanceInfo: subfield('REMI').trim() };
+  }
+  return { counterparty: '', remittanceInfo: value.trim() };
+};
+
+/**
+ * Parse a SWIFT MT940 statement file (one or more statements)
+ * @param {string} text - MT940 file content
+ * @returns {Object} Import data like parseExcelFile returns, plus statements with balances
+ */
+export const parseMt940 = (text) => {
+  // Fields start with :TAG: at the beginning of a line and continue on the following lines
+  const fields = [];
+  text.split(/\r?\n/).forEach(line => {
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2] });
+    } else if (fields.length > 0 && line.trim() && !/^-}?$|^[{}]/.test(line.trim())) {
+      fields[fields.length - 1].value += '\n' + line.trim();
+    }
+  });
+  if (!fields.some(f => f.tag === '61')) {
+    throw new Error('No MT940 transactions found in file');
+  }
+
+  const result = { ...emptyImportData(), statements: [] };
+  const occurrences = {};
+  const references = new Set();
+  let statement = null;
+  let entry = null;
+
+  // An entry is complete when its :86: information or any other field follows it
+  const finishEntry = () => {
+    if (!entry) return;
+    // A bank reference that repeats in the file doesn't tell entries apart
+    if (references.has(entry.reference)) entry.reference = '';
+    if (entry.reference) references.add(entry.reference);
+    statement.transactions.push(toStatementTransaction(statement.cardNumber, entry, occurrences));
+    entry = null;
+  };
+
+  const finishStatement = () => {
+    if (!statement) return;
+    finishEntry();
+    const transactions = statement.transactions.filter(tx => tx.date && tx.amount > 0);
+    result.statements.push(toStatement(
+      statement.cardNumber,
+      statement.opening?.currency || statement.closing?.currency || DEFAULT_CURRENCY,
+      statement.opening?.amount ?? null,
+      statement.closing?.amount ?? null,
+      statement.closing?.date ?? null,
+      transactions
+    ));
+    result.transactions.push(...transactions);
+    statement = null;
+  };
+
+  fields.forEach(({ tag, value }) => {
+    if (tag === '20') finishStatement();
+    if (!statement) {
+      statement = { cardNumber: '', opening: null, closing: null, transactions: [] };
+    }
+    if (tag !== '86') finishEntry();
+
+    if (tag === '25') {
+      statement.cardNumber = value.trim();
+    } else if (tag === '60F' || tag === '60M') {
+      statement.opening = statement.opening || parseMt940Balance(value);
+    } else if (tag === '62F' || tag === '62M') {
+      statement.closing = parseMt940Balance(value);
+    } else if (tag === '61') {
+      // Value date, optional booking date (MMDD), C/D/RC/RD mark, optional funds code, amount,
+      // transaction type, account owner's reference and //bank reference. Only the bank
+      // reference identifies the entry: the owner's is often NONREF or shared by many entries.
+      const match = value.match(/^(\d{6})(\d{4})?(R?[CD])[A-Z]?([\d,]+)[NSF][A-Z0-9]{3}([^/\n]*)(?:\/\/([^\n]*))?/);
+      if (!match) return;
+      const [, valueDateText, bookingText, mark, amountText, , bankRef] = match;
+      let date = parseMt940Date(valueDateText);
+      if (bookingText) {
+        // The booking date takes the value date's year, shifted when the two straddle new year
+        const valueYear = 2000 + Number(valueDateText.slice(0, 2));
+        const valueMonth = Number(valueDateText.slice(2, 4));
+        const bookingMonth = Number(bookingText.slice(0, 2));
+        const year = valueMonth === 12 && bookingMonth === 1 ? valueYear + 1 : valueMonth === 1 && bookingMonth === 12 ? valueYear - 1 : valueYear;
+        date = parseMt940Date(`${String(year % 100).padStart(2, '0')}${bookingText}`) || date;
+      }
+      const amount = Number(amountText.replace(',', '.'));
+      const bankReference = (bankRef || '').trim();
+      // RC reverses a credit (money leaves), RD reverses a debit (money comes back)
+      const isCredit = mark === 'C' || mark === 'RD';
+      entry = {
+        amount: isCredit ? amount : -amount,
+        date,
+        valueDate: parseMt940Date(valueDateText),
+        counterparty: '',
+        remittanceInfo: '',
+        reference: bankReference === 'NONREF' ? '' : bankReference
+      };
+    } else if (tag === '86' && entry) {
+      Object.assign(entry, parseMt940Info(value));
+      finishEntry();
+    }
+  });
+  finishStatement();
+
+  result.cards = getStatementCards(result.statements);
+  return result;
+};
+
+/**
+ * Parse an import file by its extension: Excel workbook, OFX/QFX, QIF, camt.053 (.xml) or
+ * MT940 (.sta, .mt940, .940) statement
+ * @param {File} file - File to import
+ * @param {string} defaultCardNumber - Card for QIF transactions that don't name their account
+ * @returns {Promise<Object>} Parsed data object with cards, transactions, limits, plans, wishes
+ */
+export const parseImportFile = async (file, defaultCardNumber) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') {
+    return parseOfx(await readFileAsText(file));
+  }
+  if (extension === 'qif') {
+    return parseQif(await readFileAsText(file), defaultCardNumber);
+  }
+  if (extension === 'xml') {
+    return parseCamt053(await readFileAsText(file));
+  }
+  if (['sta', 'mt940', '940'].includes(extension)) {
+    return parseMt940(await readFileAsText(file));
+  }
+  return parseExcelFile(file);
+};
+
 /**
  * Validate imported data before saving
  * @param {Object} data - Parsed data from parseExcelFile
  * @param {Array} existingCards - Current cards in the system
+ * @param {Array} categories - The user's categories
  * @returns {Object} Validation result with isValid and errors
  */
-export const validateImportData = (data, existingCards = []) => {
+export const validateImportData = (data, existingCards = [], categories = []) => {
   const errors = [];
   const warnings = [];
+  // Categories used by transactions and limits that the user doesn't have yet
+  const newCategories = new Set();
 
   // Validate cards
   if (data.cards && data.cards.length > 0) {
@@ -204,6 +728,9 @@ export const validateImportData = (data, existingCards = []) => {
       if (card.current_amount < 0) {
         warnings.push(`Cards row ${i + 1}: Negative balance (${card.current_amount})`);
       }
+      if (card.currency && !CURRENCIES.includes(card.currency)) {
+        errors.push(`Cards row ${i + 1}: Unsupported currency "${card.currency}" (use one of ${CURRENCIES.join(', ')})`);
+      }
     });
   }
 
@@ -224,6 +751,17 @@ export const validateImportData = (data, existingCards = []) => {
         errors.push(`Transactions row ${i + 1}: Amount must be greater than 0`);
       }
     });
+
+    // Categories are matched to the user's categories by name (case-insensitive)
+    data.transactions.forEach((tx, i) => {
+      const name = resolveCategoryName(categories, tx.category);
+      const category = findCategory(categories, name);
+      if (!category) {
+        newCategories.add(name);
+      } else if (validTypes.includes(tx.type) && !isCategoryForType(category, tx.type)) {
+        warnings.push(`Transactions row ${i + 1}: Category "${category.name}" is for ${category.type} transactions, not ${tx.type}`);
+      }
+    });
   }
 
   // Validate limits, plans, wishes
@@ -243,10 +781,21 @@ export const validateImportData = (data, existingCards = []) => {
     }
   });
 
+  // Limits may target a category
+  (data.limits || []).forEach(limit => {
+    if (limit.category && !findCategory(categories, limit.category)) {
+      newCategories.add(limit.category);
+    }
+  });
+
+  if (newCategories.size > 0) {
+    warnings.push(`New categories will be added: ${[...newCategories].join(', ')}`);
+  }
+
   // Check if card numbers in transactions/limits/plans/wishes exist
   const allCardNumbers = new Set([
     ...data.cards.map(c => c.card_number),
-    ...existingCards.map(c => c.number || c.card_number)
+    ...existingCards.map(c => c.cardNumber || c.card_number)
   ]);
 
   [...data.transactions, ...data.limits, ...data.plans, ...data.wishes].forEach((item, i) => {
@@ -255,6 +804,26 @@ export const validateImportData = (data, existingCards = []) => {
     }
   });
 
+  // Bank statements must add up from their opening to their closing balance, and the first
+  // statement of an existing card should start at the card's balance
+  const checkedCards = new Set();
+  (data.statements || []).forEach((statement, i) => {
+    const format = (amount) => formatAmount(amount, statement.currency);
+    const { openingBalance, closingBalance, transactionsTotal } = statement;
+    if (openingBalance !== null && closingBalance !== null &&
+        Math.abs(openingBalance + transactionsTotal - closingBalance) >= DISCREPANCY_TOLERANCE) {
+      warnings.push(`Statement ${i + 1}: Opening balance ${format(openingBalance)} plus transactions ${format(transactionsTotal)} doesn't match closing balance ${format(closingBalance)}`);
+    }
+
+    if (checkedCards.has(statement.card_number) || openingBalance === null) return;
+    checkedCards.add(statement.card_number);
+    const card = existingCards.find(c => (c.cardNumber || c.card_number) === statement.card_number);
+    const balance = card ? Number(card.amount ?? card.current_amount) || 0 : null;
+    if (card && Math.abs(balance - openingBalance) >= DISCREPANCY_TOLERANCE) {
+      warnings.push(`Card ${statement.card_number}: Balance ${format(balance)} differs from the statement's opening balance ${format(openingBalance)} - transactions may be missing or already imported`);
+    }
+  });
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -277,19 +846,20 @@ export const downloadTemplate = () => {
 
   // Cards template
   const cardsTemplate = [
-    { card_number: '1234-5678-9012-3456', current_amount: 1000 }
+    { card_number: '1234-5678-9012-3456', current_amount: 1000, currency: 'AZN' }
   ];
   XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(cardsTemplate), 'Cards');
 
   // Transactions template
   const transactionsTemplate = [
-    { card_number: '1234-5678-9012-3456', title: 'Groceries', type: 'cost', category: 'Food', amount: 50, date: '2025-01-15', scheduled: 'No', isAffect: 'No', includeInExpected: 'Yes' }
+    { card_number: '1234-5678-9012-3456', title: 'Groceries', type: 'cost', category: 'Markets', amount: 50, currency: 'AZN', date: '2025-01-15', scheduled: 'No', isAffect: 'No', includeInExpected: 'Yes' }
   ];
   XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(transactionsTemplate), 'Transactions');
 
   // Limits template
   const limitsTemplate = [
-    { card_number: '1234-5678-9012-3456', month: '2025-01', amount: 500 }
+    { card_number: '1234-5678-9012-3456', month: '2025-01', amount: 500, category: '' },
+    { card_number: '1234-5678-9012-3456', month: '2025-01', amount: 100, category: 'Enjoyment' }
   ];
   XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(limitsTemplate), 'Limits');
 
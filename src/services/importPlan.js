@@ -0,0 +1,215 @@
+// Import planning and rollback
+// An import is planned before anything is written: the plan lists the cards, categories,
+// transactions, merges and limit/plan/wish changes it makes and the balance each card ends
+// up with. The preview shows the plan and the save carries it out, so the preview is exactly
+// what gets written. Each import is recorded as a batch that can be undone later.
+
+import { getBalanceEffect } from './balance';
+import { getMissingCategories, resolveCategoryName } from './categories';
+import { getCardCurrency } from './currency';
+import { getMergeFields } from './duplicates';
+import { isSameLimit } from './limits';
+
+export const IMPORT_ITEM_TYPES = ['limits', 'plans', 'wishes'];
+
+export const IMPORT_ITEM_LABELS = {
+  limits: 'Limit',
+  plans: 'Plan',
+  wishes: 'Wish'
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Limits are matched by month and category, plans and wishes by month
+const isSameItem = (type, a, b) => (type === 'limits' ? isSameLimit(a, b) : a.month === b.month);
+
+/**
+ * Amount of a limit, plan or wish (wishes keep theirs in targetAmount)
+ */
+export const getItemAmount = (type, item) => Number(type === 'wishes' ? item.targetAmount : item.amount);
+
+// Imported limit, plan or wish in the shape cards store it
+const toCardItem = (type, item, categories) => {
+  if (type === 'wishes') return { month: item.month, targetAmount: item.amount };
+  if (type === 'limits' && item.category) {
+    return { month: item.month, amount: item.amount, category: resolveCategoryName(categories, item.category) };
+  }
+  return { month: item.month, amount: item.amount };
+};
+
+/**
+ * Plan an import without writing anything
+ * @param {Object} data - Parsed import data (see excelService)
+ * @param {Object} context - { cards, categories, duplicates, duplicateActions, now }
+ * @returns {Object} Plan: newCards, newCategories, transactions (with card_number), merges
+ *   { id, cardId, fields, previous }, skipped (duplicates), itemChanges { card_number, type,
+ *   item, previous (null when added) } and balances { card_number, currency, before, after,
+ *   transactionCount, isNew }
+ */
+export const buildImportPlan = (data, { cards, categories, duplicates = [], duplicateActions = {}, now = new Date() }) => {
+  const cardsByNumber = new Map(cards.map(c => [c.cardNumber, c]));
+  const newCards = [];
+  data.cards.forEach(cardData => {
+    if (!cardsByNumber.has(cardData.card_number) && !newCards.some(c => c.card_number === cardData.card_number)) {
+      newCards.push(cardData);
+    }
+  });
+  const newCardsByNumber = new Map(newCards.map(c => [c.card_number, c]));
+  const isKnownCard = (cardNumber) => cardsByNumber.has(cardNumber) || newCardsByNumber.has(cardNumber);
+
+  // Transactions: duplicates are skipped unless the user chose to import or merge them
+  const duplicateByIndex = new Map(duplicates.map(d => [d.index, d]));
+  const transactions = [];
+  const merges = [];
+  let skipped = 0;
+
+  data.transactions.forEach((txData, index) => {
+    if (!isKnownCard(txData.card_number)) return;
+    const duplicate = duplicateByIndex.get(index);
+    const action = duplicate ? duplicateActions[index] || 'skip' : 'import';
+
+    if (action === 'skip') {
+      skipped++;
+      return;
+    }
+    if (action === 'merge') {
+      const { existing } = duplicate;
+      const fields = getMergeFields(existing, {
+        ...txData,
+        category: txData.category ? resolveCategoryName(categories, txData.category) : undefined
+      });
+      if (Object.keys(fields).length > 0) {
+        // Values the merge replaces (null where the stored transaction had none), for undo
+        const previous = Object.fromEntries(Object.keys(fields).map(field => [field, existing[field] ?? null]));
+        merges.push({ id: existing.id, cardId: existing.cardId, type: existing.type, fields, previous });
+      }
+      return;
+    }
+
+    const isFuture = new Date(txData.date) > now;
+    const card = cardsByNumber.get(txData.card_number) || newCardsByNumber.get(txData.card_number);
+    transactions.push({
+      card_number: txData.card_number,
+      title: txData.title,
+      type: txData.type,
+      category: resolveCategoryName(categories, txData.category),
+      amount: txData.amount,
+      currency: getCardCurrency(card),
+      date: txData.date,
+      scheduled: txData.scheduled || isFuture,
+      isAffect: txData.isAffect || !isFuture,
+      includeInExpected: txData.includeInExpected,
+      externalId: txData.externalId,
+      valueDate: txData.valueDate,
+      counterparty: txData.counterparty,
+      remittanceInfo: txData.remittanceInfo
+    });
+  });
+
+  // Limits, plans and wishes: new months are added, months with another amount are overwritten
+  const itemChanges = [];
+  const arrays = new Map();
+  IMPORT_ITEM_TYPES.forEach(type => {
+    data[type].forEach(itemData => {
+      if (!isKnownCard(itemData.card_number)) return;
+      const key = `${itemData.card_number}|${type}`;
+      if (!arrays.has(key)) arrays.set(key, [...(cardsByNumber.get(itemData.card_number)?.[type] || [])]);
+      const array = arrays.get(key);
+
+      const item = toCardItem(type, itemData, categories);
+      const index = array.findIndex(existing => isSameItem(type, existing, item));
+      if (index === -1) {
+        array.push(item);
+        itemChanges.push({ card_number: itemData.card_number, type, item, previous: null });
+      } else if (getItemAmount(type, array[index]) !== getItemAmount(type, item)) {
+        const previous = array[index];
+        array[index] = { ...previous, ...item };
+        itemChanges.push({ card_number: itemData.card_number, type, item: array[index], previous });
+      }
+    });
+  });
+
+  const categoryUses = [
+    ...transactions,
+    ...merges.filter(m => m.fields.category).map(m => ({ category: m.fields.category, type: m.type })),
+    ...itemChanges.filter(c => c.type === 'limits' && c.item.category).map(c => ({ category: c.item.category, type: 'cost' }))
+  ];
+
+  // Resulting balance of every card the import adds transactions to
+  const balances = [...new Set([...newCards.map(c => c.card_number), ...transactions.map(tx => tx.card_number)])]
+    .map(cardNumber => {
+      const card = cardsByNumber.get(cardNumber);
+      const newCard = newCardsByNumber.get(cardNumber);
+      const cardTransactions = transactions.filter(tx => tx.card_number === cardNumber);
+      const before = card ? Number(card.amount) || 0 : Number(newCard.current_amount) || 0;
+      return {
+        card_number: cardNumber,
+        currency: getCardCurrency(card || newCard),
+        before,
+        after: roundAmount(before + cardTransactions.reduce((sum, tx) => sum + getBalanceEffect(tx), 0)),
+        transactionCount: cardTransactions.length,
+        isNew: !card
+      };
+    });
+
+  return {
+    newCards,
+    newCategories: categoryUses.length > 0 ? getMissingCategories(categories, categoryUses) : [],
+    transactions,
+    merges,
+    skipped,
+    itemChanges,
+    balances
+  };
+};
+
+/**
+ * Check if a plan writes nothing, e.g. when the same file is imported again
+ */
+export const isEmptyImportPlan = (plan) =>
+  plan.newCards.length === 0 && plan.transactions.length === 0 && plan.merges.length === 0 && plan.itemChanges.length === 0;
+
+/**
+ * A card's limits, plans and wishes with import changes applied
+ * @param {Object} card - Card
+ * @param {Array} changes - Item changes of the card ({ type, item })
+ * @returns {Object} Changed arrays by type, e.g. { limits: [...] }
+ */
+export const applyItemChanges = (card, changes) => {
+  const fields = {};
+  changes.forEach(({ type, item }) => {
+    const array = fields[type] || [...(card[type] || [])];
+    const index = array.findIndex(existing => isSameItem(type, existing, item));
+    if (index === -1) {
+      array.push(item);
+    } else {
+      array[index] = item;
+    }
+    fields[type] = array;
+  });
+  return fields;
+};
+
+/**
+ * A card's limits, plans and wishes with import changes undone. Items edited since the
+ * import are left as they are.
+ * @param {Object} card - Card
+ * @param {Array} changes - Item changes of the card ({ type, item, previous })
+ * @returns {Object} Changed arrays by type
+ */
+export const revertItemChanges = (card, changes) => {
+  const fields = {};
+  changes.forEach(({ type, item, previous }) => {
+    const array = fields[type] || [...(card[type] || [])];
+    const index = array.findIndex(existing =>
+      isSameItem(type, existing, item) && getItemAmount(type, existing) === getItemAmount(type, item));
+    if (index === -1) return;
+    if (previous) {
+      array[index] = previous;
+    } else {
+      array.splice(index, 1);
+    }
+    fields[type] = array;
+  });
+  return fields;
+};
@@ -0,0 +1,147 @@
+// Monthly spending limits and balance plans
+// A card limit is { month: 'YYYY-MM', amount, category, rollover }. Without a category it caps the
+// card's total spending for the month; with one it caps spending in that category
+// (including its subcategories). With rollover, what's left of the previous month's limit
+// is added to it.
+// Budget templates (card.limitTemplates, card.planTemplates) have the same shape, where month
+// is the first month they apply to. A template applies to every month from then on until a
+// later template for the same category replaces it; a limit or plan set for a single month
+// takes precedence over it.
+
+import { isCashflow } from './balance';
+import { findCategory } from './categories';
+
+/**
+ * Month key ('YYYY-MM') of a date in local time
+ */
+export const getMonthKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Month key of the month before a month key
+ */
+export const getPreviousMonthKey = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return getMonthKey(new Date(year, month - 2, 1));
+};
+
+/**
+ * Check if two limits apply to the same month and category
+ */
+export const isSameLimit = (a, b) => a.month === b.month && (a.category || null) === (b.category || null);
+
+// Latest template per category that started on or before the month
+const getTemplatesForMonth = (templates = [], monthKey) => {
+  const latest = new Map();
+  templates
+    .filter(t => t.month <= monthKey)
+    .forEach(t => {
+      const key = t.category || null;
+      if (!latest.has(key) || latest.get(key).month < t.month) latest.set(key, t);
+    });
+  return [...latest.values()];
+};
+
+/**
+ * Limits of a card in a month: the ones set for that month and, for the total and each
+ * category without one, the budget template in effect
+ * @param {Object} card - Card with limits and limitTemplates
+ * @param {string} monthKey - Month ('YYYY-MM')
+ * @returns {Array} Limits for the month, total limit first, then category limits by name.
+ * Limits that come from a template have fromTemplate set.
+ */
+export const getLimitsForMonth = (card, monthKey) => {
+  const monthLimits = (card.limits || []).filter(l => l.month === monthKey);
+  const templateLimits = getTemplatesForMonth(card.limitTemplates, monthKey)
+    .map(t => ({ ...t, month: monthKey, fromTemplate: true }))
+    .filter(t => !monthLimits.some(l => isSameLimit(l, t)));
+
+  return [...monthLimits, ...templateLimits]
+    .sort((a, b) => (a.category ? 1 : 0) - (b.category ? 1 : 0) || (a.category || '').localeCompare(b.category || ''));
+};
+
+/**
+ * Balance plan of a card in a month: the one set for that month or the budget template in effect
+ * @param {Object} card - Card with plans and planTemplates
+ * @param {string} monthKey - Month ('YYYY-MM')
+ * @returns {Object|undefined} Plan for the month
+ */
+export const getPlanForMonth = (card, monthKey) => {
+  const plan = (card.plans || []).find(p => p.month === monthKey);
+  if (plan) return plan;
+  const [template] = getTemplatesForMonth(card.planTemplates, monthKey);
+  return template ? { ...template, month: monthKey, fromTemplate: true } : undefined;
+};
+
+/**
+ * Check if a transaction category falls under a limit category (the category itself or one of its subcategories)
+ * @param {Array} categories - User categories
+ * @param {string} txCategory - Category of the transaction
+ * @param {string} limitCategory - Category of the limit
+ * @returns {boolean}
+ */
+export const isInLimitCategory = (categories, txCategory, limitCategory) => {
+  const limit = findCategory(categories, limitCategory);
+  const category = findCategory(categories, txCategory);
+  if (!limit || !category) {
+    return String(txCategory || '').trim().toLowerCase() === String(limitCategory).trim().toLowerCase();
+  }
+  return category.id === limit.id || category.parentId === limit.id;
+};
+
+/**
+ * Spending counted against a limit: applied costs in the limit's month (and category),
+ * leaving out transfers and balance adjustments
+ * @param {Array} transactions - Transactions of the card
+ * @param {Object} limit - Limit with month and optional category
+ * @param {Array} categories - User categories
+ * @param {string|null} excludeTxId - Transaction to leave out (e.g. the one being edited)
+ * @returns {number} Amount spent
+ */
+export const getLimitSpending = (transactions, limit, categories = [], excludeTxId = null) => {
+  return transactions
+    .filter(t => {
+      if (t.id === excludeTxId) return false;
+      if (t.type !== 'cost' || !t.isAffect || !isCashflow(t)) return false;
+      if (getMonthKey(t.date) !== limit.month) return false;
+      return !limit.category || isInLimitCategory(categories, t.category, limit.category);
+    })
+    .reduce((sum, t) => sum + Number(t.amount), 0);
+};
+
+/**
+ * Limit in effect for a month: its amount plus, with rollover, what was left unspent of the
+ * previous month's limit for the same category (which may itself have rolled over)
+ * @param {Object} card - Card with limits and limitTemplates
+ * @param {Object} limit - Limit from getLimitsForMonth
+ * @param {Array} transactions - Transactions of the card
+ * @param {Array} categories - User categories
+ * @param {string|null} excludeTxId - Transaction to leave out (e.g. the one being edited)
+ * @returns {Object} { amount: effective limit, carriedOver: amount rolled over from the previous month }
+ */
+export const getEffectiveLimit = (card, limit, transactions, categories = [], excludeTxId = null) => {
+  let carriedOver = 0;
+  if (limit.rollover) {
+    const previousMonth = getPreviousMonthKey(limit.month);
+    const previous = getLimitsForMonth(card, previousMonth).find(l => isSameLimit(l, { ...limit, month: previousMonth }));
+    if (previous) {
+      const { amount } = getEffectiveLimit(card, previous, transactions, categories, excludeTxId);
+      carriedOver = Math.max(0, amount - getLimitSpending(transactions, previous, categories, excludeTxId));
+    }
+  }
+  return { amount: Number(limit.amount) + carriedOver, carriedOver };
+};
+
+/**
+ * Limits a cost transaction counts toward: the month's total limit and the limits of its category
+ * @param {Object} card - Card with limits and limitTemplates
+ * @param {Object} tx - Transaction with date and category
+ * @param {Array} categories - User categories
+ * @returns {Array} Matching limits, total limit first
+ */
+export const getLimitsForTransaction = (card, tx, categories = []) => {
+  return getLimitsForMonth(card, getMonthKey(tx.date))
+    .filter(l => !l.category || isInLimitCategory(categories, tx.category, l.category));
+};
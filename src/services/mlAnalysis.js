@@ -2,13 +2,32 @@
 // Runs entirely in the browser - no API costs, full privacy
 
 import * as tf from '@tensorflow/tfjs';
+import { isCashflow } from './balance';
+import { getCategoryGroup, FALLBACK_CATEGORY_NAME } from './categories';
+import { DEFAULT_CURRENCY, formatAmount } from './currency';
 
 const LOCAL_STORAGE_KEY = 'ai_financial_analysis';
 
+// Epochs of each neural network training run, and of fine-tuning a saved model
+const TRAINING_EPOCHS = 100;
+const FINE_TUNE_EPOCHS = 20;
+
+// Months the neural network forecasts from
+const WINDOW_SIZE = 3;
+
+// Saved models are per user and card in IndexedDB; models saved with another version are
+// trained again from scratch, so bump it when the features or the network change
+const MODEL_STORE_PREFIX = 'finance-forecast-';
+const MODEL_VERSION = 2;
+
+// Share of the analysis progress taken by training; forecasting with the statistical models is the rest
+const TRAINING_SHARE = 0.9;
+
 /**
  * Extract features from transactions for ML model
+ * Subcategories are grouped under their parent category
  */
-const extractFeatures = (transactions) => {
+const extractFeatures = (transactions, userCategories = []) => {
   // Group transactions by month and category
   const monthlyData = {};
   const categories = new Set();
@@ -16,6 +35,9 @@ const extractFeatures = (transactions) => {
   console.log('Extracting features from', transactions.length, 'transactions');
   
   transactions.forEach(tx => {
+    // Transfers between own cards and balance adjustments would skew spending patterns
+    if (!isCashflow(tx)) return;
+
     const date = new Date(tx.date);
     if (isNaN(date.getTime())) {
       console.warn('Invalid date:', tx.date);
@@ -23,7 +45,7 @@ const extractFeatures = (transactions) => {
     }
     
     const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-    const category = tx.category || 'Other';
+    const category = getCategoryGroup(userCategories, tx.category || FALLBACK_CATEGORY_NAME);
     const amount = Number(tx.amount) || 0;
     
     categories.add(category);
@@ -180,10 +202,359 @@ const predictWithSmoothing = (values, periods = 3, alpha = 0.3, fallbackAverage
   return predictions;
 };
 
+// Holt-Winters needs two full yearly cycles of months to estimate seasonality
+const SEASON_LENGTH = 12;
+
+// Smoothing parameters tried for level, trend and season
+const HOLT_WINTERS_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+// Months scored by the backtest; each is forecast from the months before it
+const BACKTEST_MONTHS = 3;
+
+// Prediction intervals, in percent, and the simulated paths they are read from
+const PREDICTION_INTERVAL_LEVELS = [80, 95];
+const BOOTSTRAP_SAMPLES = 1000;
+const BOOTSTRAP_SEED = 12345;
+
+// Forecast errors needed before intervals are given
+const MIN_INTERVAL_RESIDUALS = 2;
+
+/**
+ * Fit Holt-Winters (triple exponential smoothing) with given smoothing parameters
+ * The level and trend start from the first two seasons and the seasonal indices from the
+ * first season; the fit runs from the second season on.
+ * @param {Array<number>} values - Monthly values, at least two seasons
+ * @param {Object} params - { alpha, beta, gamma, seasonality ('additive' | 'multiplicative') }
+ * @returns {Object} { level, trend, seasonals, sse (one-step squared error), params }
+ */
+const fitHoltWinters = (values, params, seasonLength = SEASON_LENGTH) => {
+  const { alpha, beta, gamma, seasonality } = params;
+  const isMultiplicative = seasonality === 'multiplicative';
+  const mean = (items) => items.reduce((a, b) => a + b, 0) / items.length;
+
+  const firstSeason = values.slice(0, seasonLength);
+  let level = mean(firstSeason);
+  let trend = (mean(values.slice(seasonLength, seasonLength * 2)) - level) / seasonLength;
+  const seasonals = firstSeason.map(v => (isMultiplicative ? v / level : v - level));
+
+  let sse = 0;
+  for (let t = seasonLength; t < values.length; t++) {
+    const seasonal = seasonals[t - seasonLength];
+    const forecast = isMultiplicative ? (level + trend) * seasonal : level + trend + seasonal;
+    sse += (values[t] - forecast) ** 2;
+
+    const previousLevel = level;
+    level = isMultiplicative
+      ? alpha * (values[t] / seasonal) + (1 - alpha) * (level + trend)
+      : alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals.push(isMultiplicative
+      ? gamma * (values[t] / level) + (1 - gamma) * seasonal
+      : gamma * (values[t] - level) + (1 - gamma) * seasonal);
+  }
+
+  return { level, trend, seasonals, sse, params };
+};
+
 /**
- * Build and train a simple neural network for predictions
+ * Forecast with a fitted Holt-Winters model
  */
-const buildAndTrainModel = async (monthlyData, categories) => {
+const forecastHoltWinters = (fit, periods, seasonLength = SEASON_LENGTH) => {
+  const isMultiplicative = fit.params.seasonality === 'multiplicative';
+  const lastSeason = fit.seasonals.slice(-seasonLength);
+  return Array.from({ length: periods }, (_, i) => {
+    const seasonal = lastSeason[i % seasonLength];
+    const base = fit.level + fit.trend * (i + 1);
+    return Math.max(0, isMultiplicative ? base * seasonal : base + seasonal);
+  });
+};
+
+/**
+ * Predict future values with Holt-Winters, choosing the smoothing parameters with the
+ * smallest one-step error. Multiplicative seasonality needs every value to be positive.
+ * @returns {Array<number>|null} Predictions, or null without two seasons of data
+ */
+const predictWithHoltWinters = (values, periods = 3, seasonality = 'additive') => {
+  if (values.length < SEASON_LENGTH * 2) return null;
+  if (seasonality === 'multiplicative' && values.some(v => v <= 0)) return null;
+
+  let best = null;
+  HOLT_WINTERS_GRID.forEach(alpha => {
+    HOLT_WINTERS_GRID.forEach(beta => {
+      HOLT_WINTERS_GRID.forEach(gamma => {
+        const fit = fitHoltWinters(values, { alpha, beta, gamma, seasonality });
+        if (Number.isFinite(fit.sse) && (!best || fit.sse < best.sse)) best = fit;
+      });
+    });
+  });
+  return best ? forecastHoltWinters(best, periods) : null;
+};
+
+// Statistical models compared for each series; smoothing comes first so it wins ties
+const FORECAST_MODELS = {
+  smoothing: (values, periods, fallbackAverage) => predictWithSmoothing(values, periods, 0.3, fallbackAverage),
+  'holt-winters-additive': (values, periods) => predictWithHoltWinters(values, periods, 'additive'),
+  'holt-winters-multiplicative': (values, periods) => predictWithHoltWinters(values, periods, 'multiplicative'),
+  'naive-average': (values, periods, fallbackAverage) => {
+    const average = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : fallbackAverage;
+    return Array(periods).fill(average);
+  }
+};
+
+export const FORECAST_MODEL_LABELS = {
+  'neural-network': 'Neural network',
+  smoothing: 'Exponential smoothing',
+  'holt-winters-additive': 'Holt-Winters (additive)',
+  'holt-winters-multiplicative': 'Holt-Winters (multiplicative)',
+  'naive-average': 'Average'
+};
+
+/**
+ * Indexes of the months the backtest forecasts: the last BACKTEST_MONTHS, leaving at
+ * least one month to forecast from
+ */
+const getBacktestOrigins = (length) => {
+  const origins = [];
+  for (let origin = Math.max(1, length - BACKTEST_MONTHS); origin < length; origin++) {
+    origins.push(origin);
+  }
+  return origins;
+};
+
+/**
+ * Forecast each backtest month with a statistical model fitted on the months before it
+ * @returns {Array} [{ origin, predicted }] of the months the model can forecast
+ */
+const backtestModel = (values, predict, fallbackAverage) => {
+  const forecasts = [];
+  for (const origin of getBacktestOrigins(values.length)) {
+    const predicted = predict(values.slice(0, origin), 1, fallbackAverage);
+    if (predicted) forecasts.push({ origin, predicted: predicted[0] });
+  }
+  return forecasts;
+};
+
+/**
+ * Score backtest forecasts against the actual values
+ * @returns {Object} { mae, mape (percent, null when no actual value is positive), samples }
+ */
+const scoreForecasts = (values, forecasts) => {
+  const mean = (items) => items.reduce((a, b) => a + b, 0) / items.length;
+  const errors = forecasts.map(({ origin, predicted }) => Math.abs(predicted - values[origin]));
+  const percentageErrors = forecasts
+    .filter(({ origin }) => values[origin] > 0)
+    .map(({ origin, predicted }) => Math.abs(predicted - values[origin]) / values[origin]);
+  return {
+    mae: mean(errors),
+    mape: percentageErrors.length > 0 ? mean(percentageErrors) * 100 : null,
+    samples: forecasts.length
+  };
+};
+
+/**
+ * Predict a monthly series with the model that backtests best. Each model forecasts the last
+ * BACKTEST_MONTHS one month ahead from the months before them (a rolling origin). Models that
+ * can only forecast some of them, like Holt-Winters with two seasons of data before just the
+ * last ones, are scored on those. A model replaces the best one so far when its mean absolute
+ * error is smaller on the months both forecast, and the best one predicts the series.
+ * @param {Array<number>} values - Monthly values without gaps
+ * @param {number} periods - Months to predict
+ * @param {number} fallbackAverage - Average used by smoothing when there's no data
+ * @param {Object} candidates - Other models by key: { forecasts ([{ origin, predicted }] or null), predictions }
+ * @returns {Object} { predictions, model (key of FORECAST_MODEL_LABELS), scores by model }
+ */
+const selectForecast = (values, periods = 3, fallbackAverage = 0, candidates = {}) => {
+  const forecastsByModel = {};
+  Object.entries(candidates).forEach(([model, { forecasts }]) => {
+    forecastsByModel[model] = forecasts;
+  });
+  Object.entries(FORECAST_MODELS).forEach(([model, predict]) => {
+    forecastsByModel[model] = backtestModel(values, predict, fallbackAverage);
+  });
+
+  const scores = {};
+  Object.entries(forecastsByModel).forEach(([model, forecasts]) => {
+    if (!forecasts || forecasts.length === 0) return;
+    scores[model] = scoreForecasts(values, forecasts);
+  });
+
+  const getError = (model, origins) => scoreForecasts(
+    values,
+    forecastsByModel[model].filter(({ origin }) => origins.has(origin))
+  ).mae;
+  let bestModel = 'smoothing';
+  Object.keys(scores).forEach(model => {
+    if (model === bestModel) return;
+    if (!scores[bestModel]) {
+      bestModel = model;
+      return;
+    }
+    const bestOrigins = new Set(forecastsByModel[bestModel].map(({ origin }) => origin));
+    const shared = new Set(forecastsByModel[model].map(({ origin }) => origin).filter(origin => bestOrigins.has(origin)));
+    if (shared.size > 0 && getError(model, shared) < getError(bestModel, shared)) bestModel = model;
+  });
+
+  const predictions = candidates[bestModel]?.predictions
+    || FORECAST_MODELS[bestModel](values, periods, fallbackAverage)
+    || predictWithSmoothing(values, periods, 0.3, fallbackAverage);
+  return { predictions, model: bestModel, scores };
+};
+
+/**
+ * One-month-ahead forecast errors (actual - predicted) of the selected model. Statistical
+ * models forecast every month of the history from the months before it; other candidates,
+ * which are costly to refit, give the errors of their backtest forecasts.
+ */
+const getForecastResiduals = (values, model, fallbackAverage = 0, candidates = {}) => {
+  if (candidates[model]) {
+    return (candidates[model].forecasts || []).map(({ origin, predicted }) => values[origin] - predicted);
+  }
+  const residuals = [];
+  for (let origin = 1; origin < values.length; origin++) {
+    const predicted = FORECAST_MODELS[model](values.slice(0, origin), 1, fallbackAverage);
+    if (predicted) residuals.push(values[origin] - predicted[0]);
+  }
+  return residuals;
+};
+
+/**
+ * Seeded random numbers (mulberry32), so the same history always gets the same intervals
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Prediction intervals by residual bootstrapping: each simulated path adds randomly drawn
+ * past forecast errors, centred on 0, to the predictions. Errors add up month after month,
+ * so intervals widen with the horizon. Cost and revenue can't go below 0.
+ * @param {Object} predictions - { cost, revenue } monthly predictions
+ * @param {Object} residuals - { cost, revenue } from getForecastResiduals
+ * @returns {Object|null} { levels, totalCost, totalRevenue, netBalance, cumulativeNet }, each
+ *   series { [level]: { lower, upper } } by month; null without enough forecast errors
+ */
+const getPredictionIntervals = (predictions, residuals) => {
+  if (residuals.cost.length < MIN_INTERVAL_RESIDUALS || residuals.revenue.length < MIN_INTERVAL_RESIDUALS) {
+    return null;
+  }
+
+  const centre = (errors) => {
+    const mean = errors.reduce((a, b) => a + b, 0) / errors.length;
+    return errors.map(error => error - mean);
+  };
+  const costErrors = centre(residuals.cost);
+  const revenueErrors = centre(residuals.revenue);
+
+  const random = createRandom(BOOTSTRAP_SEED);
+  const simulate = (points, errors) => {
+    let error = 0;
+    return points.map(point => {
+      error += errors[Math.floor(random() * errors.length)];
+      return Math.max(0, point + error);
+    });
+  };
+
+  const paths = { totalCost: [], totalRevenue: [], netBalance: [], cumulativeNet: [] };
+  for (let sample = 0; sample < BOOTSTRAP_SAMPLES; sample++) {
+    const cost = simulate(predictions.cost, costErrors);
+    const revenue = simulate(predictions.revenue, revenueErrors);
+    const net = revenue.map((value, i) => value - cost[i]);
+    let cumulative = 0;
+    paths.totalCost.push(cost);
+    paths.totalRevenue.push(revenue);
+    paths.netBalance.push(net);
+    paths.cumulativeNet.push(net.map(value => (cumulative += value)));
+  }
+
+  const intervals = { levels: PREDICTION_INTERVAL_LEVELS };
+  Object.entries(paths).forEach(([series, samples]) => {
+    const byMonth = predictions.cost.map((_, i) => samples.map(path => path[i]).sort((a, b) => a - b));
+    intervals[series] = {};
+    PREDICTION_INTERVAL_LEVELS.forEach(level => {
+      const tail = (100 - level) / 200;
+      intervals[series][level] = {
+        lower: byMonth.map(values => quantile(values, tail)),
+        upper: byMonth.map(values => quantile(values, 1 - tail))
+      };
+    });
+  });
+  return intervals;
+};
+
+/**
+ * Months from the first to the last month key, including months without transactions
+ */
+const getMonthRange = (months) => {
+  if (months.length === 0) return [];
+  const [firstYear, firstMonth] = months[0].split('-').map(Number);
+  const last = months[months.length - 1];
+  const range = [];
+  for (let i = 0; ; i++) {
+    const date = new Date(firstYear, firstMonth - 1 + i, 1);
+    const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    range.push(key);
+    if (key >= last) return range;
+  }
+};
+
+/**
+ * Scale that brings monthly amounts to about 0-1 for the network: the largest monthly cost
+ * or revenue of the training months
+ */
+const getNormalizationScale = (monthlyData, months) => Math.max(
+  1,
+  ...months.map(m => Math.max(monthlyData[m].cost, monthlyData[m].revenue))
+);
+
+/**
+ * Training samples: each month with the WINDOW_SIZE months before it as input
+ * @returns {Array} [{ month (of the target), x, y }]
+ */
+const getTrainingSamples = (monthlyData, months, scale) => {
+  const samples = [];
+  for (let i = WINDOW_SIZE; i < months.length; i++) {
+    const x = [];
+    for (let j = i - WINDOW_SIZE; j < i; j++) {
+      x.push(monthlyData[months[j]].cost / scale);
+      x.push(monthlyData[months[j]].revenue / scale);
+    }
+    samples.push({
+      month: months[i],
+      x,
+      y: [monthlyData[months[i]].cost / scale, monthlyData[months[i]].revenue / scale]
+    });
+  }
+  return samples;
+};
+
+/**
+ * Build and train a simple neural network for predictions, walking forward through the
+ * history: the model forecasts each backtest month from the months before it before it's
+ * trained on that month, so the backtest scores the model that makes the predictions. A new
+ * model is trained on the months before the first backtest month it has enough samples for
+ * and fine-tuned up to each later one. A saved model keeps its normalization and forecasts and
+ * is only fine-tuned on the months since it was last trained (the last of them again, as it
+ * may have been incomplete then); without new months it isn't trained at all.
+ * @param {Object} monthlyData - Monthly totals of consecutive months, months without transactions as 0
+ * @param {Object} options - { onEpoch (called with run, runs, epoch, epochs, loss), savedModel, currency (of the amounts) }
+ * @returns {Object|null} Model, with { version, windowSize, scale, currency, lastMonth, forecasts
+ *   ({ cost, revenue } by backtest month) } as its user-defined metadata
+ */
+const buildAndTrainModel = async (monthlyData, categories, { onEpoch, savedModel = null, currency } = {}) => {
   const months = Object.keys(monthlyData).sort();
   
   if (months.length < 3) {
@@ -191,74 +562,152 @@ const buildAndTrainModel = async (monthlyData, categories) => {
     return null;
   }
   
-  // Prepare training data
-  const windowSize = Math.min(3, months.length - 1);
-  const xs = [];
-  const ys = [];
-  
-  for (let i = windowSize; i < months.length; i++) {
-    const inputWindow = [];
-    for (let j = i - windowSize; j < i; j++) {
-      inputWindow.push(monthlyData[months[j]].cost / 1000);
-      inputWindow.push(monthlyData[months[j]].revenue / 1000);
-    }
-    xs.push(inputWindow);
-    ys.push([
-      monthlyData[months[i]].cost / 1000,
-      monthlyData[months[i]].revenue / 1000
-    ]);
+  const backtestMonths = getBacktestOrigins(months.length).map(origin => months[origin]);
+  const savedMetadata = savedModel?.getUserDefinedMetadata();
+  let trainedThrough = savedMetadata?.lastMonth;
+  if (!savedModel) {
+    // A backtest month needs two training samples before it
+    const firstForecast = backtestMonths.find(month => months.indexOf(month) >= WINDOW_SIZE + 2);
+    trainedThrough = firstForecast ? months[months.indexOf(firstForecast) - 1] : months[months.length - 1];
   }
   
-  if (xs.length < 2) {
-    console.log('Not enough training samples:', xs.length);
+  // Prepare training data
+  const scale = savedMetadata?.scale ?? getNormalizationScale(monthlyData, months.filter(m => m <= trainedThrough));
+  const samples = getTrainingSamples(monthlyData, months, scale);
+  
+  if (samples.length < 2) {
+    console.log('Not enough training samples:', samples.length);
     return null;
   }
   
-  console.log('Training ML model with', xs.length, 'samples');
-  
-  // Create model
-  const model = tf.sequential({
-    layers: [
-      tf.layers.dense({ inputShape: [windowSize * 2], units: 16, activation: 'relu' }),
-      tf.layers.dense({ units: 8, activation: 'relu' }),
-      tf.layers.dense({ units: 2 })
-    ]
-  });
+  // Each run trains up to the month before a backtest month, or up to the last month
+  const runEnds = [...backtestMonths.map(month => months[months.indexOf(month) - 1]), months[months.length - 1]]
+    .filter((month, i, all) => month > trainedThrough && all.indexOf(month) === i);
+  if (!savedModel) runEnds.unshift(trainedThrough);
+  const forecasts = { ...savedMetadata?.forecasts };
   
-  model.compile({
-    optimizer: tf.train.adam(0.01),
-    loss: 'meanSquaredError'
+  let model = savedModel;
+  const setMetadata = () => model.setUserDefinedMetadata({
+    version: MODEL_VERSION,
+    windowSize: WINDOW_SIZE,
+    scale,
+    currency,
+    lastMonth: trainedThrough,
+    forecasts: Object.fromEntries(backtestMonths.filter(m => forecasts[m]).map(m => [m, forecasts[m]]))
   });
   
-  // Train
-  const xsTensor = tf.tensor2d(xs);
-  const ysTensor = tf.tensor2d(ys);
-  
-  await model.fit(xsTensor, ysTensor, {
-    epochs: 100,
-    verbose: 0
-  });
-  
-  // Cleanup tensors
-  xsTensor.dispose();
-  ysTensor.dispose();
+  for (const [run, runEnd] of runEnds.entries()) {
+    if (model) {
+      const next = months.indexOf(trainedThrough) + 1;
+      if (backtestMonths.includes(months[next])) {
+        const predictions = await generateMLPredictions(model, monthlyData, months.slice(0, next));
+        if (predictions) forecasts[months[next]] = predictions[0];
+      }
+    }
+    
+    const trainingSamples = samples.filter(sample => sample.month <= runEnd && (!model || sample.month >= trainedThrough));
+    const epochs = model ? FINE_TUNE_EPOCHS : TRAINING_EPOCHS;
+    console.log(model ? 'Fine-tuning ML model with' : 'Training ML model with', trainingSamples.length, 'samples');
+    
+    // Create model
+    model = model || tf.sequential({
+      layers: [
+        tf.layers.dense({ inputShape: [WINDOW_SIZE * 2], units: 16, activation: 'relu' }),
+        tf.layers.dense({ units: 8, activation: 'relu' }),
+        tf.layers.dense({ units: 2 })
+      ]
+    });
+    
+    model.compile({
+      optimizer: tf.train.adam(0.01),
+      loss: 'meanSquaredError'
+    });
+    
+    // Train
+    const xsTensor = tf.tensor2d(trainingSamples.map(sample => sample.x));
+    const ysTensor = tf.tensor2d(trainingSamples.map(sample => sample.y));
+    
+    await model.fit(xsTensor, ysTensor, {
+      epochs,
+      verbose: 0,
+      callbacks: {
+        onEpochEnd: (epoch, logs) => onEpoch?.(run + 1, runEnds.length, epoch + 1, epochs, logs.loss)
+      }
+    });
+    
+    // Cleanup tensors
+    xsTensor.dispose();
+    ysTensor.dispose();
+    
+    trainedThrough = runEnd;
+    setMetadata();
+  }
   
+  if (runEnds.length === 0) {
+    console.log('No new months, keeping the saved ML model');
+    setMetadata();
+  }
   return model;
 };
 
+const getModelUrl = (modelKey) => `indexeddb://${MODEL_STORE_PREFIX}${modelKey}`;
+
+/**
+ * Load the saved model of a user and card. A model saved by another MODEL_VERSION, trained on
+ * amounts in another currency or last trained on a month that's no longer in the history, is
+ * deleted so it's trained again.
+ * @returns {Object|null} Model, or null if there's none to fine-tune
+ */
+const loadSavedModel = async (modelKey, months, currency) => {
+  let model;
+  try {
+    model = await tf.loadLayersModel(getModelUrl(modelKey));
+  } catch {
+    // No saved model yet
+    return null;
+  }
+
+  const metadata = model.getUserDefinedMetadata() || {};
+  if (metadata.version === MODEL_VERSION && metadata.windowSize === WINDOW_SIZE && metadata.currency === currency &&
+    months.includes(metadata.lastMonth)) {
+    return model;
+  }
+
+  console.log('Saved ML model is outdated, training a new one');
+  model.dispose();
+  try {
+    await tf.io.removeModel(getModelUrl(modelKey));
+  } catch (error) {
+    console.warn('Failed to delete saved ML model:', error);
+  }
+  return null;
+};
+
+/**
+ * Save a trained model for the next analysis of the same user and card
+ */
+const saveModel = async (model, modelKey) => {
+  try {
+    await model.save(getModelUrl(modelKey));
+  } catch (error) {
+    console.warn('Failed to save ML model:', error);
+  }
+};
+
 /**
  * Generate predictions using the trained model
  */
-const generateMLPredictions = async (model, monthlyData, months, windowSize = 3) => {
-  if (!model || months.length < windowSize) return null;
+const generateMLPredictions = async (model, monthlyData, months) => {
+  if (!model || months.length < WINDOW_SIZE) return null;
   
+  const { scale } = model.getUserDefinedMetadata();
   const predictions = [];
   let lastWindow = [];
   
   // Get last window of data
-  for (let j = months.length - windowSize; j < months.length; j++) {
-    lastWindow.push(monthlyData[months[j]].cost / 1000);
-    lastWindow.push(monthlyData[months[j]].revenue / 1000);
+  for (let j = months.length - WINDOW_SIZE; j < months.length; j++) {
+    lastWindow.push(monthlyData[months[j]].cost / scale);
+    lastWindow.push(monthlyData[months[j]].revenue / scale);
   }
   
   // Predict 3 months
@@ -267,15 +716,15 @@ const generateMLPredictions = async (model, monthlyData, months, windowSize = 3)
     const prediction = model.predict(input);
     const values = await prediction.data();
     
-    const predictedCost = Math.max(0, values[0] * 1000);
-    const predictedRevenue = Math.max(0, values[1] * 1000);
+    const predictedCost = Math.max(0, values[0] * scale);
+    const predictedRevenue = Math.max(0, values[1] * scale);
     
     predictions.push({ cost: predictedCost, revenue: predictedRevenue });
     
     // Shift window for next prediction
     lastWindow = lastWindow.slice(2);
-    lastWindow.push(predictedCost / 1000);
-    lastWindow.push(predictedRevenue / 1000);
+    lastWindow.push(predictedCost / scale);
+    lastWindow.push(predictedRevenue / scale);
     
     input.dispose();
     prediction.dispose();
@@ -342,16 +791,24 @@ const getRecommendation = (category, trend, avgCost, avgRevenue) => {
 
 /**
  * Main analysis function - uses local ML model
+ * @param {Array} transactions - Transactions, all with amounts in the same currency
+ * @param {Array} userCategories - User categories
+ * @param {string} currency - Currency of the amounts, used in the insights
+ * @param {Object} options - { onProgress, modelKey }. onProgress is called with { stage
+ *   ('preparing' | 'training' | 'forecasting'), fraction (0-1) } and, while training, { run,
+ *   runs, epoch, epochs, loss }. With a modelKey (user and card) the network is saved and
+ *   fine-tuned by later analyses in the same currency.
  */
-export const analyzeFinances = async (transactions) => {
+export const analyzeFinances = async (transactions, userCategories = [], currency = DEFAULT_CURRENCY, { onProgress, modelKey } = {}) => {
   console.log('Starting analysis with', transactions?.length, 'transactions');
   
   if (!transactions || transactions.length === 0) {
     throw new Error('No transactions available for analysis.');
   }
+  onProgress?.({ stage: 'preparing', fraction: 0 });
   
   // Extract features
-  const { monthlyData, categories } = extractFeatures(transactions);
+  const { monthlyData, categories } = extractFeatures(transactions, userCategories);
   
   if (Object.keys(monthlyData).length === 0) {
     throw new Error('No valid transaction data found. Please add some transactions first.');
@@ -360,54 +817,78 @@ export const analyzeFinances = async (transactions) => {
   const stats = calculateStatistics(monthlyData, categories);
   const next3Months = getNext3Months();
   
-  // Try ML predictions first, fall back to statistical
+  // Statistical models work on every month in the history, months without transactions as 0
+  const seriesMonths = getMonthRange(stats.months);
+  const getSeries = (getValue) => seriesMonths.map(m => (monthlyData[m] ? getValue(monthlyData[m]) : 0));
+  // So does the network, so its windows and the backtest months line up with the series
+  const seriesData = Object.fromEntries(seriesMonths.map(m => [m, monthlyData[m] || { cost: 0, revenue: 0, categories: {} }]));
+
+  // The neural network competes with the statistical models in the backtest
   let mlPredictions = null;
+  let mlBacktest = null;
   try {
-    const model = await buildAndTrainModel(monthlyData, categories);
+    const savedModel = modelKey ? await loadSavedModel(modelKey, seriesMonths, currency) : null;
+    const model = await buildAndTrainModel(seriesData, categories, {
+      onEpoch: (run, runs, epoch, epochs, loss) => onProgress?.({
+        stage: 'training',
+        fraction: TRAINING_SHARE * (run - 1 + epoch / epochs) / runs,
+        run,
+        runs,
+        epoch,
+        epochs,
+        loss
+      }),
+      savedModel,
+      currency
+    });
     if (model) {
-      mlPredictions = await generateMLPredictions(model, monthlyData, stats.months);
+      mlPredictions = await generateMLPredictions(model, seriesData, seriesMonths);
+      mlBacktest = Object.entries(model.getUserDefinedMetadata().forecasts)
+        .map(([month, forecast]) => ({ origin: seriesMonths.indexOf(month), ...forecast }));
+      if (modelKey) await saveModel(model, modelKey);
       model.dispose();
+    } else {
+      savedModel?.dispose();
     }
   } catch (e) {
-    console.warn('ML prediction failed, using statistical fallback:', e);
+    console.warn('ML prediction failed, using statistical models:', e);
   }
-  
+  onProgress?.({ stage: 'forecasting', fraction: TRAINING_SHARE });
+  const getNeuralNetworkCandidate = (key) => (mlPredictions && mlBacktest ? {
+    'neural-network': {
+      forecasts: mlBacktest.map(forecast => ({ origin: forecast.origin, predicted: forecast[key] })),
+      predictions: mlPredictions.map(p => p[key])
+    }
+  } : {});
+
   // Generate predictions per category
   const categoryPredictions = {};
   const categoryRevenuePredictions = {};
   
   categories.forEach(cat => {
-    const costValues = stats.months.map(m => 
-      monthlyData[m].categories[cat]?.cost || 0
-    );
-    const revenueValues = stats.months.map(m => 
-      monthlyData[m].categories[cat]?.revenue || 0
-    );
+    const costValues = getSeries(data => data.categories[cat]?.cost || 0);
+    const revenueValues = getSeries(data => data.categories[cat]?.revenue || 0);
     
     // Calculate category average for fallback
     const catAvgCost = stats.categoryTotals[cat].cost / (stats.categoryTotals[cat].count || 1);
     const catAvgRevenue = stats.categoryTotals[cat].revenue / (stats.categoryTotals[cat].count || 1);
     
-    categoryPredictions[cat] = predictWithSmoothing(costValues, 3, 0.3, catAvgCost);
+    categoryPredictions[cat] = selectForecast(costValues, 3, catAvgCost).predictions;
     if (revenueValues.some(v => v > 0)) {
-      categoryRevenuePredictions[cat] = predictWithSmoothing(revenueValues, 3, 0.3, catAvgRevenue);
+      categoryRevenuePredictions[cat] = selectForecast(revenueValues, 3, catAvgRevenue).predictions;
     }
   });
   
-  // Calculate total predictions
-  let totalCostPredictions, totalRevenuePredictions;
-  
-  if (mlPredictions && mlPredictions.some(p => p.cost > 0 || p.revenue > 0)) {
-    totalCostPredictions = mlPredictions.map(p => p.cost);
-    totalRevenuePredictions = mlPredictions.map(p => p.revenue);
-  } else {
-    // Use statistical predictions with averages as fallback
-    const costValues = stats.months.map(m => monthlyData[m].cost);
-    const revenueValues = stats.months.map(m => monthlyData[m].revenue);
-    
-    totalCostPredictions = predictWithSmoothing(costValues, 3, 0.3, stats.avgMonthlyCost);
-    totalRevenuePredictions = predictWithSmoothing(revenueValues, 3, 0.3, stats.avgMonthlyRevenue);
-  }
+  // Calculate total predictions with the model that backtests best, averages as fallback
+  const costSeries = getSeries(data => data.cost);
+  const revenueSeries = getSeries(data => data.revenue);
+  const costCandidates = getNeuralNetworkCandidate('cost');
+  const revenueCandidates = getNeuralNetworkCandidate('revenue');
+  const costForecast = selectForecast(costSeries, 3, stats.avgMonthlyCost, costCandidates);
+  const revenueForecast = selectForecast(revenueSeries, 3, stats.avgMonthlyRevenue, revenueCandidates);
+  let totalCostPredictions = costForecast.predictions;
+  let totalRevenuePredictions = revenueForecast.predictions;
+  const forecastModels = { totalCost: costForecast.model, totalRevenue: revenueForecast.model };
   
   // If predictions are still 0 but we have historical data, use averages
   if (totalCostPredictions.every(v => v === 0) && stats.avgMonthlyCost > 0) {
@@ -420,6 +901,15 @@ export const analyzeFinances = async (transactions) => {
   const netBalancePredictions = totalRevenuePredictions.map((rev, i) => 
     rev - totalCostPredictions[i]
   );
+
+  // How far the predictions may be off, from the selected models' past forecast errors
+  const intervals = getPredictionIntervals(
+    { cost: totalCostPredictions, revenue: totalRevenuePredictions },
+    {
+      cost: getForecastResiduals(costSeries, costForecast.model, stats.avgMonthlyCost, costCandidates),
+      revenue: getForecastResiduals(revenueSeries, revenueForecast.model, stats.avgMonthlyRevenue, revenueCandidates)
+    }
+  );
   
   console.log('Final predictions:', { totalCostPredictions, totalRevenuePredictions, netBalancePredictions });
   
@@ -454,9 +944,9 @@ export const analyzeFinances = async (transactions) => {
   
   const avgNetBalance = stats.avgMonthlyRevenue - stats.avgMonthlyCost;
   if (avgNetBalance > 0) {
-    insights.push(`You typically save about ${avgNetBalance.toFixed(0)} ₼ per month. Consider increasing savings.`);
+    insights.push(`You typically save about ${formatAmount(avgNetBalance, currency, { fractionDigits: 0 })} per month. Consider increasing savings.`);
   } else if (avgNetBalance < 0) {
-    insights.push(`You typically spend ${Math.abs(avgNetBalance).toFixed(0)} ₼ more than you earn. Review your budget.`);
+    insights.push(`You typically spend ${formatAmount(Math.abs(avgNetBalance), currency, { fractionDigits: 0 })} more than you earn. Review your budget.`);
   }
   
   // Add data quality insight
@@ -466,6 +956,7 @@ export const analyzeFinances = async (transactions) => {
   
   // Build final analysis object
   const analysis = {
+    currency,
     summary: {
       topSpendingCategories: stats.topCategories,
       averageMonthlySpending: stats.avgMonthlyCost,
@@ -480,7 +971,8 @@ export const analyzeFinances = async (transactions) => {
       revenue: Object.keys(categoryRevenuePredictions).length > 0 ? categoryRevenuePredictions : undefined,
       totalCost: totalCostPredictions,
       totalRevenue: totalRevenuePredictions,
-      netBalance: netBalancePredictions
+      netBalance: netBalancePredictions,
+      intervals: intervals || undefined
     },
     insights,
     categoryBreakdown,
@@ -488,7 +980,13 @@ export const analyzeFinances = async (transactions) => {
       analyzedAt: new Date().toISOString(),
       transactionCount: transactions.length,
       monthsAnalyzed: stats.numMonths,
-      modelType: mlPredictions ? 'neural-network' : 'statistical'
+      modelType: Object.values(forecastModels).includes('neural-network') ? 'neural-network' : 'statistical',
+      forecastModels,
+      backtest: {
+        months: BACKTEST_MONTHS,
+        totalCost: costForecast.scores,
+        totalRevenue: revenueForecast.scores
+      }
     }
   };
   
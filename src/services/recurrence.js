@@ -0,0 +1,76 @@
+// Recurrence helpers for recurring transaction rules
+// A rule repeats every `interval` days/weeks/months/years from its startDate,
+// until its endDate and/or until `count` occurrences have been generated.
+// The dates are computed in functions/shared/recurrence.js, which the scheduler uses too.
+
+import {
+  getOccurrenceDate as getRuleOccurrenceDate,
+  getPendingOccurrences as getRulePendingOccurrences
+} from '../../functions/shared/recurrence.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// How far ahead upcoming occurrences are materialized as scheduled transactions
+export const RECURRING_HORIZON_DAYS = 90;
+
+const FREQUENCY_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year'
+};
+
+/**
+ * Time zone of this browser; rules store the zone they were created in
+ */
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Get the date of the occurrence at a given index (0 = startDate), see functions/shared/recurrence.js.
+ * Older rules without a time zone use this browser's, which their dates were computed in.
+ * @param {Object} rule - Recurring rule
+ * @param {number} index - Occurrence index
+ * @returns {Date} Occurrence date
+ */
+export const getOccurrenceDate = (rule, index) => getRuleOccurrenceDate(rule, index, getLocalTimeZone());
+
+/**
+ * Get the latest date up to which occurrences should exist
+ * @param {Date} now - Reference date
+ * @returns {Date} Horizon date
+ */
+export const getRecurrenceHorizon = (now = new Date()) => {
+  const horizon = new Date(now);
+  horizon.setDate(horizon.getDate() + RECURRING_HORIZON_DAYS);
+  return horizon;
+};
+
+/**
+ * Get the occurrences of a rule that have not been generated yet, up to a date
+ * @param {Object} rule - Recurring rule with generatedCount
+ * @param {Date} until - Last date to generate occurrences for
+ * @returns {Array} Array of { index, date } with ISO date strings
+ */
+export const getPendingOccurrences = (rule, until = getRecurrenceHorizon()) =>
+  getRulePendingOccurrences(rule, until, getLocalTimeZone());
+
+/**
+ * Human-readable description of a rule, e.g. "Every 2 weeks, 3 of 10"
+ * @param {Object} rule - Recurring rule
+ * @returns {string} Description
+ */
+export const describeRecurrence = (rule) => {
+  const interval = Number(rule.interval) || 1;
+  const unit = FREQUENCY_UNITS[rule.frequency] || rule.frequency;
+  let description = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.count) {
+    description += `, ${Math.min(rule.generatedCount || 0, rule.count)} of ${rule.count}`;
+  }
+  if (rule.endDate) {
+    const endDate = new Date(rule.endDate);
+    description += ` until ${endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  return description;
+};
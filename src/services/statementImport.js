@@ -0,0 +1,306 @@
+// Bank statement import
+// Reads a CSV or XLSX statement as rows of cells and turns the rows into transactions with a
+// user-defined column mapping. The result has the same shape as parseExcelFile, so it goes
+// through validateImportData and the regular import.
+
+import * as XLSX from 'xlsx';
+
+const MAPPINGS_STORAGE_KEY = 'statement_import_mappings';
+
+export const DATE_FORMATS = ['dd.mm.yyyy', 'dd/mm/yyyy', 'dd-mm-yyyy', 'mm/dd/yyyy', 'yyyy-mm-dd'];
+
+export const DECIMAL_SEPARATORS = ['.', ','];
+
+// Column mapping: column indexes are null when not mapped. With amountMode 'signed' one
+// column holds the amount (negative = cost); with 'split' costs and revenues have their own
+// columns. skipRows leaves out lines above the header (bank name, account number...).
+export const DEFAULT_MAPPING = {
+  skipRows: 0,
+  hasHeader: true,
+  dateColumn: null,
+  descriptionColumn: null,
+  amountMode: 'signed',
+  amountColumn: null,
+  debitColumn: null,
+  creditColumn: null,
+  categoryColumn: null,
+  dateFormat: 'dd.mm.yyyy',
+  decimalSeparator: ','
+};
+
+// Header names banks commonly use, matched case-insensitively as substrings
+const HEADER_HINTS = {
+  dateColumn: ['date', 'tarix', 'дата', 'booking', 'posted'],
+  descriptionColumn: ['description', 'details', 'təyinat', 'merchant', 'назначение', 'описание', 'payee', 'memo', 'narrative'],
+  amountColumn: ['amount', 'məbləğ', 'сумма', 'value'],
+  debitColumn: ['debit', 'withdrawal', 'paid out', 'məxaric', 'расход'],
+  creditColumn: ['credit', 'deposit', 'paid in', 'mədaxil', 'приход'],
+  categoryColumn: ['category', 'kateqoriya', 'категория']
+};
+
+/**
+ * Split CSV text into rows of cells. The delimiter (comma, semicolon or tab) is taken from
+ * the first line; quoted cells may contain delimiters, quotes ("") and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Read a CSV or XLSX statement file. XLSX dates come back as Date objects and numbers as numbers.
+ * @param {File} file - Statement file
+ * @returns {Promise<Array<Array>>} Rows of cells of the first sheet
+ */
+export const readStatementFile = (file) => {
+  const isCsv = /\.(csv|txt)$/i.test(file.name);
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        if (isCsv) {
+          resolve(parseCsv(e.target.result));
+          return;
+        }
+        const workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        resolve(XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' }));
+      } catch (error) {
+        reject(new Error('Failed to read statement: ' + error.message));
+      }
+    };
+
+    reader.onerror = () => reject(new Error('Failed to read file'));
+
+    if (isCsv) {
+      reader.readAsText(file);
+    } else {
+      reader.readAsArrayBuffer(file);
+    }
+  });
+};
+
+/**
+ * Column names of a statement: the header row's cells, or "Column N" without a header
+ * @param {Array<Array>} rows - Rows of cells
+ * @param {Object} mapping - Column mapping (skipRows, hasHeader)
+ * @returns {Array<string>} Column names
+ */
+export const getStatementColumns = (rows, mapping) => {
+  const dataRows = rows.slice(mapping.skipRows);
+  const width = Math.max(0, ...dataRows.slice(0, 20).map(r => r.length));
+  const header = mapping.hasHeader ? dataRows[0] || [] : [];
+  return Array.from({ length: width }, (_, i) => String(header[i] ?? '').trim() || `Column ${i + 1}`);
+};
+
+/**
+ * Guess the column mapping from header names
+ * @param {Array<string>} columns - Column names
+ * @returns {Object} Mapped columns (only those that were recognized)
+ */
+export const guessMapping = (columns) => {
+  const guessed = {};
+  const names = columns.map(c => c.toLowerCase());
+
+  Object.entries(HEADER_HINTS).forEach(([field, hints]) => {
+    const index = names.findIndex((name, i) =>
+      hints.some(hint => name.includes(hint)) && !Object.values(guessed).includes(i));
+    if (index !== -1) guessed[field] = index;
+  });
+
+  if (guessed.amountColumn === undefined && guessed.debitColumn !== undefined && guessed.creditColumn !== undefined) {
+    guessed.amountMode = 'split';
+  }
+  return guessed;
+};
+
+/**
+ * Parse a statement date in a given format; a time after the date (HH:MM[:SS]) is kept
+ * @param {string|number|Date} value - Cell value
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {string|null} ISO date string, or null if the value doesn't match the format
+ */
+export const parseStatementDate = (value, format) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString();
+  }
+
+  const text = String(value ?? '').trim();
+  const match = text.match(/^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+
+  const [, a, b, c, hours = '12', minutes = '0', seconds = '0'] = match;
+  let year, month, day;
+  if (format === 'yyyy-mm-dd') {
+    [year, month, day] = [a, b, c];
+  } else if (format === 'mm/dd/yyyy') {
+    [month, day, year] = [a, b, c];
+  } else {
+    [day, month, year] = [a, b, c];
+  }
+  year = Number(year) < 100 ? 2000 + Number(year) : Number(year);
+
+  // Dates without a time are put at noon so the day doesn't shift with the time zone
+  const date = new Date(year, Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+  if (date.getFullYear() !== year || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+    return null;
+  }
+  return date.toISOString();
+};
+
+/**
+ * Parse a statement amount with a given decimal separator. Currency symbols, spaces and
+ * thousands separators are ignored; "(12.50)" and "12.50-" are negative.
+ * @param {string|number} value - Cell value
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Amount, or null if the cell isn't a number (empty cells are null too)
+ */
+export const parseStatementAmount = (value, decimalSeparator) => {
+  if (typeof value === 'number') return value;
+
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/-$/.test(text)) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  text = text
+    .replace(/[^\d.,+-]/g, '')
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.');
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text)) return null;
+
+  const amount = Number(text);
+  return negative ? -amount : amount;
+};
+
+/**
+ * Turn statement rows into import data for one card
+ * @param {Array<Array>} rows - Rows of cells
+ * @param {Object} mapping - Column mapping
+ * @param {string} cardNumber - Number of the card the statement belongs to
+ * @returns {Object} { data: import data like parseExcelFile returns, skipped: messages about rows left out }
+ */
+export const applyStatementMapping = (rows, mapping, cardNumber) => {
+  const firstDataRow = mapping.skipRows + (mapping.hasHeader ? 1 : 0);
+  const cell = (row, column) => (column === null || column === undefined ? '' : row[column] ?? '');
+
+  const transactions = [];
+  const skipped = [];
+
+  rows.slice(firstDataRow).forEach((row, i) => {
+    const rowNumber = firstDataRow + i + 1;
+    if (row.every(value => String(value ?? '').trim() === '')) return;
+
+    const date = parseStatementDate(cell(row, mapping.dateColumn), mapping.dateFormat);
+    let amount;
+    if (mapping.amountMode === 'split') {
+      const debit = parseStatementAmount(cell(row, mapping.debitColumn), mapping.decimalSeparator);
+      const credit = parseStatementAmount(cell(row, mapping.creditColumn), mapping.decimalSeparator);
+      amount = debit === null && credit === null ? null : (credit || 0) - Math.abs(debit || 0);
+    } else {
+      amount = parseStatementAmount(cell(row, mapping.amountColumn), mapping.decimalSeparator);
+    }
+
+    if (!date) {
+      skipped.push(`Statement row ${rowNumber}: "${cell(row, mapping.dateColumn)}" isn't a ${mapping.dateFormat} date`);
+      return;
+    }
+    if (amount === null || amount === 0) {
+      skipped.push(`Statement row ${rowNumber}: no amount`);
+      return;
+    }
+
+    transactions.push({
+      card_number: cardNumber,
+      title: String(cell(row, mapping.descriptionColumn)).trim() || 'Statement transaction',
+      type: amount < 0 ? 'cost' : 'revenue',
+      category: String(cell(row, mapping.categoryColumn)).trim(),
+      amount: Math.abs(amount),
+      date,
+      scheduled: false,
+      isAffect: true,
+      includeInExpected: true
+    });
+  });
+
+  return {
+    data: { cards: [], transactions, limits: [], plans: [], wishes: [] },
+    skipped
+  };
+};
+
+/**
+ * Mappings saved per bank name
+ * @returns {Object} Map of bank name to mapping
+ */
+export const loadSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPINGS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Error loading statement mappings:', error);
+    return {};
+  }
+};
+
+/**
+ * Remember the mapping used for a bank's statements
+ */
+export const saveMapping = (bank, mapping) => {
+  try {
+    localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify({ ...loadSavedMappings(), [bank]: mapping }));
+  } catch (error) {
+    console.error('Error saving statement mapping:', error);
+  }
+};
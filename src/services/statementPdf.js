@@ -0,0 +1,234 @@
+// Monthly card statements
+// A statement covers one card and one month: the balance at the start and end of the month,
+// every transaction that affected the balance, subtotals per category and how the month's
+// limits and plan turned out. It is built from the same data the card view uses and drawn
+// as a PDF in the browser.
+
+import { jsPDF } from 'jspdf';
+import { getBalanceEffect } from './balance';
+import { getCardCurrency } from './currency';
+import { getEffectiveLimit, getLimitsForMonth, getLimitSpending, getMonthKey, getPlanForMonth } from './limits';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Month key of the current month
+ */
+export const getCurrentMonthKey = () => getMonthKey(new Date());
+
+/**
+ * Build the statement of a card for a month
+ * @param {Object} card - Card with amount (current balance), limits and plans
+ * @param {Array} transactions - All transactions of the card
+ * @param {string} monthKey - Month ('YYYY-MM')
+ * @param {Array} categories - User categories
+ * @returns {Object} Statement: card, currency, month, openingBalance, closingBalance,
+ *   transactions (oldest first, with balance after each), totals { revenue, cost },
+ *   categoryTotals [{ category, type, amount, count }], limits [{ category, amount, spent,
+ *   carriedOver, remaining }], plan { amount, closingBalance, isMet } or null
+ */
+export const buildMonthlyStatement = (card, transactions, monthKey, categories = []) => {
+  const affecting = transactions.filter(tx => tx.isAffect === true);
+  const later = affecting.filter(tx => getMonthKey(tx.date) > monthKey);
+  const inMonth = affecting
+    .filter(tx => getMonthKey(tx.date) === monthKey)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  // Balances are derived back from the current balance, so they hold even for cards without
+  // an opening balance
+  const closingBalance = roundAmount((Number(card.amount) || 0) - later.reduce((sum, tx) => sum + getBalanceEffect(tx), 0));
+  const openingBalance = roundAmount(closingBalance - inMonth.reduce((sum, tx) => sum + getBalanceEffect(tx), 0));
+
+  let balance = openingBalance;
+  const rows = inMonth.map(tx => {
+    balance = roundAmount(balance + getBalanceEffect(tx));
+    return { ...tx, balanceAfter: balance };
+  });
+
+  const totals = { revenue: 0, cost: 0 };
+  const byCategory = new Map();
+  inMonth.forEach(tx => {
+    const category = tx.category || 'Other';
+    const key = `${tx.type}|${category}`;
+    const entry = byCategory.get(key) || { category, type: tx.type, amount: 0, count: 0 };
+    entry.amount = roundAmount(entry.amount + Number(tx.amount));
+    entry.count++;
+    byCategory.set(key, entry);
+    totals[tx.type] = roundAmount((totals[tx.type] || 0) + Number(tx.amount));
+  });
+  const categoryTotals = [...byCategory.values()]
+    .sort((a, b) => a.type.localeCompare(b.type) || b.amount - a.amount);
+
+  const limits = getLimitsForMonth(card, monthKey).map(limit => {
+    const { amount, carriedOver } = getEffectiveLimit(card, limit, transactions, categories);
+    const spent = roundAmount(getLimitSpending(transactions, limit, categories));
+    return { category: limit.category || null, amount, carriedOver, spent, remaining: roundAmount(amount - spent) };
+  });
+
+  // A plan is a minimum balance for the month, like on the card view
+  const plan = getPlanForMonth(card, monthKey);
+
+  return {
+    card,
+    currency: getCardCurrency(card),
+    month: monthKey,
+    openingBalance,
+    closingBalance,
+    transactions: rows,
+    totals,
+    categoryTotals,
+    limits,
+    plan: plan ? { amount: Number(plan.amount), closingBalance, isMet: closingBalance >= Number(plan.amount) } : null
+  };
+};
+
+// Letters the built-in PDF fonts don't have are written without their accents
+const PDF_LETTERS = { 'ə': 'e', 'Ə': 'E', 'ı': 'i', 'İ': 'I', 'ş': 's', 'Ş': 'S', 'ğ': 'g', 'Ğ': 'G' };
+
+const toPdfText = (value) => String(value ?? '')
+  .replace(/[əƏıİşŞğĞ]/g, letter => PDF_LETTERS[letter])
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const numberFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatPdfAmount = (amount, currency) => `${numberFormat.format(Number(amount) || 0)} ${currency}`;
+
+const formatMonth = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleString('en-US', { month: 'long', year: 'numeric' });
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Page layout in millimetres (A4)
+const PAGE = { width: 210, height: 297, margin: 15, line: 5.5 };
+
+/**
+ * Draw a statement as a PDF document
+ * @param {Object} statement - Statement from buildMonthlyStatement
+ * @returns {jsPDF} Document
+ */
+export const renderStatementPdf = (statement) => {
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const { currency } = statement;
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.margin;
+
+  const ensureSpace = (height = PAGE.line) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      pdf.addPage();
+      y = PAGE.margin;
+    }
+  };
+  // Writes a row of cells { text, x, align }
+  const row = (cells, { bold = false, size = 9 } = {}) => {
+    ensureSpace();
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(size);
+    cells.forEach(({ text, x, align = 'left', maxWidth }) => {
+      const content = toPdfText(text);
+      pdf.text(maxWidth ? pdf.splitTextToSize(content, maxWidth)[0] : content, x, y, { align });
+    });
+    y += PAGE.line;
+  };
+  const heading = (text) => {
+    ensureSpace(PAGE.line * 3);
+    y += PAGE.line / 2;
+    row([{ text, x: PAGE.margin }], { bold: true, size: 11 });
+    pdf.setDrawColor(200);
+    pdf.line(PAGE.margin, y - PAGE.line + 1.5, right, y - PAGE.line + 1.5);
+    y += 1;
+  };
+  const amountRow = (label, amount, options) =>
+    row([{ text: label, x: PAGE.margin }, { text: formatPdfAmount(amount, currency), x: right, align: 'right' }], options);
+
+  // Header
+  row([{ text: `Card statement - ${formatMonth(statement.month)}`, x: PAGE.margin }], { bold: true, size: 16 });
+  y += 1;
+  row([{ text: `Card ${statement.card.cardNumber} · ${currency}`, x: PAGE.margin }]);
+  row([{ text: `Generated ${formatDate(new Date())}`, x: PAGE.margin }]);
+
+  // Summary
+  heading('Summary');
+  amountRow('Opening balance', statement.openingBalance);
+  amountRow('Money in', statement.totals.revenue);
+  amountRow('Money out', -statement.totals.cost);
+  amountRow('Closing balance', statement.closingBalance, { bold: true });
+
+  // Transactions
+  heading(`Transactions (${statement.transactions.length})`);
+  if (statement.transactions.length === 0) {
+    row([{ text: 'No transactions affected the balance this month.', x: PAGE.margin }]);
+  } else {
+    const columns = { date: PAGE.margin, title: PAGE.margin + 26, category: PAGE.margin + 92, amount: right - 30, balance: right };
+    row([
+      { text: 'Date', x: columns.date },
+      { text: 'Description', x: columns.title },
+      { text: 'Category', x: columns.category },
+      { text: 'Amount', x: columns.amount, align: 'right' },
+      { text: 'Balance', x: columns.balance, align: 'right' }
+    ], { bold: true });
+    statement.transactions.forEach(tx => {
+      row([
+        { text: formatDate(tx.date), x: columns.date },
+        { text: tx.title, x: columns.title, maxWidth: 62 },
+        { text: tx.category || 'Other', x: columns.category, maxWidth: 36 },
+        { text: numberFormat.format(getBalanceEffect(tx)), x: columns.amount, align: 'right' },
+        { text: numberFormat.format(tx.balanceAfter), x: columns.balance, align: 'right' }
+      ]);
+    });
+  }
+
+  // Category subtotals
+  if (statement.categoryTotals.length > 0) {
+    heading('By category');
+    statement.categoryTotals.forEach(({ category, type, amount, count }) => {
+      row([
+        { text: `${category} (${type === 'cost' ? 'spent' : 'received'}, ${count})`, x: PAGE.margin },
+        { text: formatPdfAmount(amount, currency), x: right, align: 'right' }
+      ]);
+    });
+  }
+
+  // Limits and plan
+  if (statement.limits.length > 0 || statement.plan) {
+    heading('Limits and plan');
+    statement.limits.forEach(limit => {
+      const status = limit.remaining < 0
+        ? `over by ${formatPdfAmount(-limit.remaining, currency)}`
+        : `${formatPdfAmount(limit.remaining, currency)} left`;
+      const carried = limit.carriedOver > 0 ? ` (incl. ${formatPdfAmount(limit.carriedOver, currency)} rolled over)` : '';
+      row([
+        { text: `${limit.category || 'Total'} limit ${formatPdfAmount(limit.amount, currency)}${carried}`, x: PAGE.margin },
+        { text: `spent ${formatPdfAmount(limit.spent, currency)}, ${status}`, x: right, align: 'right' }
+      ]);
+    });
+    if (statement.plan) {
+      row([
+        { text: `Plan: keep at least ${formatPdfAmount(statement.plan.amount, currency)}`, x: PAGE.margin },
+        { text: statement.plan.isMet ? 'met' : 'below plan', x: right, align: 'right' }
+      ], { bold: !statement.plan.isMet });
+    }
+  }
+
+  // Page numbers
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.text(`Page ${page} of ${pageCount}`, right, PAGE.height - PAGE.margin / 2, { align: 'right' });
+  }
+  return pdf;
+};
+
+/**
+ * Download a statement as a PDF file
+ * @param {Object} statement - Statement from buildMonthlyStatement
+ */
+export const downloadStatementPdf = (statement) => {
+  const lastFourDigits = statement.card.cardNumber.replace(/\s/g, '').slice(-4);
+  renderStatementPdf(statement).save(`statement_${lastFourDigits}_${statement.month}.pdf`);
+};
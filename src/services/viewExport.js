@@ -0,0 +1,111 @@
+// Transaction view export
+// Exports the transactions a view shows, with the filters that produced them and the
+// totals shown above them, as CSV, XLSX or JSON. Unlike exportToExcel it isn't meant to
+// be imported again.
+
+import * as XLSX from 'xlsx';
+import { getTransactionCurrency } from './currency';
+
+export const VIEW_EXPORT_FORMATS = {
+  csv: 'CSV',
+  xlsx: 'XLSX',
+  json: 'JSON'
+};
+
+const FILTER_LABELS = {
+  daily: 'Today',
+  weekly: 'Last 7 days',
+  monthly: 'Last 30 days',
+  all: 'All'
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Describe a transaction view for export
+ * @param {Object} view - { transactions (as shown), card, tab ('current' | 'scheduled'),
+ *   filter (current tab), selectedMonth (scheduled tab), totals [{ label, amount }] }
+ * @returns {Object} { filters [{ label, value }], totals, rows }
+ */
+export const buildViewExport = ({ transactions, card, tab, filter, selectedMonth, totals }) => {
+  const filters = [
+    { label: 'Card', value: card?.cardNumber || '' },
+    { label: 'Tab', value: tab === 'scheduled' ? 'Scheduled' : 'Current' },
+    tab === 'scheduled'
+      ? { label: 'Month', value: selectedMonth === 'all' ? 'All' : selectedMonth }
+      : { label: 'Period', value: FILTER_LABELS[filter] || filter },
+    { label: 'Exported', value: new Date().toISOString() }
+  ];
+
+  const rows = transactions.map(tx => ({
+    date: tx.date,
+    title: tx.title || '',
+    type: tx.type,
+    category: tx.category || 'Other',
+    amount: roundAmount(Number(tx.amount) || 0),
+    currency: getTransactionCurrency(tx, card),
+    ...(tab === 'scheduled' ? { includeInExpected: tx.includeInExpected !== false } : {})
+  }));
+
+  return {
+    filters,
+    totals: totals.map(({ label, amount }) => ({ label, amount: roundAmount(amount) })),
+    rows
+  };
+};
+
+const toCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = ({ filters, totals, rows }) => {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : ['date', 'title', 'type', 'category', 'amount', 'currency'];
+  const lines = [
+    columns,
+    ...rows.map(row => columns.map(column => row[column])),
+    [],
+    ...totals.map(({ label, amount }) => [label, amount]),
+    [],
+    ...filters.map(({ label, value }) => [label, value])
+  ];
+  return lines.map(line => line.map(toCsvCell).join(',')).join('\r\n');
+};
+
+const downloadText = (text, type, fileName) => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download an exported view
+ * @param {Object} view - View from buildViewExport
+ * @param {string} format - Key of VIEW_EXPORT_FORMATS
+ */
+export const downloadViewExport = (view, format) => {
+  const baseName = `transactions_${new Date().toISOString().split('T')[0]}`;
+
+  if (format === 'csv') {
+    // The BOM makes Excel read the file as UTF-8
+    downloadText('\uFEFF' + toCsv(view), 'text/csv;charset=utf-8', `${baseName}.csv`);
+  } else if (format === 'json') {
+    downloadText(JSON.stringify(view, null, 2), 'application/json', `${baseName}.json`);
+  } else if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(view.rows), 'Transactions');
+    const summary = [
+      ...view.totals.map(({ label, amount }) => [label, amount]),
+      [],
+      ...view.filters.map(({ label, value }) => [label, value])
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), 'Summary');
+    XLSX.writeFile(workbook, `${baseName}.xlsx`);
+  } else {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+};